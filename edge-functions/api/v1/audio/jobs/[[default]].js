@@ -0,0 +1,99 @@
+/**
+ * EdgeOne Pages Edge Function - 异步合成任务查询
+ *
+ * @version 1.0.0
+ * @description
+ * - GET /api/v1/audio/jobs/:id             查询进度（每次查询推进未完成的分段）
+ * - GET /api/v1/audio/jobs/:id/audio       下载合并后的完整音频
+ * - GET /api/v1/audio/jobs/:id/segments/:n 下载单段音频
+ */
+
+// =================================================================================
+// 导入模块
+// =================================================================================
+
+import { createHttpError } from '../../../../lib/utils.js';
+
+import { createRoute } from '../../../../lib/router.js';
+
+import {
+  getJob,
+  advanceJob,
+  getJobAudio,
+  getJobSegmentAudio,
+  serializeJob
+} from '../../../../lib/jobs.js';
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** 任务资源路径前缀 */
+const JOBS_PATH = "/api/v1/audio/jobs";
+
+/** 任务子路径：/:id、/:id/audio、/:id/segments/:n */
+const JOB_ROUTE = /^\/(job_[0-9a-f]+)(?:\/(audio)|\/segments\/(\d+))?\/?$/;
+
+// =================================================================================
+// 路由处理器
+// =================================================================================
+
+/**
+ * 分发任务查询与下载请求
+ * @param {import('../../../../lib/router.js').RouteContext} ctx - 路由上下文
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function handleJobRequest({ env, url, apiKey }) {
+  const match = url.pathname.startsWith(JOBS_PATH)
+    ? url.pathname.slice(JOBS_PATH.length).match(JOB_ROUTE)
+    : null;
+  if (!match) {
+    throw createHttpError(`未知的任务路径: ${url.pathname}`, 404, "not_found");
+  }
+
+  const [, id, audio, segmentIndex] = match;
+  const job = await getJob(id, apiKey ? apiKey.id : null, env);
+
+  if (audio) {
+    return audioResponse(await getJobAudio(job, env), job.content_type, job.id);
+  }
+  if (segmentIndex !== undefined) {
+    const index = Number(segmentIndex);
+    return audioResponse(await getJobSegmentAudio(job, index, env), job.content_type, `${job.id}-${index}`);
+  }
+
+  // 查询即推进：无后台执行能力的运行时依靠轮询完成任务
+  await advanceJob(job, env);
+
+  return new Response(JSON.stringify(serializeJob(job, `${url.origin}${JOBS_PATH}`)), {
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+/**
+ * 构造音频下载响应
+ * @param {Uint8Array} bytes - 音频数据
+ * @param {string} contentType - 音频 Content-Type
+ * @param {string} etag - 实体标签（任务音频生成后不再变化）
+ * @returns {Response} 音频响应
+ */
+function audioResponse(bytes, contentType, etag) {
+  return new Response(bytes, {
+    headers: {
+      "Content-Type": contentType,
+      "Cache-Control": "private, max-age=3600",
+      "ETag": `"${etag}"`
+    }
+  });
+}
+
+// =================================================================================
+// 导出（EdgeOne Pages 兼容格式）
+// =================================================================================
+
+export default createRoute({
+  name: "jobs",
+  methods: ["GET"],
+  scope: "speech",
+  handler: handleJobRequest
+});
@@ -0,0 +1,114 @@
+/**
+ * EdgeOne Pages Edge Function - 异步合成任务创建
+ *
+ * @version 1.0.0
+ * @description POST /api/v1/audio/jobs：提交长文本，立即返回任务 ID，
+ * 之后通过 GET /api/v1/audio/jobs/:id 查询进度并获取音频
+ */
+
+// =================================================================================
+// 导入模块
+// =================================================================================
+
+import { createHttpError } from '../../../../lib/utils.js';
+
+import { createRoute } from '../../../../lib/router.js';
+
+import {
+  buildSpeechChunks,
+  parseRequestParams,
+  processRequestParams
+} from '../../../../lib/tts.js';
+
+import { splitSsml } from '../../../../lib/ssml.js';
+
+import { resolveVoiceAliases } from '../../../../lib/voices.js';
+
+import { consumeQuota } from '../../../../lib/keys.js';
+
+import { resolveLexicon, mergeLexicons } from '../../../../lib/lexicon.js';
+
+import { createJob, runJob, serializeJob } from '../../../../lib/jobs.js';
+
+import { recordUsage } from '../../../../lib/metrics.js';
+
+import { checkRateLimit } from '../../../../lib/ratelimit.js';
+
+import { getMaxJobInputLength } from '../../../../lib/validation.js';
+
+// =================================================================================
+// 路由处理器
+// =================================================================================
+
+/**
+ * 创建异步合成任务
+ * @description 参数与 /api/v1/audio/speech 相同，但不支持流式响应、时间戳和字幕格式，
+ * 输入长度上限为 MAX_JOB_INPUT_LENGTH；配额在创建时按全文扣减，任务失败时退还未完成部分。运行时提供 waitUntil 时任务在后台继续处理，否则由轮询推进
+ * @param {import('../../../../lib/router.js').RouteContext} ctx - 路由上下文
+ * @returns {Promise<Response>} 202 任务响应
+ */
+async function handleCreateJob({ request, env, context, apiKey, metrics }) {
+  // 任务与语音合成共用限流额度
+  const requestLimitHeaders = await checkRateLimit(request, apiKey, env, "requests");
+
+  const requestBody = await parseRequestParams(request);
+  const params = processRequestParams(requestBody, resolveVoiceAliases(env), env, getMaxJobInputLength(env));
+
+  if (params.stream || params.timestamps || params.subtitleFormat) {
+    throw createHttpError("异步任务只生成音频文件，不支持 stream、timestamps 和字幕格式", 400, "unsupported_parameter_combination");
+  }
+
+  const speechChunks = params.ssml !== undefined
+    ? splitSsml(params.ssml, params.chunk_size)
+    : buildSpeechChunks(
+      params.segments,
+      params.chunk_size,
+      params.finalCleaningOptions,
+      mergeLexicons(await resolveLexicon(env), params.lexicon) // 请求词典覆盖部署级词典
+    );
+
+  const characters = speechChunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+  const characterLimitHeaders = await checkRateLimit(request, apiKey, env, "characters", characters);
+  const quotaCharge = await consumeQuota(apiKey, characters, env);
+  recordUsage(metrics, { characters, chunks: speechChunks.length });
+
+  const job = await createJob(speechChunks, {
+    outputFormat: params.outputFormat,
+    contentType: params.contentType,
+    concurrency: params.concurrency,
+    synthesisOptions: params.synthesisOptions,
+    owner: apiKey ? apiKey.id : null,
+    quota: quotaCharge
+  }, env);
+
+  const baseUrl = `${new URL(request.url).origin}/api/v1/audio/jobs`;
+  const body = JSON.stringify(serializeJob(job, baseUrl));
+
+  if (typeof context.waitUntil === "function") {
+    context.waitUntil(runJob(job, env).catch(error => {
+      console.warn(`任务 ${job.id} 后台处理中断: ${error.message}`);
+    }));
+  }
+
+  return new Response(body, {
+    status: 202,
+    headers: {
+      "Content-Type": "application/json",
+      "Location": `${baseUrl}/${job.id}`,
+      ...requestLimitHeaders,
+      ...characterLimitHeaders
+    }
+  });
+}
+
+// =================================================================================
+// 导出（EdgeOne Pages 兼容格式）
+// =================================================================================
+
+// 任务与语音合成共用 speech 作用域
+export default createRoute({
+  name: "jobs",
+  methods: ["POST"],
+  scope: "speech",
+  handler: handleCreateJob
+});
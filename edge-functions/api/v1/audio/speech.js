@@ -24,56 +24,32 @@
 // 导入模块
 // =================================================================================
 
-import { 
-  makeCORSHeaders, 
-  errorResponse, 
-  smartChunkText, 
-  cleanText, 
-  OPENAI_VOICE_MAP 
-} from '../lib/utils.js';
-
-import { validateApiKey } from '../lib/auth.js';
+import { createRoute } from '../../../lib/router.js';
 
 import { 
   streamVoice, 
+  streamVoiceEvents,
   getVoice, 
+  getVoiceWithTimestamps,
+  getSubtitles,
+  buildSpeechChunks,
   parseRequestParams, 
   processRequestParams 
-} from '../lib/tts.js';
+} from '../../../lib/tts.js';
 
-// =================================================================================
-// 主事件处理器
-// =================================================================================
+import { splitSsml } from '../../../lib/ssml.js';
 
-/**
- * 处理 /api/v1/audio/speech 请求
- * @param {Object} context - EdgeOne Pages 上下文对象
- * @returns {Promise<Response>} HTTP 响应
- */
-async function onRequest(context) {
-  const request = context.request;
-
-  // 处理 CORS 预检请求
-  if (request.method === "OPTIONS") {
-    return new Response(null, {
-      status: 204,
-      headers: makeCORSHeaders(request.headers.get("Access-Control-Request-Headers"))
-    });
-  }
+import { resolveVoiceAliases } from '../../../lib/voices.js';
 
-  // API 密钥验证
-  const API_KEY = context.env.API_KEY;
-  if (API_KEY && !validateApiKey(request, API_KEY)) {
-    return errorResponse("无效的 API 密钥", 401, "invalid_api_key");
-  }
+import { consumeQuota, refundQuota } from '../../../lib/keys.js';
 
-  try {
-    // 处理语音合成请求
-    return await handleSpeechRequest(request);
-  } catch (err) {
-    return errorResponse(`处理错误: ${err.message}`, 500, "internal_server_error");
-  }
-}
+import { resolveLexicon, mergeLexicons } from '../../../lib/lexicon.js';
+
+import { getAudioCache } from '../../../lib/cache.js';
+
+import { recordUsage } from '../../../lib/metrics.js';
+
+import { checkRateLimit } from '../../../lib/ratelimit.js';
 
 // =================================================================================
 // 路由处理器
@@ -81,49 +57,67 @@ async function onRequest(context) {
 
 /**
  * 处理语音合成请求
- * @param {Request} request - HTTP 请求对象
+ * @param {import('../../../lib/router.js').RouteContext} ctx - 路由上下文
  * @returns {Promise<Response>} 语音数据响应
  */
-async function handleSpeechRequest(request) {
-  // 验证请求方法
-  if (request.method !== "POST" && request.method !== "GET") {
-    return errorResponse("不允许的方法", 405, "method_not_allowed");
-  }
+async function handleSpeechRequest({ request, env, apiKey, metrics }) {
+  // 按密钥与客户端 IP 限制每分钟请求数
+  const requestLimitHeaders = await checkRateLimit(request, apiKey, env, "requests");
 
   // 解析请求参数
   const requestBody = await parseRequestParams(request);
 
   // 处理请求参数
-  const params = processRequestParams(requestBody, OPENAI_VOICE_MAP);
+  const params = processRequestParams(requestBody, resolveVoiceAliases(env), env);
+
+  // SSML 直通模式按标签边界拆分，否则按脚本片段清理、分块
+  const speechChunks = params.ssml !== undefined
+    ? splitSsml(params.ssml, params.chunk_size)
+    : buildSpeechChunks(
+      params.segments,
+      params.chunk_size,
+      params.finalCleaningOptions,
+      mergeLexicons(await resolveLexicon(env), params.lexicon) // 请求词典覆盖部署级词典
+    );
 
-  // 清理输入文本
-  const cleanedInput = cleanText(params.input, params.finalCleaningOptions);
+  // 按实际合成的字符数限流并扣减密钥配额
+  const characters = speechChunks.reduce((sum, chunk) => sum + chunk.text.length, 0);
+  const characterLimitHeaders = await checkRateLimit(request, apiKey, env, "characters", characters);
+  const quotaCharge = await consumeQuota(apiKey, characters, env);
+  recordUsage(metrics, { characters, chunks: speechChunks.length });
 
-  // 智能文本分块
-  const textChunks = smartChunkText(cleanedInput, params.chunk_size);
+  // 重复的分块直接从缓存读取，不再请求微软
+  const synthesisOptions = { ...params.synthesisOptions, cache: getAudioCache(env), metrics };
 
   // 根据是否流式选择处理方式
-  if (params.stream) {
-    return await streamVoice(
-      textChunks, 
-      params.concurrency, 
-      params.finalVoice, 
-      params.rate, 
-      params.finalPitch, 
-      params.style, 
-      params.outputFormat
-    );
-  } else {
-    return await getVoice(
-      textChunks, 
-      params.concurrency, 
-      params.finalVoice, 
-      params.rate, 
-      params.finalPitch, 
-      params.style, 
-      params.outputFormat
-    );
+  let response;
+  try {
+    if (params.subtitleFormat) {
+      response = await getSubtitles(speechChunks, params.concurrency, params.outputFormat, params.subtitleFormat, synthesisOptions);
+    } else if (params.timestamps) {
+      response = await getVoiceWithTimestamps(speechChunks, params.concurrency, params.outputFormat, synthesisOptions);
+    } else if (params.sse) {
+      response = await streamVoiceEvents(speechChunks, params.concurrency, params.outputFormat, synthesisOptions);
+    } else if (params.stream) {
+      response = await streamVoice(speechChunks, params.concurrency, params.outputFormat, synthesisOptions);
+    } else {
+      response = await getVoice(speechChunks, params.concurrency, params.outputFormat, synthesisOptions);
+    }
+  } catch (error) {
+    await refundQuota(quotaCharge, env);
+    throw error;
+  }
+
+  // 合成失败（未返回任何音频）时退还配额；流式响应在首块就绪后才开始，之后的中断不退还
+  if (!response.ok) {
+    await refundQuota(quotaCharge, env);
+  }
+
+  // 附加剩余限流额度
+  for (const [name, value] of Object.entries({ ...requestLimitHeaders, ...characterLimitHeaders })) {
+    response.headers.set(name, value);
   }
+  return response;
 }
 
 // =================================================================================
@@ -131,4 +125,9 @@ async function handleSpeechRequest(request) {
 // =================================================================================
 
 // EdgeOne Pages 需要 default export
-export default { fetch: onRequest };
+export default createRoute({
+  name: "speech",
+  methods: ["GET", "POST"],
+  scope: "speech",
+  handler: handleSpeechRequest
+});
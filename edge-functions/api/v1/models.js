@@ -13,59 +13,49 @@
 // 导入模块
 // =================================================================================
 
-import { 
-  makeCORSHeaders, 
-  errorResponse, 
-  OPENAI_VOICE_MAP 
-} from '../lib/utils.js';
+import { createRoute } from '../../lib/router.js';
 
-import { validateApiKey } from '../lib/auth.js';
+import { getVoiceList, resolveVoiceAliases } from '../../lib/voices.js';
 
 // =================================================================================
-// 主事件处理器
+// 路由处理器
 // =================================================================================
 
 /**
  * 处理 /api/v1/models 请求
- * @param {Object} context - EdgeOne Pages 上下文对象
+ * @param {import('../../lib/router.js').RouteContext} ctx - 路由上下文
  * @returns {Promise<Response>} HTTP 响应
  */
-async function onRequest(context) {
-  const request = context.request;
-
-  // 处理 CORS 预检请求
-  if (request.method === "OPTIONS") {
-    return new Response(null, {
-      status: 204,
-      headers: makeCORSHeaders(request.headers.get("Access-Control-Request-Headers"))
-    });
-  }
-
-  // API 密钥验证
-  const API_KEY = context.env.API_KEY;
-  if (API_KEY && !validateApiKey(request, API_KEY)) {
-    return errorResponse("无效的 API 密钥", 401, "invalid_api_key");
-  }
-
+async function handleModelsRequest({ env }) {
+  // 语音目录获取失败时仅返回内置模型，不影响列表可用性
+  let voices = [];
   try {
-    // 返回模型列表
-    const models = [
-      { id: 'tts-1', object: 'model', created: Date.now(), owned_by: 'openai' },
-      { id: 'tts-1-hd', object: 'model', created: Date.now(), owned_by: 'openai' },
-      ...Object.keys(OPENAI_VOICE_MAP).map(v => ({
-        id: `tts-1-${v}`,
-        object: 'model',
-        created: Date.now(),
-        owned_by: 'openai'
-      }))
-    ];
-
-    return new Response(JSON.stringify({ object: "list", data: models }), {
-      headers: { "Content-Type": "application/json", ...makeCORSHeaders() }
-    });
+    voices = await getVoiceList();
   } catch (err) {
-    return errorResponse(`模型列表请求错误: ${err.message}`, 500, "internal_server_error");
+    console.warn(`语音目录获取失败: ${err.message}`);
   }
+
+  // 返回模型列表：内置模型 + OpenAI 音色别名 + 语音目录中的全部音色
+  const models = [
+    { id: 'tts-1', object: 'model', created: Date.now(), owned_by: 'openai' },
+    { id: 'tts-1-hd', object: 'model', created: Date.now(), owned_by: 'openai' },
+    ...Object.keys(resolveVoiceAliases(env)).map(v => ({
+      id: `tts-1-${v}`,
+      object: 'model',
+      created: Date.now(),
+      owned_by: 'openai'
+    })),
+    ...voices.map(v => ({
+      id: v.name,
+      object: 'model',
+      created: Date.now(),
+      owned_by: 'microsoft'
+    }))
+  ];
+
+  return new Response(JSON.stringify({ object: "list", data: models }), {
+    headers: { "Content-Type": "application/json" }
+  });
 }
 
 // =================================================================================
@@ -73,4 +63,8 @@ async function onRequest(context) {
 // =================================================================================
 
 // EdgeOne Pages 需要 default export
-export default { fetch: onRequest };
+export default createRoute({
+  name: "models",
+  scope: "models",
+  handler: handleModelsRequest
+});
@@ -0,0 +1,39 @@
+/**
+ * EdgeOne Pages Edge Function for /api/v1/stats
+ * @version 1.0.0
+ * @description 返回当前实例的请求与合成汇总统计（需要 stats 作用域）
+ */
+
+// =================================================================================
+// 导入模块
+// =================================================================================
+
+import { createRoute } from '../../lib/router.js';
+
+import { getStats } from '../../lib/metrics.js';
+
+// =================================================================================
+// 路由处理器
+// =================================================================================
+
+/**
+ * 处理 /api/v1/stats 请求
+ * @description 统计保存在实例内存中，多实例部署时每次请求可能落到不同实例
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function handleStatsRequest() {
+  return new Response(JSON.stringify(getStats()), {
+    headers: { "Content-Type": "application/json" }
+  });
+}
+
+// =================================================================================
+// 导出（EdgeOne Pages 兼容格式）
+// =================================================================================
+
+// EdgeOne Pages 需要 default export
+export default createRoute({
+  name: "stats",
+  scope: "stats",
+  handler: handleStatsRequest
+});
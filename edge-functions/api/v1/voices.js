@@ -0,0 +1,56 @@
+/**
+ * EdgeOne Pages Edge Function for /api/v1/voices
+ * @version 1.0.0
+ * @description 处理语音目录请求，支持按 locale / gender / style 筛选
+ */
+
+// =================================================================================
+// 导入模块
+// =================================================================================
+
+import { errorResponse } from '../../lib/utils.js';
+
+import { createRoute } from '../../lib/router.js';
+
+import { getVoiceList, filterVoices } from '../../lib/voices.js';
+
+// =================================================================================
+// 路由处理器
+// =================================================================================
+
+/**
+ * 处理 /api/v1/voices 请求
+ * @param {import('../../lib/router.js').RouteContext} ctx - 路由上下文
+ * @returns {Promise<Response>} HTTP 响应
+ */
+async function handleVoicesRequest({ url }) {
+  try {
+    const params = url.searchParams;
+    const voices = filterVoices(await getVoiceList(), {
+      locale: params.get("locale"),
+      gender: params.get("gender"),
+      style: params.get("style")
+    });
+
+    return new Response(JSON.stringify({ object: "list", data: voices }), {
+      headers: {
+        "Content-Type": "application/json",
+        // 端点需要 models 作用域，只允许客户端缓存，避免共享缓存把响应提供给未认证的请求
+        "Cache-Control": "private, max-age=3600"
+      }
+    });
+  } catch (err) {
+    return errorResponse(`语音列表请求错误: ${err.message}`, 502, "upstream_error");
+  }
+}
+
+// =================================================================================
+// 导出（EdgeOne Pages 兼容格式）
+// =================================================================================
+
+// EdgeOne Pages 需要 default export
+export default createRoute({
+  name: "voices",
+  scope: "models",
+  handler: handleVoicesRequest
+});
@@ -0,0 +1,821 @@
+/**
+ * EdgeOne Pages TTS - 音频格式模块
+ * @version 1.0.0
+ * @description 处理 OpenAI response_format 到 Microsoft 输出格式的协商，以及分块音频的容器感知合并
+ */
+
+import { createHttpError } from './utils.js';
+
+// =================================================================================
+// 格式定义
+// =================================================================================
+
+/**
+ * 音频格式描述
+ * @typedef {Object} AudioFormat
+ * @property {string} contentType - 响应 Content-Type
+ * @property {Object.<number, string>} outputs - 采样率到 X-Microsoft-OutputFormat 的映射
+ */
+
+/**
+ * OpenAI response_format 到 Microsoft 输出格式的映射
+ * @description 键为 OpenAI 格式名，outputs 按采样率（Hz）列出可用的 Microsoft 格式
+ * @type {Object.<string, AudioFormat>}
+ */
+export const AUDIO_FORMATS = {
+  mp3: {
+    contentType: "audio/mpeg",
+    outputs: {
+      16000: "audio-16khz-32kbitrate-mono-mp3",
+      24000: "audio-24khz-48kbitrate-mono-mp3",
+      48000: "audio-48khz-96kbitrate-mono-mp3"
+    }
+  },
+  opus: {
+    contentType: "audio/ogg",
+    outputs: {
+      16000: "ogg-16khz-16bit-mono-opus",
+      24000: "ogg-24khz-16bit-mono-opus",
+      48000: "ogg-48khz-16bit-mono-opus"
+    }
+  },
+  wav: {
+    contentType: "audio/wav",
+    outputs: {
+      8000: "riff-8khz-16bit-mono-pcm",
+      16000: "riff-16khz-16bit-mono-pcm",
+      24000: "riff-24khz-16bit-mono-pcm",
+      48000: "riff-48khz-16bit-mono-pcm"
+    }
+  },
+  pcm: {
+    contentType: "audio/pcm",
+    outputs: {
+      8000: "raw-8khz-16bit-mono-pcm",
+      16000: "raw-16khz-16bit-mono-pcm",
+      24000: "raw-24khz-16bit-mono-pcm",
+      48000: "raw-48khz-16bit-mono-pcm"
+    }
+  }
+};
+
+/**
+ * Edge TTS 无法输出（aac、flac），或输出后无法按分块合并（webm）的格式
+ * @type {string[]}
+ */
+const UNSUPPORTED_FORMATS = ["aac", "flac", "webm"];
+
+/**
+ * 各质量档位的默认采样率
+ * @description tts-1 对应 standard，tts-1-hd 对应 hd
+ * @type {Object.<string, number>}
+ */
+const QUALITY_SAMPLE_RATES = {
+  standard: 24000,
+  hd: 48000
+};
+
+// =================================================================================
+// 格式协商
+// =================================================================================
+
+/**
+ * 协商输出格式
+ * @param {Object} options - 协商参数
+ * @param {string} options.responseFormat - OpenAI response_format
+ * @param {string} options.model - 模型 ID，tts-1-hd 系列默认使用 hd 质量
+ * @param {string} [options.quality] - 质量档位（standard / hd），优先于模型推断
+ * @param {number|string} [options.sampleRate] - 指定采样率（Hz），优先于质量档位
+ * @returns {{ responseFormat: string, outputFormat: string, contentType: string, sampleRate: number }} 协商结果
+ * @throws {Error} 格式、质量或采样率不受支持时抛出 400 错误
+ */
+export function resolveOutputFormat({ responseFormat = "mp3", model = "tts-1", quality, sampleRate }) {
+  const formatName = String(responseFormat).toLowerCase();
+
+  if (UNSUPPORTED_FORMATS.includes(formatName)) {
+    throw createHttpError(
+      `Edge TTS 不支持 '${formatName}' 输出格式，可选: ${Object.keys(AUDIO_FORMATS).join(", ")}`,
+      400,
+      "unsupported_response_format",
+      "invalid_request_error",
+      "response_format"
+    );
+  }
+
+  const format = AUDIO_FORMATS[formatName];
+  if (!format) {
+    throw createHttpError(
+      `无效的 response_format: '${responseFormat}'，可选: ${Object.keys(AUDIO_FORMATS).join(", ")}`,
+      400,
+      "invalid_response_format",
+      "invalid_request_error",
+      "response_format"
+    );
+  }
+
+  const finalQuality = quality || (model.startsWith("tts-1-hd") ? "hd" : "standard");
+  if (!QUALITY_SAMPLE_RATES[finalQuality]) {
+    throw createHttpError(
+      `无效的 quality: '${quality}'，可选: ${Object.keys(QUALITY_SAMPLE_RATES).join(", ")}`,
+      400,
+      "invalid_quality",
+      "invalid_request_error",
+      "quality"
+    );
+  }
+
+  const finalSampleRate = sampleRate ? Number(sampleRate) : QUALITY_SAMPLE_RATES[finalQuality];
+  const outputFormat = format.outputs[finalSampleRate];
+  if (!outputFormat) {
+    throw createHttpError(
+      `'${formatName}' 格式不支持 ${sampleRate} Hz 采样率，可选: ${Object.keys(format.outputs).join(", ")}`,
+      400,
+      "unsupported_sample_rate",
+      "invalid_request_error",
+      "sample_rate"
+    );
+  }
+
+  return {
+    responseFormat: formatName,
+    outputFormat,
+    contentType: format.contentType,
+    sampleRate: finalSampleRate
+  };
+}
+
+/**
+ * 根据 Microsoft 输出格式获取 Content-Type
+ * @param {string} outputFormat - X-Microsoft-OutputFormat
+ * @returns {string} Content-Type，未知格式返回 application/octet-stream
+ */
+export function getContentType(outputFormat) {
+  for (const format of Object.values(AUDIO_FORMATS)) {
+    if (Object.values(format.outputs).includes(outputFormat)) {
+      return format.contentType;
+    }
+  }
+  return "application/octet-stream";
+}
+
+// =================================================================================
+// 容器感知的分块合并
+// =================================================================================
+
+/**
+ * 音频合并器
+ * @typedef {Object} AudioMerger
+ * @property {function(Uint8Array): Uint8Array} push - 追加一个分块的音频，返回可立即输出的字节
+ * @property {function(): Uint8Array} finish - 结束合并，返回缓存的剩余字节
+ */
+
+/**
+ * 创建音频合并器
+ * @description 每个文本块返回的都是独立完整的音频文件，直接拼接只对 MP3 帧有效。
+ * 合并器按容器类型改写数据，使分块输出拼接后仍是单个合法文件：
+ * - RIFF：仅输出一次文件头，后续块只保留 data 区数据
+ * - 裸 PCM / MP3：直接拼接
+ * - Ogg：丢弃后续块的头部页与 pre-skip 覆盖的开头包，统一序列号、页序号和 granule 位置并重算 CRC
+ * - 其他容器（如 WebM）：直接拼接会得到多个文件首尾相连的无效数据，不支持
+ * 流式输出时 RIFF 长度字段未知，写入 0xFFFFFFFF；非流式请使用 mergeAudioChunks 修正长度
+ * @param {string} outputFormat - X-Microsoft-OutputFormat
+ * @returns {AudioMerger} 合并器
+ * @throws {Error} 容器不支持合并时抛出
+ */
+export function createAudioMerger(outputFormat) {
+  if (outputFormat.startsWith("riff-")) {
+    return createRiffMerger();
+  }
+  if (outputFormat.startsWith("ogg-")) {
+    return createOggMerger();
+  }
+  if (!outputFormat.startsWith("raw-") && !outputFormat.endsWith("-mp3")) {
+    throw new Error(`不支持合并 ${outputFormat} 格式的分块音频`);
+  }
+  return {
+    push: bytes => bytes,
+    finish: () => new Uint8Array(0)
+  };
+}
+
+/**
+ * 合并全部音频分块为单个文件
+ * @param {string} outputFormat - X-Microsoft-OutputFormat
+ * @param {Uint8Array[]} chunks - 按顺序排列的分块音频
+ * @returns {Uint8Array} 合并后的音频
+ */
+export function mergeAudioChunks(outputFormat, chunks) {
+  const merger = createAudioMerger(outputFormat);
+  const parts = chunks.map(chunk => merger.push(chunk));
+  parts.push(merger.finish());
+
+  const merged = concatBytes(parts);
+  if (outputFormat.startsWith("riff-")) {
+    patchRiffSizes(merged);
+  }
+  return merged;
+}
+
+/**
+ * 拼接多个字节数组
+ * @param {Uint8Array[]} parts - 字节数组列表
+ * @returns {Uint8Array} 拼接结果
+ */
+export function concatBytes(parts) {
+  const totalLength = parts.reduce((sum, part) => sum + part.length, 0);
+  const result = new Uint8Array(totalLength);
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+// =================================================================================
+// RIFF / WAV
+// =================================================================================
+
+/**
+ * 读取 4 字节 ASCII 标识
+ * @param {Uint8Array} bytes - 数据
+ * @param {number} offset - 偏移
+ * @returns {string} 标识字符串
+ */
+function readFourCC(bytes, offset) {
+  return String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+}
+
+/**
+ * 解析 RIFF/WAVE 文件，提取 fmt 块和 PCM 数据
+ * @param {Uint8Array} bytes - WAV 文件字节
+ * @returns {{ fmt: Uint8Array, data: Uint8Array }} fmt 块内容与 data 区数据
+ */
+function parseRiff(bytes) {
+  if (bytes.length < 12 || readFourCC(bytes, 0) !== "RIFF" || readFourCC(bytes, 8) !== "WAVE") {
+    throw new Error("无效的 RIFF 音频数据");
+  }
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  let fmt = null;
+  let offset = 12;
+
+  while (offset + 8 <= bytes.length) {
+    const id = readFourCC(bytes, offset);
+    const size = view.getUint32(offset + 4, true);
+    const bodyStart = offset + 8;
+
+    if (id === "fmt ") {
+      fmt = bytes.subarray(bodyStart, bodyStart + size);
+    } else if (id === "data") {
+      // 流式生成的 WAV 可能将长度写为 0 或 0xFFFFFFFF，此时以实际剩余长度为准
+      const end = size > 0 && bodyStart + size <= bytes.length ? bodyStart + size : bytes.length;
+      if (!fmt) {
+        throw new Error("RIFF 音频缺少 fmt 块");
+      }
+      return { fmt, data: bytes.subarray(bodyStart, end) };
+    }
+
+    offset = bodyStart + size + (size % 2);
+  }
+
+  throw new Error("RIFF 音频缺少 data 块");
+}
+
+/**
+ * 构建 WAV 文件头
+ * @param {Uint8Array} fmt - fmt 块内容
+ * @returns {Uint8Array} 文件头（长度字段为 0xFFFFFFFF 占位）
+ */
+function buildRiffHeader(fmt) {
+  const header = new Uint8Array(12 + 8 + fmt.length + 8);
+  const view = new DataView(header.buffer);
+  const writeFourCC = (offset, id) => {
+    for (let i = 0; i < 4; i++) header[offset + i] = id.charCodeAt(i);
+  };
+
+  writeFourCC(0, "RIFF");
+  view.setUint32(4, 0xFFFFFFFF, true);
+  writeFourCC(8, "WAVE");
+  writeFourCC(12, "fmt ");
+  view.setUint32(16, fmt.length, true);
+  header.set(fmt, 20);
+  writeFourCC(20 + fmt.length, "data");
+  view.setUint32(24 + fmt.length, 0xFFFFFFFF, true);
+
+  return header;
+}
+
+/**
+ * 按实际长度回填 WAV 文件头中的 RIFF 和 data 长度
+ * @param {Uint8Array} bytes - 完整的 WAV 文件
+ */
+function patchRiffSizes(bytes) {
+  if (bytes.length < 12) return;
+
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  view.setUint32(4, bytes.length - 8, true);
+
+  let offset = 12;
+  while (offset + 8 <= bytes.length) {
+    if (readFourCC(bytes, offset) === "data") {
+      view.setUint32(offset + 4, bytes.length - offset - 8, true);
+      return;
+    }
+    const size = view.getUint32(offset + 4, true);
+    offset += 8 + size + (size % 2);
+  }
+}
+
+/**
+ * 创建 RIFF 合并器
+ * @returns {AudioMerger} 合并器
+ */
+function createRiffMerger() {
+  let headerWritten = false;
+
+  return {
+    push(bytes) {
+      const { fmt, data } = parseRiff(bytes);
+      if (headerWritten) {
+        return data;
+      }
+      headerWritten = true;
+      return concatBytes([buildRiffHeader(fmt), data]);
+    },
+    finish: () => new Uint8Array(0)
+  };
+}
+
+// =================================================================================
+// Ogg
+// =================================================================================
+
+/** Ogg 页头标志位 */
+const OGG_FLAG_BOS = 0x02;
+const OGG_FLAG_EOS = 0x04;
+
+/** Opus 流的头部包数量（OpusHead + OpusTags） */
+const OPUS_HEADER_PACKETS = 2;
+
+/** @type {Uint32Array|null} */
+let oggCrcTable = null;
+
+/**
+ * 计算 Ogg 页 CRC32（多项式 0x04C11DB7，不反转）
+ * @param {Uint8Array} bytes - 页数据（CRC 字段需置零）
+ * @returns {number} CRC 值
+ */
+function oggCrc32(bytes) {
+  if (!oggCrcTable) {
+    oggCrcTable = new Uint32Array(256);
+    for (let i = 0; i < 256; i++) {
+      let r = i << 24;
+      for (let j = 0; j < 8; j++) {
+        r = r & 0x80000000 ? (r << 1) ^ 0x04C11DB7 : r << 1;
+      }
+      oggCrcTable[i] = r >>> 0;
+    }
+  }
+
+  let crc = 0;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = ((crc << 8) ^ oggCrcTable[((crc >>> 24) ^ bytes[i]) & 0xFF]) >>> 0;
+  }
+  return crc;
+}
+
+/**
+ * 将 Ogg 数据拆分为页
+ * @param {Uint8Array} bytes - Ogg 文件字节
+ * @returns {Uint8Array[]} 页列表（每页为原数据的副本）
+ */
+function splitOggPages(bytes) {
+  const pages = [];
+  let offset = 0;
+
+  while (offset + 27 <= bytes.length) {
+    if (readFourCC(bytes, offset) !== "OggS") {
+      throw new Error(`无效的 Ogg 页: 偏移 ${offset}`);
+    }
+    const segmentCount = bytes[offset + 26];
+    const lacing = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+    const bodyLength = lacing.reduce((sum, value) => sum + value, 0);
+    const pageLength = 27 + segmentCount + bodyLength;
+
+    if (offset + pageLength > bytes.length) {
+      throw new Error("Ogg 页数据不完整");
+    }
+    pages.push(bytes.slice(offset, offset + pageLength));
+    offset += pageLength;
+  }
+
+  return pages;
+}
+
+/**
+ * 统计页内结束的包数量
+ * @param {Uint8Array} page - Ogg 页
+ * @returns {number} 结束的包数量
+ */
+function countCompletedPackets(page) {
+  const segmentCount = page[26];
+  let count = 0;
+  for (let i = 0; i < segmentCount; i++) {
+    if (page[27 + i] < 255) count++;
+  }
+  return count;
+}
+
+/**
+ * 读取 OpusHead 中的 pre-skip
+ * @param {Uint8Array} page - 包含 OpusHead 的首页
+ * @returns {number} pre-skip（48 kHz 采样数）
+ */
+function readOpusPreSkip(page) {
+  // OpusHead 包：8 字节标识 + 版本(1) + 声道数(1) + pre-skip(2)
+  const headStart = 27 + page[26];
+  return page[headStart + 10] | (page[headStart + 11] << 8);
+}
+
+/**
+ * 计算 Opus 包的时长
+ * @description 按 TOC 字节（RFC 6716 3.1）解析帧时长与帧数
+ * @param {Uint8Array} packet - Opus 包
+ * @returns {number} 时长（48 kHz 采样数）
+ */
+function getOpusPacketSamples(packet) {
+  if (packet.length === 0) return 0;
+  const config = packet[0] >> 3;
+  const frameSamples = config < 12 ? [480, 960, 1920, 2880][config & 3] // SILK：10/20/40/60 ms
+    : config < 16 ? [480, 960][config & 1]                             // Hybrid：10/20 ms
+    : [120, 240, 480, 960][config & 3];                                // CELT：2.5/5/10/20 ms
+  const code = packet[0] & 3;
+  const frames = code === 0 ? 1 : code < 3 ? 2 : (packet[1] & 0x3F);
+  return frameSamples * frames;
+}
+
+/**
+ * 丢弃页开头的完整包，直到丢弃的时长不少于指定采样数
+ * @description 延续到下一页的包不丢弃
+ * @param {Uint8Array} page - Ogg 页
+ * @param {number} samples - 需要丢弃的时长（48 kHz 采样数）
+ * @returns {{ page: Uint8Array, dropped: number }} 改写后的页（未丢弃时为原页）与实际丢弃的采样数
+ */
+function dropLeadingPackets(page, samples) {
+  const segmentCount = page[26];
+  let segment = 0;
+  let offset = 27 + segmentCount;
+  let dropped = 0;
+
+  while (dropped < samples && segment < segmentCount) {
+    let end = segment;
+    let length = 0;
+    while (end < segmentCount && page[27 + end] === 255) {
+      length += page[27 + end++];
+    }
+    if (end === segmentCount) break;
+    length += page[27 + end];
+
+    dropped += getOpusPacketSamples(page.subarray(offset, offset + length));
+    offset += length;
+    segment = end + 1;
+  }
+  if (segment === 0) return { page, dropped: 0 };
+
+  const kept = segmentCount - segment;
+  const trimmed = new Uint8Array(27 + kept + page.length - offset);
+  trimmed.set(page.subarray(0, 26));
+  trimmed[26] = kept;
+  trimmed.set(page.subarray(27 + segment, 27 + segmentCount), 27);
+  trimmed.set(page.subarray(offset), 27 + kept);
+  return { page: trimmed, dropped };
+}
+
+/**
+ * 创建 Ogg 合并器
+ * @description 保留首块的头部页，后续块跳过 OpusHead/OpusTags，
+ * 并将所有页改写到同一逻辑流中。合并后的流只有首块的 pre-skip 生效，
+ * 后续块开头 pre-skip 覆盖的编码器预热包按整包丢弃（最多多丢一个包，约 20 毫秒，分块开头通常是静音），
+ * granule 位置扣除丢弃的采样数。每块的最后一页会被暂存，
+ * 以便在 finish 时只为整个文件的最后一页设置 EOS 标志。
+ * @returns {AudioMerger} 合并器
+ */
+function createOggMerger() {
+  let serial = null;
+  let sequence = 0;
+  let granuleOffset = 0n;
+  let chunkIndex = 0;
+  /** @type {Uint8Array|null} */
+  let pendingPage = null;
+
+  /**
+   * 改写并封装一页
+   * @param {Uint8Array} page - 原始页（会被原地修改）
+   * @param {boolean} isLast - 是否为整个文件的最后一页
+   * @returns {Uint8Array} 改写后的页
+   */
+  const finalizePage = (page, isLast) => {
+    const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+    page[5] = isLast ? page[5] | OGG_FLAG_EOS : page[5] & ~OGG_FLAG_EOS;
+    view.setUint32(18, sequence++, true);
+    view.setUint32(22, 0, true);
+    view.setUint32(22, oggCrc32(page), true);
+    return page;
+  };
+
+  return {
+    push(bytes) {
+      const pages = splitOggPages(bytes);
+      const output = [];
+      const isFirstChunk = chunkIndex++ === 0;
+      let headerPackets = 0;
+      let lastGranule = 0n;
+      let preSkip = 0;
+      let dropped = 0;
+
+      if (pendingPage) {
+        output.push(finalizePage(pendingPage, false));
+        pendingPage = null;
+      }
+
+      for (let page of pages) {
+        // 后续块的头部包（OpusHead、OpusTags）直接丢弃，记录其 pre-skip
+        if (headerPackets < OPUS_HEADER_PACKETS) {
+          if (headerPackets === 0 && !isFirstChunk) {
+            preSkip = readOpusPreSkip(page);
+          }
+          headerPackets += countCompletedPackets(page);
+          if (!isFirstChunk) continue;
+        } else {
+          if (dropped < preSkip) {
+            const result = dropLeadingPackets(page, preSkip - dropped);
+            dropped += result.dropped;
+            // 本页仍有剩余包或开头的包延续到下一页时停止丢弃
+            if (result.page[26] > 0) preSkip = 0;
+            page = result.page;
+          }
+
+          const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+          const granule = view.getBigInt64(6, true);
+          if (granule !== -1n) {
+            lastGranule = granule;
+            view.setBigInt64(6, granule - BigInt(dropped) + granuleOffset, true);
+          }
+          if (page[26] === 0) continue;
+        }
+
+        const view = new DataView(page.buffer, page.byteOffset, page.byteLength);
+        if (serial === null) {
+          serial = view.getUint32(14, true);
+        }
+        view.setUint32(14, serial, true);
+        if (!isFirstChunk) {
+          page[5] &= ~OGG_FLAG_BOS;
+        }
+
+        if (pendingPage) {
+          output.push(finalizePage(pendingPage, false));
+        }
+        pendingPage = page;
+      }
+
+      granuleOffset += lastGranule - BigInt(dropped);
+      return concatBytes(output);
+    },
+    finish() {
+      if (!pendingPage) return new Uint8Array(0);
+      const page = finalizePage(pendingPage, true);
+      pendingPage = null;
+      return page;
+    }
+  };
+}
+
+// =================================================================================
+// 静音生成
+// =================================================================================
+
+/** MP3（Layer III）码率表（kbps），下标为帧头中的码率索引 */
+const MP3_BITRATES = {
+  mpeg1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  mpeg2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+
+/** MP3 采样率表（Hz），下标为帧头中的采样率索引 */
+const MP3_SAMPLE_RATES = {
+  mpeg1: [44100, 48000, 32000],
+  mpeg2: [22050, 24000, 16000]
+};
+
+/** 20 毫秒的 Opus 静音包（CELT 全频带单声道，TOC 0xF8） */
+const OPUS_SILENCE_PACKET = new Uint8Array([0xF8, 0xFF, 0xFE]);
+
+/** Opus 静音包时长（48 kHz 采样数） */
+const OPUS_SILENCE_SAMPLES = 960;
+
+/** 每个 Ogg 页容纳的静音包数量（1 秒） */
+const OPUS_PACKETS_PER_PAGE = 50;
+
+/**
+ * 生成指定时长的静音
+ * @description 按输出格式在本地生成，无需请求微软：PCM 为零值采样，MP3 为无主数据的 Layer III 帧，
+ * Ogg Opus 为带 OpusHead / OpusTags 的完整流，可与其他分块一起交给合并器
+ * @param {string} outputFormat - X-Microsoft-OutputFormat
+ * @param {number} seconds - 时长（秒）
+ * @returns {Uint8Array|null} 与分块音频格式一致的静音数据，格式无法识别时为 null
+ */
+export function createSilence(outputFormat, seconds) {
+  const sampleRate = parseSampleRate(outputFormat);
+
+  if (outputFormat.startsWith("ogg-") && outputFormat.endsWith("-opus")) {
+    return createOpusSilence(sampleRate, seconds);
+  }
+
+  const bitrateMatch = outputFormat.match(/(\d+)kbitrate-mono-mp3$/);
+  if (bitrateMatch) {
+    return createMp3Silence(sampleRate, Number(bitrateMatch[1]), seconds);
+  }
+
+  const samples = new Uint8Array(Math.round(seconds * sampleRate) * 2); // 16bit 单声道
+  if (outputFormat.startsWith("raw-")) {
+    return samples;
+  }
+  if (outputFormat.startsWith("riff-")) {
+    // fmt 块：PCM(1) / 单声道 / 采样率 / 字节率 / 块对齐 2 / 16bit
+    const fmt = new Uint8Array(16);
+    const view = new DataView(fmt.buffer);
+    view.setUint16(0, 1, true);
+    view.setUint16(2, 1, true);
+    view.setUint32(4, sampleRate, true);
+    view.setUint32(8, sampleRate * 2, true);
+    view.setUint16(12, 2, true);
+    view.setUint16(14, 16, true);
+
+    const wav = concatBytes([buildRiffHeader(fmt), samples]);
+    patchRiffSizes(wav);
+    return wav;
+  }
+  return null;
+}
+
+/**
+ * 生成 MP3 静音
+ * @description 帧头之后的边信息与主数据全部为零（part2_3_length 与 global_gain 为 0），解码为静音；
+ * 32 kHz 及以上为 MPEG-1（每帧 1152 个采样），以下为 MPEG-2（每帧 576 个采样），不使用填充位
+ * @param {number} sampleRate - 采样率（Hz）
+ * @param {number} bitrate - 码率（kbps）
+ * @param {number} seconds - 时长（秒）
+ * @returns {Uint8Array|null} MP3 帧序列，码率与采样率无法组成固定长度的帧时为 null
+ */
+function createMp3Silence(sampleRate, bitrate, seconds) {
+  const version = sampleRate >= 32000 ? "mpeg1" : "mpeg2";
+  const bitrateIndex = MP3_BITRATES[version].indexOf(bitrate);
+  const sampleRateIndex = MP3_SAMPLE_RATES[version].indexOf(sampleRate);
+  const samplesPerFrame = version === "mpeg1" ? 1152 : 576;
+  const frameLength = (samplesPerFrame / 8) * bitrate * 1000 / sampleRate;
+  if (bitrateIndex <= 0 || sampleRateIndex < 0 || !Number.isInteger(frameLength)) {
+    return null;
+  }
+
+  // 同步字 / 版本 / Layer III / 无 CRC；码率与采样率索引；单声道
+  const frame = new Uint8Array(frameLength);
+  frame.set([0xFF, version === "mpeg1" ? 0xFB : 0xF3, (bitrateIndex << 4) | (sampleRateIndex << 2), 0xC0]);
+
+  const count = Math.max(1, Math.round(seconds * sampleRate / samplesPerFrame));
+  const result = new Uint8Array(frameLength * count);
+  for (let i = 0; i < count; i++) {
+    result.set(frame, i * frameLength);
+  }
+  return result;
+}
+
+/**
+ * 生成 Ogg Opus 静音
+ * @description 第一页为 OpusHead（pre-skip 为 0），第二页为 OpusTags，之后每页 1 秒静音包；
+ * Opus 的 granule 位置始终以 48 kHz 计
+ * @param {number} sampleRate - 原始采样率（Hz），写入 OpusHead
+ * @param {number} seconds - 时长（秒）
+ * @returns {Uint8Array} Ogg 文件
+ */
+function createOpusSilence(sampleRate, seconds) {
+  const head = new Uint8Array(19);
+  const headView = new DataView(head.buffer);
+  head.set(new TextEncoder().encode("OpusHead"));
+  head[8] = 1; // 版本
+  head[9] = 1; // 单声道
+  headView.setUint32(12, sampleRate, true);
+
+  const vendor = new TextEncoder().encode("edgetts");
+  const tags = new Uint8Array(8 + 4 + vendor.length + 4);
+  const tagsView = new DataView(tags.buffer);
+  tags.set(new TextEncoder().encode("OpusTags"));
+  tagsView.setUint32(8, vendor.length, true);
+  tags.set(vendor, 12);
+
+  const pages = [
+    buildOggPage([head], { flags: OGG_FLAG_BOS, granule: 0n, sequence: 0 }),
+    buildOggPage([tags], { flags: 0, granule: 0n, sequence: 1 })
+  ];
+
+  const total = Math.max(1, Math.round(seconds * 48000 / OPUS_SILENCE_SAMPLES));
+  for (let written = 0; written < total; written += OPUS_PACKETS_PER_PAGE) {
+    const count = Math.min(OPUS_PACKETS_PER_PAGE, total - written);
+    pages.push(buildOggPage(new Array(count).fill(OPUS_SILENCE_PACKET), {
+      flags: written + count === total ? OGG_FLAG_EOS : 0,
+      granule: BigInt((written + count) * OPUS_SILENCE_SAMPLES),
+      sequence: pages.length
+    }));
+  }
+  return concatBytes(pages);
+}
+
+/**
+ * 封装一个 Ogg 页
+ * @param {Uint8Array[]} packets - 页内的完整包（每个不超过 254 字节，最多 255 个）
+ * @param {Object} options - 页头字段
+ * @param {number} options.flags - 标志位（BOS / EOS）
+ * @param {bigint} options.granule - granule 位置
+ * @param {number} options.sequence - 页序号
+ * @returns {Uint8Array} Ogg 页
+ */
+function buildOggPage(packets, { flags, granule, sequence }) {
+  const body = concatBytes(packets);
+  const page = new Uint8Array(27 + packets.length + body.length);
+  const view = new DataView(page.buffer);
+
+  page.set(new TextEncoder().encode("OggS"));
+  page[5] = flags;
+  view.setBigInt64(6, granule, true);
+  view.setUint32(14, 0x45545453, true); // 序列号，合并时统一改写为首块的序列号
+  view.setUint32(18, sequence, true);
+  page[26] = packets.length;
+  packets.forEach((packet, i) => { page[27 + i] = packet.length; });
+  page.set(body, 27 + packets.length);
+  view.setUint32(22, oggCrc32(page), true);
+  return page;
+}
+
+// =================================================================================
+// 时长计算
+// =================================================================================
+
+/**
+ * 计算单个分块音频的播放时长
+ * @description 基于容器信息计算：PCM 按采样率换算，MP3 按固定码率换算，
+ * Ogg Opus 使用最后一页的 granule 位置减去 pre-skip
+ * @param {string} outputFormat - X-Microsoft-OutputFormat
+ * @param {Uint8Array} bytes - 分块音频（合并前的完整文件）
+ * @returns {number} 时长（秒）
+ */
+export function getAudioDuration(outputFormat, bytes) {
+  const sampleRate = parseSampleRate(outputFormat);
+
+  if (outputFormat.startsWith("riff-")) {
+    return parseRiff(bytes).data.length / (sampleRate * 2);
+  }
+  if (outputFormat.startsWith("raw-")) {
+    return bytes.length / (sampleRate * 2);
+  }
+  if (outputFormat.startsWith("ogg-")) {
+    return getOggDuration(bytes);
+  }
+
+  const bitrateMatch = outputFormat.match(/(\d+)kbitrate/);
+  if (bitrateMatch) {
+    return (bytes.length * 8) / (Number(bitrateMatch[1]) * 1000);
+  }
+  throw new Error(`无法计算 ${outputFormat} 格式的音频时长`);
+}
+
+/**
+ * 从输出格式名解析采样率
+ * @param {string} outputFormat - X-Microsoft-OutputFormat
+ * @returns {number} 采样率（Hz）
+ */
+function parseSampleRate(outputFormat) {
+  const match = outputFormat.match(/(\d+)khz/);
+  return match ? Number(match[1]) * 1000 : 24000;
+}
+
+/**
+ * 计算 Ogg Opus 音频时长
+ * @param {Uint8Array} bytes - Ogg 文件字节
+ * @returns {number} 时长（秒）
+ */
+function getOggDuration(bytes) {
+  const pages = splitOggPages(bytes);
+  if (pages.length === 0) return 0;
+
+  const preSkip = readOpusPreSkip(pages[0]);
+
+  for (let i = pages.length - 1; i >= 0; i--) {
+    const view = new DataView(pages[i].buffer, pages[i].byteOffset, pages[i].byteLength);
+    const granule = view.getBigInt64(6, true);
+    if (granule > 0n) {
+      // Opus 的 granule 位置始终以 48 kHz 计
+      return Math.max(0, Number(granule) - preSkip) / 48000;
+    }
+  }
+  return 0;
+}
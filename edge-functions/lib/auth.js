@@ -4,7 +4,8 @@
  * @description 处理 API Key 验证和 Microsoft TTS Token 获取
  */
 
-import { base64ToBytes, bytesToBase64 } from './utils.js';
+import { base64ToBytes, bytesToBase64, createHttpError, timingSafeEqual } from './utils.js';
+import { indexApiKeyId, isAuthEnabled, lookupApiKey, lookupApiKeyById } from './keys.js';
 
 // =================================================================================
 // Token 缓存管理
@@ -27,35 +28,185 @@ let tokenRefreshing = false;
 /** @type {Promise<Object>|null} */
 let tokenRefreshPromise = null;
 
+/**
+ * Token 刷新计数（实例内累计）
+ * @type {{ refreshes: number, failures: number, lastRefreshAt: number|null }}
+ */
+let tokenStats = { refreshes: 0, failures: 0, lastRefreshAt: null };
+
 // =================================================================================
 // API Key 验证
 // =================================================================================
 
 /**
- * 验证 API Key
+ * 从请求中提取 API Key
+ * @description 优先读取 Authorization: Bearer 头，其次读取 URL 参数 key / api_key；
+ * 返回值可能是 API Key，也可能是分享令牌
  * @param {Request} request - HTTP 请求对象
- * @param {string} apiKey - 配置的 API Key
- * @returns {boolean} 验证是否通过
+ * @returns {string|null} 请求提供的密钥
  */
-export function validateApiKey(request, apiKey) {
-  if (!apiKey) return true; // 如果未配置 API Key，则跳过验证
-
-  const url = new URL(request.url);
-  
+export function extractApiKey(request) {
   // 1. 尝试从 Header 获取
   const authHeader = request.headers.get("authorization");
-  let providedKey = null;
-  
   if (authHeader && authHeader.startsWith("Bearer ")) {
-    providedKey = authHeader.slice(7);
-  } 
+    return authHeader.slice(7);
+  }
+
   // 2. 如果 Header 没有，尝试从 URL 参数获取
-  else {
-    providedKey = url.searchParams.get("key") || url.searchParams.get("api_key");
+  const url = new URL(request.url);
+  return url.searchParams.get("key") || url.searchParams.get("api_key");
+}
+
+/**
+ * 验证 API Key 及其作用域
+ * @param {Request} request - HTTP 请求对象
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @param {string} scope - 当前端点所需的作用域（见 KEY_SCOPES）
+ * @returns {Promise<import('./keys.js').KeyRecord|null>} 密钥配置，未启用验证时返回 null
+ * @throws {Error} 密钥无效或无法验证分享令牌时抛出 401，作用域不足时抛出 403
+ * @description 所有密钥比较均为常量时间；分享令牌仅在 speech 作用域下有效
+ */
+export async function validateApiKey(request, env, scope) {
+  if (!isAuthEnabled(env)) return null; // 如果未配置 API Key，则跳过验证
+
+  const providedKey = extractApiKey(request);
+
+  // 分享令牌只能用于语音合成端点
+  if (providedKey && providedKey.startsWith(SHARE_TOKEN_PREFIX)) {
+    const record = scope === "speech" ? await verifyShareToken(providedKey, env) : null;
+    if (!record) {
+      throw createHttpError("无效或已过期的分享令牌", 401, "invalid_api_key");
+    }
+    return record;
   }
 
-  // 3. 验证密钥
-  return providedKey && providedKey === apiKey;
+  const record = await lookupApiKey(providedKey, env);
+  if (!record) {
+    throw createHttpError("无效的 API 密钥", 401, "invalid_api_key");
+  }
+
+  if (!record.scopes.includes(scope)) {
+    throw createHttpError(`密钥 ${record.label} 无权访问该端点（需要 ${scope} 作用域）`, 403, "insufficient_scope");
+  }
+
+  return record;
+}
+
+// =================================================================================
+// 分享令牌
+// =================================================================================
+
+/** 分享令牌前缀 */
+const SHARE_TOKEN_PREFIX = "st_";
+
+/** 分享令牌默认有效期（秒） */
+export const SHARE_TOKEN_DEFAULT_TTL = 30 * 24 * 60 * 60;
+
+/** 分享令牌最长有效期（秒），更长的 ttl 按此截断 */
+export const SHARE_TOKEN_MAX_TTL = 90 * 24 * 60 * 60;
+
+/**
+ * 分享令牌载荷
+ * @typedef {Object} ShareTokenPayload
+ * @property {string} kid - 签发密钥的标识，验证时按它查找密钥的当前配置，配额计入该密钥
+ * @property {string} scope - 令牌作用域，固定为 speech
+ * @property {number} exp - 过期时间戳（秒）
+ */
+
+/**
+ * 获取分享令牌签名密钥
+ * @description 同时用于加密存储中的密钥标识索引
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Uint8Array} 签名密钥
+ * @throws {Error} 未配置 SHARE_TOKEN_SECRET 与 API_KEY 时抛出 500（服务端配置缺失，仅配置 API_KEYS 时分享令牌不可用）
+ */
+function getShareTokenSecret(env) {
+  const secret = env.SHARE_TOKEN_SECRET || env.API_KEY;
+  if (!secret) {
+    throw createHttpError("服务端未配置 SHARE_TOKEN_SECRET，分享令牌不可用", 500, "share_token_unavailable", "api_error");
+  }
+  return new TextEncoder().encode(secret);
+}
+
+/**
+ * 签发分享令牌
+ * @description 令牌形如 st_<载荷>.<签名>，仅可用于 /api/v1/audio/speech。载荷只包含签发密钥的标识与过期时间，
+ * 额度限制在验证时从密钥注册表读取；删除或更换签发密钥即吊销其令牌，更换 SHARE_TOKEN_SECRET 吊销全部令牌
+ * @param {import('./keys.js').KeyRecord} record - 签发令牌的密钥配置
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @param {Object} options - 签发选项
+ * @param {number} [options.ttl=SHARE_TOKEN_DEFAULT_TTL] - 有效期（秒），最长 SHARE_TOKEN_MAX_TTL
+ * @returns {Promise<string>} 分享令牌
+ * @throws {Error} 签发密钥没有 speech 作用域时抛出 403，未配置签名密钥时抛出 500
+ */
+export async function createShareToken(record, env, { ttl = SHARE_TOKEN_DEFAULT_TTL } = {}) {
+  if (!record.scopes.includes("speech")) {
+    throw createHttpError(`密钥 ${record.label} 没有 speech 作用域，无法签发分享令牌`, 403, "insufficient_scope");
+  }
+
+  /** @type {ShareTokenPayload} */
+  const payload = {
+    kid: record.id,
+    scope: "speech",
+    exp: Math.floor(Date.now() / 1000) + Math.min(ttl, SHARE_TOKEN_MAX_TTL)
+  };
+
+  const secret = getShareTokenSecret(env);
+  const body = toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+  const signature = await hmacSha256(secret, `${SHARE_TOKEN_PREFIX}${body}`);
+  await indexApiKeyId(record, env, secret);
+  return `${SHARE_TOKEN_PREFIX}${body}.${toBase64Url(signature)}`;
+}
+
+/**
+ * 验证分享令牌
+ * @description 签名与有效期通过后按 kid 查找签发密钥，密钥已删除或不再拥有 speech 作用域时令牌无效
+ * @param {string} token - 分享令牌
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<import('./keys.js').KeyRecord|null>} 签发密钥的当前配置（不含原始密钥），无效或过期时返回 null
+ * @throws {Error} 未配置签名密钥时抛出 500
+ */
+async function verifyShareToken(token, env) {
+  const [body, signature] = token.slice(SHARE_TOKEN_PREFIX.length).split(".");
+  if (!body || !signature) return null;
+
+  const secret = getShareTokenSecret(env);
+  const expected = await hmacSha256(secret, `${SHARE_TOKEN_PREFIX}${body}`);
+  if (!timingSafeEqual(toBase64Url(expected), signature)) return null;
+
+  /** @type {ShareTokenPayload} */
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+  } catch (e) {
+    return null;
+  }
+  if (payload.scope !== "speech") return null;
+  if (!payload.exp || Date.now() / 1000 >= payload.exp) return null;
+
+  const record = await lookupApiKeyById(payload.kid, env, secret);
+  if (!record || !record.scopes.includes("speech")) return null;
+
+  return { ...record, key: null, scopes: ["speech"] };
+}
+
+/**
+ * 字节数组转 Base64URL 字符串（无填充）
+ * @param {Uint8Array} bytes - 字节数组
+ * @returns {string} Base64URL 字符串
+ */
+function toBase64Url(bytes) {
+  return bytesToBase64(bytes).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+/**
+ * Base64URL 字符串转字节数组
+ * @param {string} text - Base64URL 字符串
+ * @returns {Uint8Array} 字节数组
+ */
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, "+").replace(/_/g, "/");
+  return base64ToBytes(base64 + "=".repeat((4 - base64.length % 4) % 4));
 }
 
 // =================================================================================
@@ -142,9 +293,12 @@ export async function getEndpoint() {
         token: data.t,
         expiredAt: decodedJwt.exp
       };
+      tokenStats.refreshes++;
+      tokenStats.lastRefreshAt = Math.floor(Date.now() / 1000);
 
       return tokenInfo.endpoint;
     } catch (error) {
+      tokenStats.failures++;
       throw new Error(`端点获取失败: ${error.message}`);
     } finally {
       tokenRefreshing = false;
@@ -192,7 +346,7 @@ async function sign(urlStr) {
  * @param {string} data - 待签名数据
  * @returns {Promise<Uint8Array>} 签名结果
  */
-async function hmacSha256(key, data) {
+export async function hmacSha256(key, data) {
   // 检查 EdgeOne Pages 环境中的 crypto API
   if (!crypto || !crypto.subtle) {
     throw new Error("crypto.subtle API 不可用，EdgeOne Pages 环境可能不支持此功能");
@@ -225,6 +379,14 @@ async function hmacSha256(key, data) {
   }
 }
 
+/**
+ * 获取 Token 刷新计数
+ * @returns {{ refreshes: number, failures: number, lastRefreshAt: number|null }} 计数副本
+ */
+export function getTokenStats() {
+  return { ...tokenStats };
+}
+
 /**
  * 清除 Token 缓存（用于测试或强制刷新）
  */
@@ -0,0 +1,187 @@
+/**
+ * EdgeOne Pages TTS - 音频缓存模块
+ * @version 1.0.0
+ * @description 缓存已合成的分块音频，支持内存 LRU、EdgeOne KV 与 Cache API 三种后端
+ */
+
+import { base64ToBytes, bytesToBase64, sha256Hex } from './utils.js';
+import { createMemoryStore, createKVStore, getKVNamespace } from './store.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 音频缓存接口
+ * @typedef {Object} AudioCache
+ * @property {(key: string) => Promise<Uint8Array|null>} get - 读取音频，未命中时返回 null
+ * @property {(key: string, bytes: Uint8Array) => Promise<void>} put - 写入音频
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/**
+ * 音频缓存默认配置
+ * @description 可通过环境变量覆盖：AUDIO_CACHE（memory / kv / cache-api / off）、
+ * AUDIO_CACHE_TTL（秒）、AUDIO_CACHE_MAX_BYTES（内存缓存总容量）、AUDIO_CACHE_MAX_ENTRY_BYTES（单条上限）
+ * @type {Object}
+ */
+export const AUDIO_CACHE_DEFAULTS = {
+  BACKEND: "memory",
+  TTL: 24 * 60 * 60,
+  MAX_BYTES: 32 * 1024 * 1024,
+  MAX_ENTRY_BYTES: 1024 * 1024
+};
+
+/** 缓存键前缀 */
+const CACHE_KEY_PREFIX = "audio:";
+
+/** Cache API 使用的虚拟源站（缓存键须为 URL） */
+const CACHE_API_ORIGIN = "https://tts-audio-cache.internal/";
+
+// =================================================================================
+// 缓存键
+// =================================================================================
+
+/**
+ * 计算分块音频的缓存键
+ * @description 由清理后的文本、全部语音参数和命中的发音词典条目决定；SSML 直通单元以完整 SSML 代替文本与参数
+ * @param {import('./tts.js').SpeechChunk} chunk - 合成单元
+ * @param {string} outputFormat - 输出格式
+ * @returns {Promise<string>} 缓存键
+ */
+export async function getAudioCacheKey(chunk, outputFormat) {
+  const parts = chunk.ssml
+    ? [chunk.ssml, outputFormat]
+    : [chunk.text, chunk.voiceName, chunk.rate, chunk.pitch, chunk.style, outputFormat];
+  if (chunk.lexicon) {
+    parts.push(chunk.lexicon);
+  }
+  return `${CACHE_KEY_PREFIX}${await sha256Hex(JSON.stringify(parts))}`;
+}
+
+// =================================================================================
+// 缓存后端
+// =================================================================================
+
+/** @type {{ config: string|null, cache: AudioCache|null }} */
+let memoryCache = { config: null, cache: null };
+
+/**
+ * 获取当前部署使用的音频缓存
+ * @description 内存缓存在同一实例的请求间共享；选择 kv 但未绑定 KV 时回退到内存缓存
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {AudioCache|null} 音频缓存，AUDIO_CACHE=off 时为 null
+ */
+export function getAudioCache(env = {}) {
+  const backend = (env.AUDIO_CACHE || AUDIO_CACHE_DEFAULTS.BACKEND).toLowerCase();
+  const ttl = Number(env.AUDIO_CACHE_TTL) || AUDIO_CACHE_DEFAULTS.TTL;
+  const maxEntryBytes = Number(env.AUDIO_CACHE_MAX_ENTRY_BYTES) || AUDIO_CACHE_DEFAULTS.MAX_ENTRY_BYTES;
+
+  if (backend === "off") {
+    return null;
+  }
+
+  if (backend === "cache-api" && typeof caches !== "undefined") {
+    return createCacheApiAudioCache({ ttl, maxEntryBytes });
+  }
+
+  const namespace = backend === "kv" ? getKVNamespace(env) : null;
+  if (namespace) {
+    return createKVAudioCache(namespace, { ttl, maxEntryBytes });
+  }
+
+  const maxBytes = Number(env.AUDIO_CACHE_MAX_BYTES) || AUDIO_CACHE_DEFAULTS.MAX_BYTES;
+  const config = `${ttl}:${maxBytes}:${maxEntryBytes}`;
+  if (memoryCache.config !== config) {
+    memoryCache = { config, cache: createMemoryAudioCache({ ttl, maxBytes, maxEntryBytes }) };
+  }
+  return memoryCache.cache;
+}
+
+/**
+ * 创建内存 LRU 音频缓存
+ * @param {Object} options - 配置选项
+ * @param {number} options.ttl - 过期时间（秒）
+ * @param {number} options.maxBytes - 总容量（字节）
+ * @param {number} options.maxEntryBytes - 单条上限（字节）
+ * @returns {AudioCache} 音频缓存
+ */
+export function createMemoryAudioCache({ ttl, maxBytes, maxEntryBytes }) {
+  const store = createMemoryStore({
+    maxEntries: Infinity,
+    maxSize: maxBytes,
+    sizeOf: bytes => bytes.length
+  });
+
+  // 合并器会原地改写分块音频（如 Ogg 页头），读写时均复制，避免污染缓存
+  return {
+    async get(key) {
+      const bytes = await store.get(key);
+      return bytes ? bytes.slice() : null;
+    },
+    async put(key, bytes) {
+      if (bytes.length <= maxEntryBytes) {
+        await store.put(key, bytes.slice(), { ttl });
+      }
+    }
+  };
+}
+
+/**
+ * 创建 EdgeOne KV 音频缓存
+ * @description KV 只能保存文本，音频以 Base64 存储
+ * @param {Object} namespace - KV 命名空间绑定
+ * @param {Object} options - 配置选项
+ * @param {number} options.ttl - 过期时间（秒）
+ * @param {number} options.maxEntryBytes - 单条上限（字节）
+ * @returns {AudioCache} 音频缓存
+ */
+export function createKVAudioCache(namespace, { ttl, maxEntryBytes }) {
+  const store = createKVStore(namespace);
+
+  return {
+    async get(key) {
+      const base64 = await store.get(key);
+      return base64 ? base64ToBytes(base64) : null;
+    },
+    async put(key, bytes) {
+      if (bytes.length <= maxEntryBytes) {
+        await store.put(key, bytesToBase64(bytes), { ttl });
+      }
+    }
+  };
+}
+
+/**
+ * 创建 Cache API 音频缓存
+ * @description 使用运行时提供的 caches.default（不存在时打开名为 tts-audio 的缓存），过期由 Cache-Control 控制
+ * @param {Object} options - 配置选项
+ * @param {number} options.ttl - 过期时间（秒）
+ * @param {number} options.maxEntryBytes - 单条上限（字节）
+ * @returns {AudioCache} 音频缓存
+ */
+export function createCacheApiAudioCache({ ttl, maxEntryBytes }) {
+  const openCache = () => caches.default ? Promise.resolve(caches.default) : caches.open("tts-audio");
+
+  return {
+    async get(key) {
+      const response = await (await openCache()).match(new Request(`${CACHE_API_ORIGIN}${key}`));
+      return response ? new Uint8Array(await response.arrayBuffer()) : null;
+    },
+    async put(key, bytes) {
+      if (bytes.length > maxEntryBytes) return;
+      await (await openCache()).put(
+        new Request(`${CACHE_API_ORIGIN}${key}`),
+        new Response(bytes.slice(), {
+          headers: {
+            "Content-Type": "application/octet-stream",
+            "Cache-Control": `public, max-age=${ttl}`
+          }
+        })
+      );
+    }
+  };
+}
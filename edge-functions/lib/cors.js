@@ -0,0 +1,223 @@
+/**
+ * EdgeOne Pages TTS - CORS 模块
+ * @version 1.0.0
+ * @description 按环境变量配置跨域策略：允许的来源（支持通配子域名）、方法、请求头与凭据，
+ * 生成预检与普通响应的 CORS 响应头，并暴露自定义响应头供浏览器脚本读取
+ */
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 跨域策略
+ * @typedef {Object} CorsPolicy
+ * @property {boolean} anyOrigin - 是否允许任意来源（CORS_ALLOWED_ORIGINS 为 * 或未配置）
+ * @property {((origin: URL) => boolean)[]} origins - 来源匹配器
+ * @property {string} methods - 允许的请求方法
+ * @property {string|null} headers - 允许的请求头，null 表示沿用预检请求中的 Access-Control-Request-Headers
+ * @property {boolean} credentials - 是否允许携带凭据（Cookie、HTTP 认证）
+ * @property {string} maxAge - 预检结果的缓存秒数
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** 默认配置 */
+export const CORS_DEFAULTS = {
+  /** 允许的请求方法 */
+  METHODS: "GET, POST, OPTIONS",
+  /** 预检请求未声明请求头时允许的请求头 */
+  HEADERS: "Content-Type, Authorization",
+  /** 预检结果的缓存秒数 */
+  MAX_AGE: 86400
+};
+
+/** 允许浏览器脚本读取的自定义响应头 */
+export const EXPOSED_HEADERS = [
+  "X-Request-Id",
+  "Server-Timing",
+  "X-TTS-Warning",
+  "X-Cache",
+  "X-Cache-Hits",
+  "X-RateLimit-Limit-Requests",
+  "X-RateLimit-Remaining-Requests",
+  "X-RateLimit-Reset-Requests",
+  "X-RateLimit-Limit-Characters",
+  "X-RateLimit-Remaining-Characters",
+  "X-RateLimit-Reset-Characters",
+  "Retry-After",
+  "Location"
+];
+
+/** @type {{ source: string|null, policy: CorsPolicy|null }} */
+let policyCache = { source: null, policy: null };
+
+// =================================================================================
+// 策略解析
+// =================================================================================
+
+/**
+ * 获取当前部署的跨域策略
+ * @description 读取 CORS_ALLOWED_ORIGINS、CORS_ALLOWED_METHODS、CORS_ALLOWED_HEADERS、
+ * CORS_ALLOW_CREDENTIALS 与 CORS_MAX_AGE，均为逗号分隔或单值；未配置来源时允许任意来源
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {CorsPolicy} 跨域策略
+ * @throws {Error} 来源规则无效，或允许凭据却未限定来源时抛出
+ */
+export function getCorsPolicy(env = {}) {
+  const source = [
+    env.CORS_ALLOWED_ORIGINS,
+    env.CORS_ALLOWED_METHODS,
+    env.CORS_ALLOWED_HEADERS,
+    env.CORS_ALLOW_CREDENTIALS,
+    env.CORS_MAX_AGE
+  ].join("\n");
+  if (policyCache.policy && policyCache.source === source) {
+    return policyCache.policy;
+  }
+
+  const origins = splitList(env.CORS_ALLOWED_ORIGINS || "*");
+  const anyOrigin = origins.includes("*");
+  const credentials = String(env.CORS_ALLOW_CREDENTIALS || "").toLowerCase() === "true";
+  if (credentials && anyOrigin) {
+    throw new Error("CORS_ALLOW_CREDENTIALS 为 true 时必须在 CORS_ALLOWED_ORIGINS 中列出具体来源");
+  }
+
+  const maxAge = parseInt(env.CORS_MAX_AGE, 10);
+  const policy = {
+    anyOrigin,
+    origins: anyOrigin ? [] : origins.map(compileOriginPattern),
+    methods: splitList(env.CORS_ALLOWED_METHODS || CORS_DEFAULTS.METHODS).map(m => m.toUpperCase()).join(", "),
+    headers: env.CORS_ALLOWED_HEADERS ? splitList(env.CORS_ALLOWED_HEADERS).join(", ") : null,
+    credentials,
+    maxAge: String(maxAge >= 0 ? maxAge : CORS_DEFAULTS.MAX_AGE)
+  };
+
+  policyCache = { source, policy };
+  return policy;
+}
+
+/**
+ * 编译来源规则
+ * @description 规则形如 https://app.example.com、https://*.example.com 或 *.example.com（任意协议）；
+ * 通配符只能位于主机名开头，匹配一级或多级子域名，不匹配主域名本身；带端口的规则需端口一致
+ * @param {string} pattern - 来源规则
+ * @returns {(origin: URL) => boolean} 来源匹配器
+ * @throws {Error} 规则格式无效时抛出
+ */
+function compileOriginPattern(pattern) {
+  const match = pattern.toLowerCase().replace(/\/+$/, "").match(/^(?:([a-z][a-z0-9+.-]*):\/\/)?(\*\.)?([a-z0-9.-]+(?::\d+)?)$/);
+  if (!match) {
+    throw new Error(`CORS_ALLOWED_ORIGINS 中的来源规则无效: ${pattern}`);
+  }
+
+  const [, scheme, wildcard, host] = match;
+  return origin => {
+    if (scheme && origin.protocol !== `${scheme}:`) return false;
+    return wildcard ? origin.host.endsWith(`.${host}`) : origin.host === host;
+  };
+}
+
+/**
+ * 拆分逗号分隔的配置
+ * @param {string} value - 配置值
+ * @returns {string[]} 去除空白后的非空项
+ */
+function splitList(value) {
+  return String(value).split(",").map(item => item.trim()).filter(Boolean);
+}
+
+// =================================================================================
+// 响应头生成
+// =================================================================================
+
+/**
+ * 判断请求来源是否被允许
+ * @description 未携带 Origin 的请求（非浏览器客户端）与同源页面总是允许
+ * @param {string|null} origin - 请求头中的 Origin
+ * @param {URL} requestUrl - 请求 URL
+ * @param {CorsPolicy} policy - 跨域策略
+ * @returns {boolean} 是否允许
+ */
+export function isOriginAllowed(origin, requestUrl, policy) {
+  if (!origin || policy.anyOrigin || origin === requestUrl.origin) {
+    return true;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(origin);
+  } catch {
+    // 如沙箱 iframe 发出的 Origin: null
+    return false;
+  }
+  return policy.origins.some(matches => matches(parsed));
+}
+
+/**
+ * 生成 CORS 响应头
+ * @description 限定来源时回显请求的 Origin 并附加 Vary: Origin；来源不被允许时只返回 Vary。
+ * 预检响应额外包含允许的方法、请求头与缓存时间
+ * @param {Request} request - HTTP 请求对象
+ * @param {URL} requestUrl - 请求 URL
+ * @param {CorsPolicy} policy - 跨域策略
+ * @param {boolean} [preflight=false] - 是否为预检响应
+ * @returns {Object.<string, string>} CORS 响应头
+ */
+export function makeCorsHeaders(request, requestUrl, policy, preflight = false) {
+  const origin = request.headers.get("Origin");
+  const vary = policy.anyOrigin ? [] : ["Origin"];
+  const headers = {};
+
+  if (policy.anyOrigin) {
+    headers["Access-Control-Allow-Origin"] = "*";
+  } else if (origin && isOriginAllowed(origin, requestUrl, policy)) {
+    headers["Access-Control-Allow-Origin"] = origin;
+    if (policy.credentials) {
+      headers["Access-Control-Allow-Credentials"] = "true";
+    }
+  }
+
+  if (headers["Access-Control-Allow-Origin"]) {
+    if (preflight) {
+      const requested = request.headers.get("Access-Control-Request-Headers");
+      if (!policy.headers) vary.push("Access-Control-Request-Headers");
+
+      headers["Access-Control-Allow-Methods"] = policy.methods;
+      headers["Access-Control-Allow-Headers"] = policy.headers || requested || CORS_DEFAULTS.HEADERS;
+      headers["Access-Control-Max-Age"] = policy.maxAge;
+    } else {
+      headers["Access-Control-Expose-Headers"] = EXPOSED_HEADERS.join(", ");
+    }
+  }
+
+  if (vary.length > 0) {
+    headers["Vary"] = vary.join(", ");
+  }
+  return headers;
+}
+
+/**
+ * 为响应附加 CORS 响应头
+ * @description 复制响应以避免修改不可变的响应头；Vary 与已有值合并
+ * @param {Response} response - 原响应
+ * @param {Object.<string, string>} corsHeaders - CORS 响应头
+ * @returns {Response} 新响应
+ */
+export function applyCorsHeaders(response, corsHeaders) {
+  const headers = new Headers(response.headers);
+  for (const [name, value] of Object.entries(corsHeaders)) {
+    if (name === "Vary" && headers.has("Vary")) {
+      headers.set("Vary", `${headers.get("Vary")}, ${value}`);
+    } else {
+      headers.set(name, value);
+    }
+  }
+  return new Response(response.body, {
+    status: response.status,
+    statusText: response.statusText,
+    headers
+  });
+}
@@ -0,0 +1,391 @@
+/**
+ * EdgeOne Pages TTS - 异步任务模块
+ * @version 1.0.0
+ * @description 长文本异步合成：文本按段持久化，每次调用推进若干段，进度保存在存储中可跨调用续跑
+ */
+
+import { createHttpError, base64ToBytes, bytesToBase64 } from './utils.js';
+import { createMemoryStore, getKVNamespace, getStore } from './store.js';
+import { mergeAudioChunks } from './audio.js';
+import { getAudioCache } from './cache.js';
+import { refundQuota } from './keys.js';
+import { synthesizeAudio } from './tts.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 任务分段（若干连续的合成单元）
+ * @typedef {Object} JobSegment
+ * @property {number} index - 分段序号
+ * @property {import('./tts.js').SpeechChunk[]} chunks - 合成单元
+ * @property {number} characters - 字符数
+ * @property {string} status - pending / completed / failed
+ * @property {number} attempts - 已尝试次数
+ * @property {string|null} error - 最近一次失败原因
+ */
+
+/**
+ * 任务音频存储
+ * @typedef {Object} JobAudioStore
+ * @property {(key: string) => Promise<Uint8Array|null>} get - 读取分段音频，不存在或已淘汰时返回 null
+ * @property {(key: string, bytes: Uint8Array) => Promise<void>} put - 写入分段音频
+ */
+
+/**
+ * 异步合成任务
+ * @typedef {Object} SpeechJob
+ * @property {string} id - 任务 ID
+ * @property {string|null} owner - 创建任务的密钥标识，未启用验证时为 null
+ * @property {import('./keys.js').QuotaCharge|null} quota - 创建时的配额扣减记录，任务失败时退还未完成分段的字符数
+ * @property {string} status - queued / processing / completed / failed
+ * @property {number} created_at - 创建时间（秒）
+ * @property {number} updated_at - 更新时间（秒）
+ * @property {string} output_format - X-Microsoft-OutputFormat
+ * @property {string} content_type - 音频 Content-Type
+ * @property {number} concurrency - 单段内的并发数
+ * @property {import('./tts.js').SynthesisOptions} synthesis - 合成选项（不含缓存）
+ * @property {JobSegment[]} segments - 分段
+ * @property {number} lease_until - 处理租约到期时间（毫秒），防止多个调用同时处理同一任务
+ * @property {string|null} error - 任务失败原因
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/**
+ * 异步任务配置
+ * @type {Object}
+ */
+export const JOB_CONFIG = {
+  SEGMENT_CHARS: 3000,          // 每段目标字符数
+  SEGMENTS_PER_REQUEST: 1,      // 每次轮询推进的段数
+  MAX_SEGMENT_ATTEMPTS: 3,      // 单段最大尝试次数，超过后任务失败
+  LEASE_MS: 60 * 1000,          // 处理租约时长
+  TTL: 3 * 24 * 60 * 60,        // 任务与音频保留时长（秒）
+  AUDIO_MAX_BYTES: 16 * 1024 * 1024 // 未绑定 KV 时内存中任务音频的总容量（另计于音频缓存），可通过 JOB_AUDIO_MAX_BYTES 调整
+};
+
+/** 存储键前缀 */
+const JOB_PREFIX = "job:";
+const JOB_AUDIO_PREFIX = "jobaudio:";
+
+/** @type {{ maxBytes: number, store: JobAudioStore|null }} */
+let memoryAudio = { maxBytes: 0, store: null };
+
+// =================================================================================
+// 任务生命周期
+// =================================================================================
+
+/**
+ * 创建异步任务
+ * @param {import('./tts.js').SpeechChunk[]} chunks - 合成单元（已清理、分块）
+ * @param {Object} options - 任务选项
+ * @param {string} options.outputFormat - 输出格式
+ * @param {string} options.contentType - 音频 Content-Type
+ * @param {number} options.concurrency - 单段内的并发数
+ * @param {import('./tts.js').SynthesisOptions} options.synthesisOptions - 合成选项
+ * @param {string|null} options.owner - 创建任务的密钥标识
+ * @param {import('./keys.js').QuotaCharge|null} [options.quota=null] - 配额扣减记录
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<SpeechJob>} 新任务
+ */
+export async function createJob(chunks, { outputFormat, contentType, concurrency, synthesisOptions, owner, quota = null }, env) {
+  if (chunks.length === 0) {
+    throw createHttpError("清理后的文本为空，无法创建任务", 400, "empty_input");
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  /** @type {SpeechJob} */
+  const job = {
+    id: `job_${crypto.randomUUID().replace(/-/g, "")}`,
+    owner,
+    quota,
+    status: "queued",
+    created_at: now,
+    updated_at: now,
+    output_format: outputFormat,
+    content_type: contentType,
+    concurrency,
+    synthesis: { onChunkError: synthesisOptions.onChunkError },
+    segments: groupSegments(chunks),
+    lease_until: 0,
+    error: null
+  };
+
+  await saveJob(job, env);
+  return job;
+}
+
+/**
+ * 读取任务
+ * @description 其他密钥创建的任务同样返回 404，避免泄露任务是否存在
+ * @param {string} id - 任务 ID
+ * @param {string|null} owner - 当前请求的密钥标识
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<SpeechJob>} 任务
+ * @throws {Error} 任务不存在时抛出 404
+ */
+export async function getJob(id, owner, env) {
+  const job = await getStore(env, "jobs").get(`${JOB_PREFIX}${id}`);
+  if (!job || (job.owner && job.owner !== owner)) {
+    throw createHttpError(`任务不存在: ${id}`, 404, "job_not_found");
+  }
+  return job;
+}
+
+/**
+ * 推进任务
+ * @description 依次合成未完成的分段，每段完成后立即保存进度；
+ * 其他调用持有租约时直接返回当前状态。KV 不支持原子操作，租约只能降低而不能杜绝重复处理。
+ * 任务失败时退还未完成分段的字符配额
+ * @param {SpeechJob} job - 任务
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @param {number} [maxSegments=JOB_CONFIG.SEGMENTS_PER_REQUEST] - 本次最多处理的段数
+ * @returns {Promise<SpeechJob>} 更新后的任务
+ */
+export async function advanceJob(job, env, maxSegments = JOB_CONFIG.SEGMENTS_PER_REQUEST) {
+  if (job.status === "completed" || job.status === "failed" || job.lease_until > Date.now()) {
+    return job;
+  }
+
+  job.status = "processing";
+  job.lease_until = Date.now() + JOB_CONFIG.LEASE_MS;
+  await saveJob(job, env);
+
+  const audioStore = getJobAudioStore(env);
+  const options = { ...job.synthesis, cache: getAudioCache(env) };
+  let processed = 0;
+
+  try {
+    for (const segment of job.segments) {
+      if (segment.status === "completed") continue;
+      if (processed++ >= maxSegments) break;
+
+      segment.attempts++;
+      try {
+        const { audio } = await synthesizeAudio(segment.chunks, job.concurrency, job.output_format, options);
+        await audioStore.put(`${JOB_AUDIO_PREFIX}${job.id}:${segment.index}`, audio);
+        segment.status = "completed";
+        segment.error = null;
+      } catch (error) {
+        segment.error = error.message;
+        if (segment.attempts >= JOB_CONFIG.MAX_SEGMENT_ATTEMPTS) {
+          segment.status = "failed";
+          job.status = "failed";
+          job.error = `第 ${segment.index + 1} 段合成失败: ${error.message}`;
+          const unfinished = job.segments
+            .filter(item => item.status !== "completed")
+            .reduce((sum, item) => sum + item.characters, 0);
+          await refundQuota(job.quota, env, unfinished);
+          break;
+        }
+      }
+
+      job.updated_at = Math.floor(Date.now() / 1000);
+      await saveJob(job, env);
+    }
+
+    if (job.status !== "failed" && job.segments.every(segment => segment.status === "completed")) {
+      job.status = "completed";
+    }
+  } finally {
+    job.lease_until = 0;
+    job.updated_at = Math.floor(Date.now() / 1000);
+    await saveJob(job, env);
+  }
+
+  return job;
+}
+
+/**
+ * 持续推进任务直到结束
+ * @description 运行时支持 waitUntil 时用于在响应返回后继续后台处理
+ * @param {SpeechJob} job - 任务
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<SpeechJob>} 结束时的任务
+ */
+export async function runJob(job, env) {
+  while (job.status === "queued" || job.status === "processing") {
+    const pendingBefore = job.segments.filter(segment => segment.status !== "completed").length;
+    job = await advanceJob(job, env, pendingBefore);
+
+    // 租约被其他调用持有时，交由对方完成
+    if (job.lease_until > Date.now()) break;
+  }
+  return job;
+}
+
+// =================================================================================
+// 音频读取
+// =================================================================================
+
+/**
+ * 读取单段音频
+ * @param {SpeechJob} job - 任务
+ * @param {number} index - 分段序号
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<Uint8Array>} 分段音频
+ * @throws {Error} 分段不存在时抛出 404，尚未完成时抛出 409，音频已过期或被淘汰时抛出 410
+ */
+export async function getJobSegmentAudio(job, index, env) {
+  const segment = job.segments[index];
+  if (!segment) {
+    throw createHttpError(`分段不存在: ${index}`, 404, "segment_not_found");
+  }
+  if (segment.status !== "completed") {
+    throw createHttpError(`第 ${index + 1} 段尚未完成`, 409, "segment_not_ready");
+  }
+
+  const audio = await getJobAudioStore(env).get(`${JOB_AUDIO_PREFIX}${job.id}:${index}`);
+  if (!audio) {
+    throw createHttpError(`第 ${index + 1} 段音频已过期`, 410, "segment_expired");
+  }
+  return audio;
+}
+
+/**
+ * 获取任务音频存储
+ * @description 绑定 KV 时音频以 Base64 写入 KV；否则使用独立的内存存储，按字节数限制总容量，
+ * 不与配额计数、密钥记录与任务记录所在的 getStore 内存存储争用条目，超出容量时淘汰最久未使用的分段
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {JobAudioStore} 任务音频存储
+ */
+function getJobAudioStore(env) {
+  if (getKVNamespace(env)) {
+    const store = getStore(env, "jobs");
+    return {
+      async get(key) {
+        const base64 = await store.get(key);
+        return base64 ? base64ToBytes(base64) : null;
+      },
+      put: (key, bytes) => store.put(key, bytesToBase64(bytes), { ttl: JOB_CONFIG.TTL })
+    };
+  }
+
+  const maxBytes = Number(env.JOB_AUDIO_MAX_BYTES) || JOB_CONFIG.AUDIO_MAX_BYTES;
+  if (memoryAudio.maxBytes !== maxBytes) {
+    const store = createMemoryStore({ maxEntries: Infinity, maxSize: maxBytes, sizeOf: bytes => bytes.length });
+    memoryAudio = {
+      maxBytes,
+      store: {
+        // 合并器会原地改写分块音频，读取时复制
+        async get(key) {
+          const bytes = await store.get(key);
+          return bytes ? bytes.slice() : null;
+        },
+        async put(key, bytes) {
+          if (bytes.length > maxBytes) {
+            throw new Error(`分段音频 ${bytes.length} 字节，超过任务音频存储容量 ${maxBytes} 字节`);
+          }
+          await store.put(key, bytes, { ttl: JOB_CONFIG.TTL });
+        }
+      }
+    };
+  }
+  return memoryAudio.store;
+}
+
+/**
+ * 读取合并后的完整音频
+ * @param {SpeechJob} job - 任务
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<Uint8Array>} 完整音频
+ * @throws {Error} 任务尚未完成时抛出 409
+ */
+export async function getJobAudio(job, env) {
+  if (job.status !== "completed") {
+    throw createHttpError("任务尚未完成", 409, "job_not_ready");
+  }
+
+  const parts = [];
+  for (const segment of job.segments) {
+    parts.push(await getJobSegmentAudio(job, segment.index, env));
+  }
+  return mergeAudioChunks(job.output_format, parts);
+}
+
+// =================================================================================
+// 序列化
+// =================================================================================
+
+/**
+ * 生成任务的公开表示
+ * @param {SpeechJob} job - 任务
+ * @param {string} baseUrl - 任务资源的基础 URL，如 https://example.com/api/v1/audio/jobs
+ * @returns {Object} 任务 JSON
+ */
+export function serializeJob(job, baseUrl) {
+  const jobUrl = `${baseUrl}/${job.id}`;
+  const completed = job.segments.filter(segment => segment.status === "completed").length;
+
+  return {
+    id: job.id,
+    object: "audio.speech.job",
+    status: job.status,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    content_type: job.content_type,
+    progress: {
+      completed_segments: completed,
+      total_segments: job.segments.length,
+      characters: job.segments.reduce((sum, segment) => sum + segment.characters, 0),
+      percent: Math.floor((completed / job.segments.length) * 100)
+    },
+    segments: job.segments.map(segment => ({
+      index: segment.index,
+      status: segment.status,
+      characters: segment.characters,
+      url: segment.status === "completed" ? `${jobUrl}/segments/${segment.index}` : null,
+      error: segment.error
+    })),
+    audio_url: job.status === "completed" ? `${jobUrl}/audio` : null,
+    error: job.error
+  };
+}
+
+// =================================================================================
+// 内部工具
+// =================================================================================
+
+/**
+ * 将合成单元按字符数分组为任务分段
+ * @param {import('./tts.js').SpeechChunk[]} chunks - 合成单元
+ * @returns {JobSegment[]} 分段
+ */
+function groupSegments(chunks) {
+  const segments = [];
+  let current = [];
+  let characters = 0;
+
+  const flush = () => {
+    segments.push({ index: segments.length, chunks: current, characters, status: "pending", attempts: 0, error: null });
+    current = [];
+    characters = 0;
+  };
+
+  for (const chunk of chunks) {
+    if (current.length > 0 && characters + chunk.text.length > JOB_CONFIG.SEGMENT_CHARS) {
+      flush();
+    }
+    current.push(chunk);
+    characters += chunk.text.length;
+  }
+  if (current.length > 0) {
+    flush();
+  }
+
+  return segments;
+}
+
+/**
+ * 保存任务
+ * @param {SpeechJob} job - 任务
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<void>}
+ */
+function saveJob(job, env) {
+  return getStore(env, "jobs").put(`${JOB_PREFIX}${job.id}`, job, { ttl: JOB_CONFIG.TTL });
+}
@@ -0,0 +1,334 @@
+/**
+ * EdgeOne Pages TTS - 密钥注册表模块
+ * @version 1.0.0
+ * @description 管理多个 API Key 及其作用域、单次字符上限和每日字符配额
+ */
+
+import { base64ToBytes, bytesToBase64, createHttpError, timingSafeEqual, sha256Hex } from './utils.js';
+import { getStore } from './store.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * API Key 配置
+ * @typedef {Object} KeyRecord
+ * @property {string} id - 密钥标识（密钥 SHA-256 摘要前 16 位），用于配额计数，不暴露原始密钥
+ * @property {string|null} key - 原始密钥，分享令牌对应的配置为 null
+ * @property {string} label - 标签（如应用名）
+ * @property {string[]} scopes - 允许访问的端点作用域
+ * @property {number|null} max_chars_per_request - 单次请求最大字符数，null 表示不限
+ * @property {number|null} daily_quota - 每日字符配额（UTC 自然日），null 表示不限
+ * @property {number|null} requests_per_minute - 每分钟请求数上限，null 表示使用 RATE_LIMIT_REQUESTS_PER_MINUTE
+ * @property {number|null} characters_per_minute - 每分钟字符数上限，null 表示使用 RATE_LIMIT_CHARACTERS_PER_MINUTE
+ */
+
+/**
+ * 配额扣减记录，合成失败时用于退还
+ * @typedef {Object} QuotaCharge
+ * @property {string} usageKey - 扣减时的每日用量键（跨日退还仍退到扣减当天）
+ * @property {number} characters - 扣减的字符数
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/**
+ * 端点作用域
+ * - speech: /api/v1/audio/speech
+ * - models: /api/v1/models 与 /api/v1/voices
+ * - reader: /reader.js（阅读 APP 配置导入）
+ * - stats: /api/v1/stats（用量统计）
+ * @type {string[]}
+ */
+export const KEY_SCOPES = ["speech", "models", "reader", "stats"];
+
+/** KV 中密钥记录的键前缀 */
+const KEY_RECORD_PREFIX = "apikey:";
+
+/** 存储中密钥标识到加密密钥的索引前缀（签发分享令牌时写入） */
+const KEY_ID_PREFIX = "apikeyid:";
+
+/** KV 中每日用量的键前缀 */
+const USAGE_PREFIX = "usage:";
+
+/** 每日用量计数的保留时长（秒），略长于一天以覆盖时区边界 */
+const USAGE_TTL = 2 * 24 * 60 * 60;
+
+// =================================================================================
+// 密钥注册表
+// =================================================================================
+
+/** @type {{ source: string|undefined, legacyKey: string|undefined, records: Map<string, Object>|null }} */
+let registryCache = { source: undefined, legacyKey: undefined, records: null };
+
+/** @type {{ records: Map<string, Object>|null, ids: Map<string, string>|null }} */
+let envKeyIds = { records: null, ids: null };
+
+/**
+ * 判断是否启用了 API Key 验证
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {boolean} 配置了 API_KEY 或 API_KEYS 时返回 true
+ */
+export function isAuthEnabled(env = {}) {
+  return Boolean(env.API_KEY || env.API_KEYS);
+}
+
+/**
+ * 查找 API Key
+ * @description 依次查找环境变量 API_KEYS、旧版单密钥 API_KEY，以及存储中 `apikey:<密钥>` 记录
+ * @param {string} providedKey - 请求提供的密钥
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<KeyRecord|null>} 密钥配置，未找到时返回 null
+ */
+export async function lookupApiKey(providedKey, env = {}) {
+  if (!providedKey) return null;
+
+  // 逐一进行常量时间比较，且不提前退出，避免泄露匹配位置
+  let raw = null;
+  for (const [key, entry] of getEnvRecords(env)) {
+    if (timingSafeEqual(key, providedKey)) {
+      raw = entry;
+    }
+  }
+
+  if (!raw) {
+    raw = await getStore(env, "keys").get(`${KEY_RECORD_PREFIX}${providedKey}`);
+  }
+  if (!raw) return null;
+
+  return normalizeKeyRecord({ ...raw, key: providedKey }, await hashKey(providedKey));
+}
+
+/**
+ * 按密钥标识查找 API Key
+ * @description 用于验证分享令牌：环境变量中的密钥按标识直接匹配，存储中的密钥经 `apikeyid:<标识>`
+ * 索引解密出原始密钥后再按 lookupApiKey 查找。密钥被删除或更换、或 secret 已更换时，按其标识将查不到配置
+ * @param {string} id - 密钥标识
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @param {Uint8Array} secret - 索引的加密密钥（分享令牌签名密钥）
+ * @returns {Promise<KeyRecord|null>} 密钥配置，未找到时返回 null
+ */
+export async function lookupApiKeyById(id, env, secret) {
+  if (typeof id !== "string" || !id) return null;
+
+  const key = (await getEnvKeyIds(env)).get(id) ?? await openKey(await getStore(env, "keys").get(`${KEY_ID_PREFIX}${id}`), secret);
+  return typeof key === "string" ? lookupApiKey(key, env) : null;
+}
+
+/**
+ * 写入密钥标识索引
+ * @description 仅存储中的密钥需要索引，环境变量中的密钥不会写入存储。索引值是以 secret 加密的原始密钥，
+ * 存储中不保存明文密钥
+ * @param {KeyRecord} record - 密钥配置
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @param {Uint8Array} secret - 索引的加密密钥（分享令牌签名密钥）
+ * @returns {Promise<void>}
+ */
+export async function indexApiKeyId(record, env, secret) {
+  if (!record.key || (await getEnvKeyIds(env)).has(record.id)) return;
+  await getStore(env, "keys").put(`${KEY_ID_PREFIX}${record.id}`, await sealKey(record.key, secret));
+}
+
+/**
+ * 以 AES-GCM 加密原始密钥
+ * @param {string} key - 原始密钥
+ * @param {Uint8Array} secret - 加密密钥材料，取其 SHA-256 摘要作为 AES 密钥
+ * @returns {Promise<{ iv: string, data: string }>} Base64 编码的初始向量与密文
+ */
+async function sealKey(key, secret) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: "AES-GCM", iv }, await importIndexKey(secret), new TextEncoder().encode(key));
+  return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+/**
+ * 解密 sealKey 加密的原始密钥
+ * @param {{ iv: string, data: string }|null} sealed - 索引值
+ * @param {Uint8Array} secret - 加密密钥材料
+ * @returns {Promise<string|null>} 原始密钥，索引不存在或解密失败（secret 已更换）时返回 null
+ */
+async function openKey(sealed, secret) {
+  if (!sealed || typeof sealed.iv !== "string" || typeof sealed.data !== "string") return null;
+  try {
+    const data = await crypto.subtle.decrypt(
+      { name: "AES-GCM", iv: base64ToBytes(sealed.iv) },
+      await importIndexKey(secret),
+      base64ToBytes(sealed.data)
+    );
+    return new TextDecoder().decode(data);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 由密钥材料导入索引的 AES-GCM 密钥
+ * @param {Uint8Array} secret - 密钥材料
+ * @returns {Promise<CryptoKey>} AES-256-GCM 密钥
+ */
+async function importIndexKey(secret) {
+  const digest = await crypto.subtle.digest("SHA-256", secret);
+  return crypto.subtle.importKey("raw", digest, "AES-GCM", false, ["encrypt", "decrypt"]);
+}
+
+/**
+ * 计算环境变量中各密钥的标识
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<Map<string, string>>} 标识到原始密钥的映射
+ */
+async function getEnvKeyIds(env) {
+  const records = getEnvRecords(env);
+  if (envKeyIds.records !== records) {
+    const ids = new Map();
+    for (const key of records.keys()) {
+      ids.set(await hashKey(key), key);
+    }
+    envKeyIds = { records, ids };
+  }
+  return envKeyIds.ids;
+}
+
+/**
+ * 解析环境变量中的密钥配置
+ * @description API_KEYS 为 JSON 数组，每项形如
+ * { key, label, scopes, max_chars_per_request, daily_quota, requests_per_minute, characters_per_minute }；
+ * API_KEY 作为拥有全部作用域、不限额度的 default 密钥
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Map<string, Object>} 密钥到原始配置的映射
+ * @throws {Error} API_KEYS 不是合法配置时抛出
+ */
+function getEnvRecords(env) {
+  const source = env.API_KEYS;
+  const legacyKey = env.API_KEY;
+  if (registryCache.records && registryCache.source === source && registryCache.legacyKey === legacyKey) {
+    return registryCache.records;
+  }
+
+  const records = new Map();
+  if (legacyKey) {
+    records.set(legacyKey, { label: "default" });
+  }
+
+  if (source) {
+    let entries;
+    try {
+      entries = typeof source === "string" ? JSON.parse(source) : source;
+    } catch (e) {
+      throw new Error(`API_KEYS 配置解析失败: ${e.message}`);
+    }
+    if (!Array.isArray(entries)) {
+      throw new Error("API_KEYS 必须是 JSON 数组");
+    }
+    for (const entry of entries) {
+      if (!entry || typeof entry.key !== "string" || !entry.key) {
+        throw new Error("API_KEYS 中的每一项都必须包含 key");
+      }
+      records.set(entry.key, entry);
+    }
+  }
+
+  registryCache = { source, legacyKey, records };
+  return records;
+}
+
+/**
+ * 规范化密钥配置
+ * @param {Object} raw - 原始配置
+ * @param {string} id - 密钥标识
+ * @returns {KeyRecord} 密钥配置
+ */
+function normalizeKeyRecord(raw, id) {
+  return {
+    id,
+    key: raw.key,
+    label: raw.label || id,
+    scopes: Array.isArray(raw.scopes) ? raw.scopes : KEY_SCOPES,
+    max_chars_per_request: toLimit(raw.max_chars_per_request),
+    daily_quota: toLimit(raw.daily_quota),
+    requests_per_minute: toLimit(raw.requests_per_minute),
+    characters_per_minute: toLimit(raw.characters_per_minute)
+  };
+}
+
+/**
+ * 规范化额度数值
+ * @param {*} value - 原始值
+ * @returns {number|null} 正数额度，未配置时为 null
+ */
+function toLimit(value) {
+  return typeof value === "number" && value > 0 ? value : null;
+}
+
+/**
+ * 计算密钥标识
+ * @param {string} key - 原始密钥
+ * @returns {Promise<string>} SHA-256 摘要的前 16 位十六进制字符
+ */
+async function hashKey(key) {
+  return (await sha256Hex(key)).slice(0, 16);
+}
+
+// =================================================================================
+// 配额管理
+// =================================================================================
+
+/**
+ * 检查并扣减字符配额
+ * @description 先检查单次字符上限，再检查每日配额；计数为读后写，多实例并发时可能略有超额。
+ * 合成失败时调用方应以返回的扣减记录调用 refundQuota 退还
+ * @param {KeyRecord|null} record - 密钥配置，未启用验证时为 null
+ * @param {number} characters - 本次请求的字符数
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<QuotaCharge|null>} 扣减记录，未配置每日配额时为 null
+ * @throws {Error} 超出单次上限时抛出 400，超出每日配额时抛出 429 insufficient_quota
+ */
+export async function consumeQuota(record, characters, env = {}) {
+  if (!record) return null;
+
+  if (record.max_chars_per_request !== null && characters > record.max_chars_per_request) {
+    throw createHttpError(
+      `输入共 ${characters} 个字符，超过该密钥的单次上限 ${record.max_chars_per_request}`,
+      400,
+      "max_characters_exceeded"
+    );
+  }
+
+  if (record.daily_quota === null) return null;
+
+  const store = getStore(env, "keys");
+  const usageKey = `${USAGE_PREFIX}${record.id}:${new Date().toISOString().slice(0, 10)}`;
+  const used = (await store.get(usageKey)) || 0;
+
+  if (used + characters > record.daily_quota) {
+    throw createHttpError(
+      `密钥 ${record.label} 今日配额已用尽（已用 ${used} / ${record.daily_quota} 字符）`,
+      429,
+      "insufficient_quota",
+      "insufficient_quota"
+    );
+  }
+
+  await store.put(usageKey, used + characters, { ttl: USAGE_TTL });
+  return { usageKey, characters };
+}
+
+/**
+ * 退还已扣减的字符配额
+ * @description 用于合成失败、未向客户端返回音频的请求；与扣减一样为读后写
+ * @param {QuotaCharge|null} charge - consumeQuota 返回的扣减记录
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @param {number} [characters] - 退还的字符数，默认全部退还；部分完成时小于扣减数
+ * @returns {Promise<void>}
+ */
+export async function refundQuota(charge, env = {}, characters) {
+  if (!charge) return;
+  const refund = Math.min(characters ?? charge.characters, charge.characters);
+  if (refund <= 0) return;
+
+  const store = getStore(env, "keys");
+  const used = (await store.get(charge.usageKey)) || 0;
+  await store.put(charge.usageKey, Math.max(0, used - refund), { ttl: USAGE_TTL });
+}
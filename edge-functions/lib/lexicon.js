@@ -0,0 +1,264 @@
+/**
+ * EdgeOne Pages TTS - 发音词典模块
+ * @version 1.0.0
+ * @description 将人名、产品术语等映射为替换文本、拼音 / IPA 音标（<phoneme>）或别名（<sub>），
+ * 支持部署级词典（环境变量 LEXICON 或 LEXICON_URL 指向的 JSON 文件）与单次请求的 lexicon 参数
+ */
+
+import { escapeXml } from './utils.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 词典条目
+ * @description text、phoneme、alias 三者取其一：
+ * - text: 在分块前直接替换原文
+ * - phoneme: 合成时输出 <phoneme alphabet="..." ph="...">术语</phoneme>
+ * - alias: 合成时输出 <sub alias="...">术语</sub>
+ * @typedef {Object} LexiconEntry
+ * @property {string} term - 术语原文
+ * @property {string} [text] - 替换文本
+ * @property {string} [phoneme] - 音标
+ * @property {string} [alphabet] - 音标字母表（sapi 为带声调数字的拼音，如 "zhang 1"；ipa 为国际音标）
+ * @property {string} [alias] - 朗读别名
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** 单个词典最多条目数 */
+const MAX_ENTRIES = 1000;
+
+/** 术语最大长度 */
+const MAX_TERM_LENGTH = 100;
+
+/** 支持的音标字母表 */
+const ALPHABETS = ["ipa", "sapi", "ups", "x-sampa"];
+
+/** LEXICON_URL 词典文件的缓存时长（毫秒） */
+const REMOTE_LEXICON_TTL = 5 * 60 * 1000;
+
+// =================================================================================
+// 词典解析
+// =================================================================================
+
+/**
+ * 解析词典
+ * @description 支持两种写法：
+ * - 对象：{ "张三丰": "张三峰", "重庆": { "pinyin": "chong 2 qing 4" }, "WHO": { "alias": "世界卫生组织" } }
+ * - 数组：[{ "term": "GIF", "ipa": "dʒɪf" }]
+ * 条目值为字符串时视为替换文本；pinyin、ipa 分别是 alphabet 为 sapi、ipa 的 phoneme 简写
+ * @param {*} source - 词典 JSON 字符串或已解析的对象 / 数组
+ * @param {string} [name="lexicon"] - 词典名称，用于错误信息
+ * @returns {LexiconEntry[]} 词典条目
+ * @throws {Error} 格式错误时抛出
+ */
+export function parseLexicon(source, name = "lexicon") {
+  if (source === undefined || source === null || source === "") return [];
+
+  let value = source;
+  if (typeof source === "string") {
+    try {
+      value = JSON.parse(source);
+    } catch (e) {
+      throw new Error(`${name} 解析失败: ${e.message}`);
+    }
+  }
+
+  let raw;
+  if (Array.isArray(value)) {
+    raw = value.map(item => [item && item.term, item]);
+  } else if (value && typeof value === "object") {
+    raw = Object.entries(value);
+  } else {
+    throw new Error(`${name} 必须是对象或数组`);
+  }
+
+  if (raw.length > MAX_ENTRIES) {
+    throw new Error(`${name} 最多包含 ${MAX_ENTRIES} 个条目`);
+  }
+  return raw.map(([term, entry]) => normalizeEntry(term, entry, name));
+}
+
+/**
+ * 规范化词典条目
+ * @param {*} term - 术语
+ * @param {*} entry - 条目配置
+ * @param {string} name - 词典名称
+ * @returns {LexiconEntry} 词典条目
+ * @throws {Error} 条目不合法时抛出
+ */
+function normalizeEntry(term, entry, name) {
+  if (typeof term !== "string" || !term.trim() || term.length > MAX_TERM_LENGTH) {
+    throw new Error(`${name} 中的术语必须是 1~${MAX_TERM_LENGTH} 个字符的字符串`);
+  }
+  if (typeof entry === "string") {
+    return { term, text: entry };
+  }
+  if (!entry || typeof entry !== "object") {
+    throw new Error(`${name} 中 "${term}" 的配置必须是字符串或对象`);
+  }
+
+  const phoneme = entry.pinyin ?? entry.ipa ?? entry.phoneme;
+  const alphabet = entry.pinyin !== undefined ? "sapi" : entry.ipa !== undefined ? "ipa" : (entry.alphabet || "ipa");
+  const kinds = [entry.text, phoneme, entry.alias].filter(value => value !== undefined);
+  if (kinds.length !== 1 || typeof kinds[0] !== "string") {
+    throw new Error(`${name} 中 "${term}" 须且只能提供 text、pinyin、ipa、phoneme、alias 之一`);
+  }
+
+  if (entry.text !== undefined) return { term, text: entry.text };
+  if (entry.alias !== undefined) return { term, alias: entry.alias };
+
+  if (!ALPHABETS.includes(alphabet)) {
+    throw new Error(`${name} 中 "${term}" 的 alphabet 不受支持，可选值为 ${ALPHABETS.join(", ")}`);
+  }
+  return { term, phoneme, alphabet };
+}
+
+/**
+ * 合并词典
+ * @description 同一术语以后出现的条目为准（如请求词典覆盖部署词典）
+ * @param {...LexiconEntry[]} lexicons - 词典
+ * @returns {LexiconEntry[]} 合并后的词典
+ */
+export function mergeLexicons(...lexicons) {
+  const merged = new Map();
+  for (const entry of lexicons.flat()) {
+    merged.set(entry.term, entry);
+  }
+  return [...merged.values()];
+}
+
+// =================================================================================
+// 部署级词典
+// =================================================================================
+
+/** @type {{ source: string|undefined, entries: LexiconEntry[] }} */
+let envLexiconCache = { source: undefined, entries: [] };
+
+/** @type {{ url: string|null, entries: LexiconEntry[], fetchedAt: number }} */
+let remoteLexiconCache = { url: null, entries: [], fetchedAt: 0 };
+
+/**
+ * 获取部署级词典
+ * @description 合并环境变量 LEXICON（JSON）与 LEXICON_URL 指向的 JSON 文件（可放在站点静态目录中），
+ * 后者缓存 5 分钟；文件拉取失败时沿用上次结果
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Promise<LexiconEntry[]>} 词典条目
+ * @throws {Error} LEXICON 配置不合法时抛出
+ */
+export async function resolveLexicon(env = {}) {
+  if (envLexiconCache.source !== env.LEXICON) {
+    envLexiconCache = { source: env.LEXICON, entries: parseLexicon(env.LEXICON, "LEXICON") };
+  }
+  if (!env.LEXICON_URL) {
+    return envLexiconCache.entries;
+  }
+
+  const now = Date.now();
+  if (remoteLexiconCache.url !== env.LEXICON_URL || now - remoteLexiconCache.fetchedAt >= REMOTE_LEXICON_TTL) {
+    try {
+      const response = await fetch(env.LEXICON_URL);
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      remoteLexiconCache = {
+        url: env.LEXICON_URL,
+        entries: parseLexicon(await response.text(), "LEXICON_URL"),
+        fetchedAt: now
+      };
+    } catch (error) {
+      console.warn(`发音词典 ${env.LEXICON_URL} 加载失败: ${error.message}`);
+      if (remoteLexiconCache.url !== env.LEXICON_URL) {
+        remoteLexiconCache = { url: env.LEXICON_URL, entries: [], fetchedAt: now };
+      }
+    }
+  }
+
+  return mergeLexicons(remoteLexiconCache.entries, envLexiconCache.entries);
+}
+
+// =================================================================================
+// 词典应用
+// =================================================================================
+
+/**
+ * 应用替换文本条目
+ * @param {string} text - 清理后的文本
+ * @param {LexiconEntry[]} lexicon - 词典
+ * @returns {string} 替换后的文本
+ */
+export function applyLexiconText(text, lexicon) {
+  const entries = lexicon.filter(entry => entry.text !== undefined);
+  return replaceLexiconTerms(text, entries, entry => entry.text);
+}
+
+/**
+ * 找出文本中出现的标记类条目（phoneme / alias）
+ * @description 结果随合成单元保存，由 getSsml 输出标记，并参与音频缓存键计算
+ * @param {string} text - 合成单元文本
+ * @param {LexiconEntry[]} lexicon - 词典
+ * @returns {LexiconEntry[]} 出现的条目
+ */
+export function matchLexiconMarkup(text, lexicon) {
+  const entries = lexicon.filter(entry => entry.text === undefined);
+  if (entries.length === 0) return [];
+
+  const found = new Set();
+  replaceLexiconTerms(text, entries, (entry, term) => {
+    found.add(entry);
+    return term;
+  });
+  return entries.filter(entry => found.has(entry));
+}
+
+/**
+ * 替换文本中的术语
+ * @description 最长术语优先、一次扫描完成，已替换的内容不会再次匹配；跳过 `<...>` 标签内部；
+ * 以字母或数字开头 / 结尾的术语要求前 / 后不是字母或数字，避免命中单词的一部分
+ * @param {string} text - 文本
+ * @param {LexiconEntry[]} entries - 词典条目
+ * @param {(entry: LexiconEntry, term: string) => string} replacer - 返回替换内容
+ * @returns {string} 替换后的文本
+ */
+export function replaceLexiconTerms(text, entries, replacer) {
+  if (!entries || entries.length === 0) return text;
+
+  const byTerm = new Map(entries.map(entry => [entry.term, entry]));
+  const pattern = new RegExp(`(<[^>]*>)|${buildTermPattern(entries).source}`, "gu");
+  return text.replace(pattern, (match, tag) => tag ? tag : replacer(byTerm.get(match), match));
+}
+
+/**
+ * 生成标记类条目的 SSML
+ * @param {LexiconEntry} entry - 词典条目
+ * @param {string} term - 术语原文（未转义）
+ * @returns {string} SSML 片段
+ */
+export function renderLexiconMarkup(entry, term) {
+  if (entry.alias !== undefined) {
+    return `<sub alias="${escapeXml(entry.alias)}">${escapeXml(term)}</sub>`;
+  }
+  return `<phoneme alphabet="${entry.alphabet}" ph="${escapeXml(entry.phoneme)}">${escapeXml(term)}</phoneme>`;
+}
+
+/**
+ * 构建术语匹配正则
+ * @param {LexiconEntry[]} entries - 词典条目
+ * @returns {RegExp} 匹配任一术语的正则
+ */
+function buildTermPattern(entries) {
+  const alternatives = entries
+    .map(entry => entry.term)
+    .sort((a, b) => b.length - a.length)
+    .map(term => {
+      const escaped = term.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&");
+      const before = /^[A-Za-z0-9]/.test(term) ? "(?<![A-Za-z0-9])" : "";
+      const after = /[A-Za-z0-9]$/.test(term) ? "(?![A-Za-z0-9])" : "";
+      return `${before}${escaped}${after}`;
+    });
+  return new RegExp(alternatives.join("|"), "gu");
+}
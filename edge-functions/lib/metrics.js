@@ -0,0 +1,383 @@
+/**
+ * EdgeOne Pages TTS - 请求日志与统计模块
+ * @version 1.0.0
+ * @description 为每个请求分配 ID、记录用量与上游耗时，以单行 JSON 输出日志，
+ * 并在实例内存中汇总计数供 /api/v1/stats 查询
+ */
+
+import { getTokenStats } from './auth.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 单个请求的度量记录
+ * @description 由 withRequestMetrics 创建并传给路由处理器，处理器与合成流程按需填充
+ * @typedef {Object} RequestMetrics
+ * @property {string} id - 请求 ID
+ * @property {string} route - 路由名称
+ * @property {string} method - 请求方法
+ * @property {number} startedAt - 开始时间（毫秒）
+ * @property {string|null} key - 密钥标签，未启用验证时为 null
+ * @property {number} characters - 合成字符数
+ * @property {number} chunks - 合成单元数
+ * @property {number} batches - 按并发窗口折算的批次数
+ * @property {number[]} chunkLatencies - 各分块请求微软的耗时（毫秒，含重试；命中缓存的分块不计入）
+ * @property {number} cacheHits - 命中缓存的分块数
+ * @property {number} tokenRefreshes - 开始时的 Token 刷新计数，结束时换算为请求期间的刷新次数
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** 请求 ID 响应头 */
+export const REQUEST_ID_HEADER = "X-Request-Id";
+
+/** 客户端传入的请求 ID 只接受该格式，否则重新生成 */
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+/** 用于计算分位数的最近耗时样本数 */
+const LATENCY_SAMPLES = 500;
+
+/** 日志级别，LOG_LEVEL 取其中之一，off 表示不输出请求日志 */
+const LOG_LEVELS = ["info", "warn", "error", "off"];
+
+/** 默认日志级别：只输出 4xx / 5xx 请求，成功请求只计入汇总统计 */
+const DEFAULT_LOG_LEVEL = "warn";
+
+// =================================================================================
+// 汇总统计
+// =================================================================================
+
+/** 实例内的汇总计数，实例重启后清零 */
+let stats = createEmptyStats();
+
+/**
+ * 创建空的汇总计数
+ * @returns {Object} 汇总计数
+ */
+function createEmptyStats() {
+  return {
+    since: Math.floor(Date.now() / 1000),
+    requests: 0,
+    routes: {},
+    statuses: {},
+    errors: {},
+    keys: {},
+    characters: 0,
+    chunks: 0,
+    batches: 0,
+    cacheHits: 0,
+    upstreamCalls: 0,
+    upstreamTotalMs: 0,
+    upstreamMaxMs: 0,
+    latencySamples: []
+  };
+}
+
+/**
+ * 计数加一
+ * @param {Object.<string, number>} counters - 计数表
+ * @param {string} name - 计数名
+ * @param {number} [amount=1] - 增量
+ */
+function increment(counters, name, amount = 1) {
+  counters[name] = (counters[name] || 0) + amount;
+}
+
+/**
+ * 计算分位数
+ * @param {number[]} sorted - 升序样本
+ * @param {number} ratio - 分位（0~1）
+ * @returns {number|null} 分位数，无样本时为 null
+ */
+function percentile(sorted, ratio) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * ratio))];
+}
+
+/**
+ * 获取汇总统计
+ * @description 计数仅反映当前实例自 since 起处理的请求
+ * @returns {Object} 统计 JSON
+ */
+export function getStats() {
+  const sorted = [...stats.latencySamples].sort((a, b) => a - b);
+  return {
+    object: "stats",
+    since: stats.since,
+    requests: {
+      total: stats.requests,
+      by_route: { ...stats.routes },
+      by_status: { ...stats.statuses }
+    },
+    errors: { ...stats.errors },
+    keys: JSON.parse(JSON.stringify(stats.keys)),
+    synthesis: {
+      characters: stats.characters,
+      chunks: stats.chunks,
+      batches: stats.batches,
+      cache_hits: stats.cacheHits
+    },
+    upstream: {
+      calls: stats.upstreamCalls,
+      avg_latency_ms: stats.upstreamCalls > 0 ? Math.round(stats.upstreamTotalMs / stats.upstreamCalls) : null,
+      p50_latency_ms: percentile(sorted, 0.5),
+      p95_latency_ms: percentile(sorted, 0.95),
+      max_latency_ms: stats.upstreamCalls > 0 ? stats.upstreamMaxMs : null
+    },
+    token: serializeTokenStats()
+  };
+}
+
+/**
+ * 生成 Token 刷新计数的公开表示
+ * @returns {Object} 计数 JSON
+ */
+function serializeTokenStats() {
+  const { refreshes, failures, lastRefreshAt } = getTokenStats();
+  return { refreshes, failures, last_refresh_at: lastRefreshAt };
+}
+
+/**
+ * 清空汇总统计
+ */
+export function resetStats() {
+  stats = createEmptyStats();
+}
+
+// =================================================================================
+// 请求记录
+// =================================================================================
+
+/**
+ * 创建请求度量记录
+ * @param {Request} request - HTTP 请求对象
+ * @param {string} route - 路由名称
+ * @returns {RequestMetrics} 度量记录
+ */
+export function createRequestMetrics(request, route) {
+  const incoming = request.headers.get(REQUEST_ID_HEADER);
+  return {
+    id: incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : `req_${crypto.randomUUID().replace(/-/g, "")}`,
+    route,
+    method: request.method,
+    startedAt: Date.now(),
+    key: null,
+    characters: 0,
+    chunks: 0,
+    batches: 0,
+    chunkLatencies: [],
+    cacheHits: 0,
+    tokenRefreshes: getTokenStats().refreshes
+  };
+}
+
+/**
+ * 记录请求用量
+ * @description 请求结束时随日志计入汇总统计（含按密钥汇总的请求数与字符数）
+ * @param {RequestMetrics|null|undefined} metrics - 度量记录，未提供时忽略
+ * @param {Object} usage - 用量
+ * @param {string|null} [usage.key] - 密钥标签
+ * @param {number} [usage.characters] - 合成字符数
+ * @param {number} [usage.chunks] - 合成单元数
+ */
+export function recordUsage(metrics, { key, characters, chunks } = {}) {
+  if (!metrics) return;
+  if (key !== undefined) metrics.key = key;
+  if (characters !== undefined) metrics.characters = characters;
+  if (chunks !== undefined) metrics.chunks = chunks;
+}
+
+/**
+ * 记录一次合成调度
+ * @param {RequestMetrics|null|undefined} metrics - 度量记录，未提供时忽略
+ * @param {number} batches - 按并发窗口折算的批次数
+ */
+export function recordBatches(metrics, batches) {
+  if (!metrics) return;
+  metrics.batches += batches;
+  stats.batches += batches;
+}
+
+/**
+ * 记录单个分块的合成结果
+ * @description 流式响应中分块在日志输出后仍会继续合成，这些分块只计入汇总统计
+ * @param {RequestMetrics|null|undefined} metrics - 度量记录，未提供时忽略
+ * @param {number|null} latency - 请求微软的耗时（毫秒），命中缓存时为 null
+ */
+export function recordChunk(metrics, latency) {
+  if (!metrics) return;
+  if (latency === null) {
+    metrics.cacheHits++;
+    stats.cacheHits++;
+    return;
+  }
+
+  metrics.chunkLatencies.push(latency);
+  stats.upstreamCalls++;
+  stats.upstreamTotalMs += latency;
+  stats.upstreamMaxMs = Math.max(stats.upstreamMaxMs, latency);
+  stats.latencySamples.push(latency);
+  if (stats.latencySamples.length > LATENCY_SAMPLES) {
+    stats.latencySamples.shift();
+  }
+}
+
+// =================================================================================
+// 中间件
+// =================================================================================
+
+/**
+ * 为路由处理器添加请求日志与统计
+ * @description 处理器以 (context, metrics) 调用；返回响应时更新汇总计数、按 LOG_LEVEL 输出单行 JSON 日志，
+ * 并附加 X-Request-Id 与 Server-Timing 响应头。流式响应在首块就绪、响应返回时记录日志
+ * @param {string} route - 路由名称，如 speech、models
+ * @param {(context: Object, metrics: RequestMetrics) => Promise<Response>} handler - 路由处理器
+ * @returns {(context: Object) => Promise<Response>} 包装后的处理器
+ */
+export function withRequestMetrics(route, handler) {
+  return async function (context) {
+    const metrics = createRequestMetrics(context.request, route);
+
+    const env = context.env || {};
+
+    let response;
+    try {
+      response = await handler(context, metrics);
+    } catch (error) {
+      logRequest(metrics, 500, "internal_server_error", error.message, env);
+      throw error;
+    }
+
+    // 预检请求不计入统计
+    if (metrics.method === "OPTIONS") {
+      return response;
+    }
+
+    const errorCode = response.status >= 400 ? await readErrorCode(response) : null;
+    const duration = logRequest(metrics, response.status, errorCode, undefined, env);
+
+    const headers = new Headers(response.headers);
+    headers.set(REQUEST_ID_HEADER, metrics.id);
+    headers.set("Server-Timing", serverTiming(metrics, duration));
+    return new Response(response.body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers
+    });
+  };
+}
+
+/**
+ * 输出请求日志并更新汇总计数
+ * @param {RequestMetrics} metrics - 度量记录
+ * @param {number} status - 响应状态码
+ * @param {string|null} errorCode - 错误代码
+ * @param {string} [errorMessage] - 未捕获异常的消息
+ * @param {Object} [env={}] - EdgeOne Pages 环境变量，用于读取 LOG_LEVEL 与 LOG_SAMPLE_RATE
+ * @returns {number} 请求耗时（毫秒）
+ */
+function logRequest(metrics, status, errorCode, errorMessage, env = {}) {
+  const duration = Date.now() - metrics.startedAt;
+  const tokenRefreshes = getTokenStats().refreshes - metrics.tokenRefreshes;
+
+  stats.requests++;
+  increment(stats.routes, metrics.route);
+  increment(stats.statuses, String(status));
+  if (errorCode) {
+    increment(stats.errors, errorCode);
+  }
+  if (metrics.key) {
+    const key = stats.keys[metrics.key] ||= { requests: 0, characters: 0 };
+    key.requests++;
+    key.characters += metrics.characters;
+  }
+  stats.characters += metrics.characters;
+  stats.chunks += metrics.chunks;
+
+  const level = status >= 500 ? "error" : status >= 400 ? "warn" : "info";
+  if (!shouldLog(level, env)) {
+    return duration;
+  }
+
+  const latencies = metrics.chunkLatencies;
+  const entry = {
+    level,
+    time: new Date().toISOString(),
+    request_id: metrics.id,
+    route: metrics.route,
+    method: metrics.method,
+    status,
+    duration_ms: duration,
+    key: metrics.key,
+    characters: metrics.characters,
+    chunks: metrics.chunks,
+    batches: metrics.batches,
+    cache_hits: metrics.cacheHits,
+    chunk_latency_ms: latencies,
+    token_refreshes: tokenRefreshes,
+    error_code: errorCode
+  };
+  if (errorMessage) {
+    entry.error_message = errorMessage;
+  }
+  console.log(JSON.stringify(entry));
+  return duration;
+}
+
+/**
+ * 判断是否输出日志
+ * @description 低于 LOG_LEVEL（默认 warn）的日志不输出；info 级日志再按 LOG_SAMPLE_RATE（0–1，默认 1）抽样，
+ * 错误与警告不抽样
+ * @param {string} level - 日志级别（info / warn / error）
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {boolean} 是否输出
+ */
+function shouldLog(level, env) {
+  const configured = String(env.LOG_LEVEL || "").toLowerCase();
+  const threshold = LOG_LEVELS.includes(configured) ? configured : DEFAULT_LOG_LEVEL;
+  if (LOG_LEVELS.indexOf(level) < LOG_LEVELS.indexOf(threshold)) {
+    return false;
+  }
+  if (level !== "info" || env.LOG_SAMPLE_RATE === undefined) {
+    return true;
+  }
+
+  const rate = parseFloat(env.LOG_SAMPLE_RATE);
+  return Number.isFinite(rate) ? Math.random() < rate : true;
+}
+
+/**
+ * 读取错误响应中的错误代码
+ * @param {Response} response - 错误响应
+ * @returns {Promise<string|null>} error.code，非 JSON 响应时为 null
+ */
+async function readErrorCode(response) {
+  if (!(response.headers.get("Content-Type") || "").includes("application/json")) {
+    return null;
+  }
+  try {
+    const body = await response.clone().json();
+    return (body && body.error && body.error.code) || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 生成 Server-Timing 响应头
+ * @description total 为处理耗时；请求过微软时 tts 为最慢分块的耗时
+ * @param {RequestMetrics} metrics - 度量记录
+ * @param {number} duration - 请求耗时（毫秒）
+ * @returns {string} 响应头值
+ */
+function serverTiming(metrics, duration) {
+  const parts = [`total;dur=${duration}`];
+  if (metrics.chunkLatencies.length > 0) {
+    parts.push(`tts;desc="slowest chunk";dur=${Math.max(...metrics.chunkLatencies)}`);
+  }
+  return parts.join(", ");
+}
@@ -0,0 +1,410 @@
+/**
+ * EdgeOne Pages TTS - 文本读法规范化模块
+ * @version 1.0.0
+ * @description 将日期、时间、货币、百分比、分数、电话号码、版本号、负数与常用单位展开为口语读法，
+ * 避免语音把 "2024-10-19"、"3/4"、"km/h"、"-5°C" 等读错。中文语音展开为中文，en-* 语音展开为英文
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** 中文数字 */
+const ZH_DIGITS = "零一二三四五六七八九";
+
+/** 中文节内单位（个、十、百、千） */
+const ZH_SMALL_UNITS = ["", "十", "百", "千"];
+
+/** 中文节单位（每四位一节） */
+const ZH_SECTION_UNITS = ["", "万", "亿", "万亿"];
+
+/** 英文数字（逐位读） */
+const EN_DIGITS = ["zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine"];
+
+/** 英文 10~19 */
+const EN_TEENS = ["ten", "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen"];
+
+/** 英文整十 */
+const EN_TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+
+/** 英文不规则序数（其余在基数词后加 th） */
+const EN_ORDINALS = {
+  one: "first", two: "second", three: "third", five: "fifth", eight: "eighth", nine: "ninth", twelve: "twelfth"
+};
+
+/** 英文月份 */
+const EN_MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December"
+];
+
+/** 货币符号读法 */
+const CURRENCIES = {
+  "¥": { zh: "元", en: "yuan" },
+  "￥": { zh: "元", en: "yuan" },
+  "$": { zh: "美元", en: "dollars" },
+  "€": { zh: "欧元", en: "euros" },
+  "£": { zh: "英镑", en: "pounds" }
+};
+
+/**
+ * 常用单位读法
+ * @description 按键长度从长到短匹配，复合单位（如 km/h）优先于其组成部分；
+ * 单位须紧跟数字且其后不是字母，避免误伤普通单词；en 为 null 的单位在英文中不展开
+ */
+const UNITS = {
+  "km/h": { zh: "千米每小时", en: "kilometers per hour" },
+  "m/s": { zh: "米每秒", en: "meters per second" },
+  "km²": { zh: "平方千米", en: "square kilometers" },
+  "m²": { zh: "平方米", en: "square meters" },
+  "m³": { zh: "立方米", en: "cubic meters" },
+  "°C": { zh: "摄氏度", en: "degrees Celsius" },
+  "°F": { zh: "华氏度", en: "degrees Fahrenheit" },
+  "℃": { zh: "摄氏度", en: "degrees Celsius" },
+  "℉": { zh: "华氏度", en: "degrees Fahrenheit" },
+  "mAh": { zh: "毫安时", en: "milliamp hours" },
+  "kWh": { zh: "千瓦时", en: "kilowatt hours" },
+  "GHz": { zh: "吉赫兹", en: "gigahertz" },
+  "MHz": { zh: "兆赫兹", en: "megahertz" },
+  "kHz": { zh: "千赫兹", en: "kilohertz" },
+  "Hz": { zh: "赫兹", en: "hertz" },
+  "TB": { zh: "TB", en: "terabytes" },
+  "GB": { zh: "GB", en: "gigabytes" },
+  "MB": { zh: "MB", en: "megabytes" },
+  "KB": { zh: "KB", en: "kilobytes" },
+  "kW": { zh: "千瓦", en: "kilowatts" },
+  "km": { zh: "千米", en: "kilometers" },
+  "cm": { zh: "厘米", en: "centimeters" },
+  "mm": { zh: "毫米", en: "millimeters" },
+  "kg": { zh: "千克", en: "kilograms" },
+  "mg": { zh: "毫克", en: "milligrams" },
+  "ml": { zh: "毫升", en: "milliliters" },
+  "mL": { zh: "毫升", en: "milliliters" },
+  "ms": { zh: "毫秒", en: "milliseconds" },
+  "min": { zh: "分钟", en: "minutes" },
+  "m": { zh: "米", en: "meters" },
+  "g": { zh: "克", en: "grams" },
+  "L": { zh: "升", en: "liters" },
+  "s": { zh: "秒", en: null },        // 英文中常见 1990s 等年代写法，不展开
+  "h": { zh: "小时", en: "hours" },
+  "W": { zh: "瓦", en: "watts" },
+  "V": { zh: "伏", en: "volts" }
+};
+
+/** 单位备选项（由 UNITS 生成，长的在前） */
+const UNIT_SOURCE = Object.keys(UNITS)
+  .sort((a, b) => b.length - a.length)
+  .map(unit => unit.replace(/[/.*+?^${}()|[\]\\]/g, "\\$&"))
+  .join("|");
+
+/** 单位匹配正则 */
+const UNIT_PATTERN = new RegExp(`(\\d+(?:\\.\\d+)?)\\s?(${UNIT_SOURCE})(?![A-Za-z])`, "g");
+
+/** 单个数值：时间，或可带货币符号、百分号、单位的数字 */
+const VALUE_SOURCE = `(?:\\d{1,2}:\\d{2}(?::\\d{2})?|[¥￥$€£]?\\d+(?:\\.\\d+)?(?:\\s?(?:[%％‰]|${UNIT_SOURCE})(?![A-Za-z]))?)`;
+
+/**
+ * 两个数值之间的范围：10%-20%、3℃-5℃、$3-$5、10:00-12:00、-5~5
+ * @description 左侧可带负号；连字符两侧不能有空格（3 - 5 可能是减法），波浪号可以；
+ * 紧邻字母、数字或其他分隔符的写法（A-1、1-2-3、1.2.3-4）不视为范围
+ */
+const RANGE_PATTERN = new RegExp(
+  `(?<![\\w.\\-−–/:])([-−]?${VALUE_SOURCE})(?:[-–]|\\s?[~～]\\s?)(?=[-−]?${VALUE_SOURCE}(?![\\w.\\-−–/:]))`,
+  "g"
+);
+
+/** 符号读法（仅在两侧为数字时替换的符号见 buildRules） */
+const SYMBOLS = {
+  "&": { zh: "和", en: " and " },
+  "≈": { zh: "约等于", en: " approximately " },
+  "≥": { zh: "大于等于", en: " greater than or equal to " },
+  "≤": { zh: "小于等于", en: " less than or equal to " },
+  "±": { zh: "正负", en: " plus or minus " }
+};
+
+// =================================================================================
+// 公共接口
+// =================================================================================
+
+/**
+ * 规范化文本读法
+ * @description 只处理标签之外的文本，`<break>` 等内联标签原样保留
+ * @param {string} text - 输入文本
+ * @param {string} [locale="zh-CN"] - 语音的语言区域，en-* 使用英文读法，其余使用中文读法
+ * @returns {string} 规范化后的文本
+ */
+export function normalizeText(text, locale = "zh-CN") {
+  const rules = String(locale).toLowerCase().startsWith("en") ? EN_RULES : ZH_RULES;
+
+  return text
+    .split(/(<[^>]+>)/)
+    .map(part => part.startsWith("<") ? part : rules.reduce((result, [pattern, replace]) => result.replace(pattern, replace), part))
+    .join("");
+}
+
+// =================================================================================
+// 中文读法
+// =================================================================================
+
+/**
+ * 按数值读整数
+ * @param {string} digits - 数字串
+ * @returns {string} 中文读法，如 10010 → 一万零一十
+ */
+export function readChineseInteger(digits) {
+  digits = digits.replace(/^0+(?=\d)/, "");
+  if (digits.length > 16) return readChineseDigits(digits);
+  if (/^0+$/.test(digits)) return "零";
+
+  const sections = [];
+  for (let end = digits.length; end > 0; end -= 4) {
+    sections.unshift(digits.slice(Math.max(0, end - 4), end));
+  }
+
+  let result = "";
+  let pendingZero = false;
+  sections.forEach((section, index) => {
+    const value = Number(section);
+    if (value === 0) {
+      pendingZero = result !== "";
+      return;
+    }
+    if (result && (pendingZero || value < 1000)) {
+      result += "零";
+    }
+    result += readChineseSection(section) + ZH_SECTION_UNITS[sections.length - 1 - index];
+    pendingZero = false;
+  });
+
+  // 10~19 习惯读作"十几"
+  return result.replace(/^一十/, "十");
+}
+
+/**
+ * 按数值读数字（支持负号与小数）
+ * @param {string} number - 数字串，可含千位分隔符
+ * @returns {string} 中文读法，如 -3.14 → 负三点一四
+ */
+export function readChineseNumber(number) {
+  const [, sign, integer, fraction] = number.replace(/,/g, "").match(/^([-+]?)(\d+)(?:\.(\d+))?$/) || [];
+  if (integer === undefined) return number;
+
+  return `${sign === "-" ? "负" : ""}${readChineseInteger(integer)}${fraction ? `点${readChineseDigits(fraction)}` : ""}`;
+}
+
+/**
+ * 逐位读数字
+ * @param {string} digits - 数字串
+ * @param {boolean} [yao=false] - 是否将 1 读作"幺"（电话号码习惯）
+ * @returns {string} 中文读法，如 2024 → 二零二四
+ */
+export function readChineseDigits(digits, yao = false) {
+  return digits.replace(/\d/g, digit => yao && digit === "1" ? "幺" : ZH_DIGITS[digit]);
+}
+
+/**
+ * 读四位以内的一节
+ * @param {string} section - 一节数字（1~4 位）
+ * @returns {string} 中文读法
+ */
+function readChineseSection(section) {
+  const padded = section.padStart(4, "0");
+  let result = "";
+  let pendingZero = false;
+
+  for (let i = 0; i < 4; i++) {
+    const digit = Number(padded[i]);
+    if (digit === 0) {
+      pendingZero = result !== "";
+      continue;
+    }
+    if (pendingZero) result += "零";
+    result += ZH_DIGITS[digit] + ZH_SMALL_UNITS[3 - i];
+    pendingZero = false;
+  }
+  return result;
+}
+
+// =================================================================================
+// 英文读法
+// =================================================================================
+
+/**
+ * 英文基数词（0~99）
+ * @param {number} value - 数值
+ * @returns {string} 如 42 → forty-two
+ */
+function readEnglishCardinal(value) {
+  if (value < 10) return EN_DIGITS[value];
+  if (value < 20) return EN_TEENS[value - 10];
+  const ones = value % 10;
+  return `${EN_TENS[Math.floor(value / 10)]}${ones ? `-${EN_DIGITS[ones]}` : ""}`;
+}
+
+/**
+ * 英文序数词（1~99）
+ * @param {number} value - 数值
+ * @returns {string} 如 5 → fifth，21 → twenty-first，40 → fortieth
+ */
+function readEnglishOrdinal(value) {
+  const cardinal = readEnglishCardinal(value);
+  return cardinal.replace(/[a-z]+$/, word =>
+    EN_ORDINALS[word] || (word.endsWith("y") ? `${word.slice(0, -1)}ieth` : `${word}th`));
+}
+
+/**
+ * 英文分数读法
+ * @description 分子、分母均小于 100 时读作 three quarters、two fifths，否则读作 "分子 over 分母"
+ * @param {string} numerator - 分子
+ * @param {string} denominator - 分母
+ * @returns {string} 如 3/4 → three quarters，1/3 → one third，7/250 → 7 over 250
+ */
+function readEnglishFraction(numerator, denominator) {
+  const n = Number(numerator);
+  const d = Number(denominator);
+  if (n >= 100 || d >= 100 || d < 2) return `${n} over ${d}`;
+
+  const unit = d === 2 ? "half" : d === 4 ? "quarter" : readEnglishOrdinal(d);
+  const plural = n === 1 ? unit : unit === "half" ? "halves" : `${unit}s`;
+  return `${readEnglishCardinal(n)} ${plural}`;
+}
+
+/**
+ * 逐位读数字（英文）
+ * @param {string} digits - 数字串
+ * @returns {string} 以空格分隔的英文数字，如 138 → one three eight
+ */
+function readEnglishDigits(digits) {
+  return digits.replace(/\D/g, "").split("").map(digit => EN_DIGITS[digit]).join(" ");
+}
+
+/**
+ * 英文时间读法
+ * @param {string} hour - 时
+ * @param {string} minute - 分
+ * @param {string} [second] - 秒
+ * @returns {string} 如 10:00 → 10 o'clock，10:05 → 10 oh 5，10:30:15 → 10 30 and 15 seconds
+ */
+function readEnglishTime(hour, minute, second) {
+  const hours = Number(hour);
+  const minutes = minute === "00"
+    ? `${hours} o'clock`
+    : `${hours} ${minute[0] === "0" ? `oh ${minute[1]}` : minute}`;
+  return second && second !== "00" ? `${minutes} and ${Number(second)} seconds` : minutes;
+}
+
+// =================================================================================
+// 规则表
+// =================================================================================
+
+/**
+ * 判断日期是否合法
+ * @param {string} month - 月
+ * @param {string} day - 日
+ * @returns {boolean} 月份 1~12 且日期 1~31
+ */
+function isValidDate(month, day) {
+  return Number(month) >= 1 && Number(month) <= 12 && Number(day) >= 1 && Number(day) <= 31;
+}
+
+/**
+ * 构建规则表
+ * @description 规则按顺序执行：电话与日期先于范围，范围、运算符号与负号先于时间、版本号、货币、百分比与单位，
+ * 负号判断时前一个字符仍是原文，避免被拆开误读
+ * @param {"zh"|"en"} lang - 语言
+ * @returns {Array<[RegExp, Function|string]>} 替换规则
+ */
+function buildRules(lang) {
+  const zh = lang === "zh";
+  const symbolPattern = new RegExp(`[${Object.keys(SYMBOLS).join("")}]`, "g");
+
+  return [
+    // 手机号（可带 +86 前缀）与座机 / 400 号码，逐位读；英文按 3-4-4 或分隔符分组
+    [/(?<!\d\.?)(?:\+?86[- ]?)?(1[3-9]\d{9})(?!\.?\d)/g, (_, phone) =>
+      zh
+        ? readChineseDigits(phone, true)
+        : [phone.slice(0, 3), phone.slice(3, 7), phone.slice(7)].map(readEnglishDigits).join(", ")],
+    [/(?<!\d\.?)(0\d{2,3}|[48]00)-(\d{3,4})-?(\d{4})(?!\.?\d)/g, (match) =>
+      zh
+        ? match.split("-").map(part => readChineseDigits(part, true)).join("，")
+        : match.split("-").map(readEnglishDigits).join(", ")],
+
+    // 日期：2024-10-19、2024/10/19、2024.10.19
+    [/(?<!\d\.?)(\d{4})([-/.])(\d{1,2})\2(\d{1,2})(?!\.?\d)/g, (match, year, _, month, day) => {
+      if (!isValidDate(month, day)) return match;
+      return zh
+        ? `${readChineseDigits(year)}年${readChineseInteger(month)}月${readChineseInteger(day)}日`
+        : `${EN_MONTHS[Number(month) - 1]} ${Number(day)}, ${year}`;
+    }],
+
+    // 两个数值之间的范围：10%-20% → 10%到20%，单位、货币与时间由后续规则展开
+    [RANGE_PATTERN, zh ? "$1到" : "$1 to "],
+
+    // 数字之间的范围与运算符号（右侧可以是负数）
+    [/(\d)\s?[~～]\s?(?=[-−]?\d)/g, zh ? "$1到" : "$1 to "],
+    [/(\d)\s?×\s?(?=[-−]?\d)/g, zh ? "$1乘" : "$1 times "],
+    [/(\d)\s?÷\s?(?=[-−]?\d)/g, zh ? "$1除以" : "$1 divided by "],
+    [/(\d)\s?=\s?(?=[-−]?\d)/g, zh ? "$1等于" : "$1 equals "],
+
+    // 负号：-5°C、-15%、-$3；紧跟在字母、数字、百分号、温度或货币符号之后，
+    // 或与前一个数字以空格隔开的连字符（如 A-1、10%-、3 - 5）不是负号
+    [/(?<![A-Za-z0-9_.)\]%％‰℃℉°²³¥￥$€£])(?<!\d\s+)[-−](?=[¥￥$€£]?\d)/g, (_, offset, text) =>
+      zh ? "负" : `${offset > 0 && !/[\s([{"'“‘]/.test(text[offset - 1]) ? " " : ""}minus `],
+
+    // 时间：10:05、23:59:30
+    [/(?<![\d:])([01]?\d|2[0-4]):([0-5]\d)(?::([0-5]\d))?(?![\d:])/g, (_, hour, minute, second) => {
+      if (!zh) return readEnglishTime(hour, minute, second);
+      const seconds = second && second !== "00" ? `${readChineseInteger(second)}秒` : "";
+      const minutes = minute === "00"
+        ? (seconds ? "零分" : "整")
+        : `${minute[0] === "0" ? "零" : ""}${readChineseInteger(minute)}分`;
+      return `${readChineseInteger(hour)}点${minutes}${seconds}`;
+    }],
+
+    // 版本号：v1.2.3、1.2.3
+    [/(?<!\d\.?)(?:[vV](?=\d))?(\d+(?:\.\d+){2,}|(?<=[vV])\d+\.\d+)(?!\.?\d)/g, (_, version) => {
+      const parts = version.split(".");
+      return zh ? parts.map(readChineseInteger).join("点") : parts.join(" point ");
+    }],
+
+    // 货币：¥1,200、$3.50
+    [/([¥￥$€£])\s?(\d{1,3}(?:,\d{3})+(?:\.\d+)?|\d+(?:\.\d+)?)/g, (_, symbol, amount) =>
+      zh ? `${readChineseNumber(amount)}${CURRENCIES[symbol].zh}` : `${amount.replace(/,/g, "")} ${CURRENCIES[symbol].en}`],
+
+    // 百分比与千分比：15%、3.5‰
+    [/(\d+(?:\.\d+)?)\s?([%％‰])/g, (_, number, sign) => {
+      if (zh) return `${sign === "‰" ? "千分之" : "百分之"}${readChineseNumber(number)}`;
+      return `${number} ${sign === "‰" ? "per mille" : "percent"}`;
+    }],
+
+    // 单位：15km、60 km/h、25°C
+    [UNIT_PATTERN, (match, number, unit) => {
+      if (zh) return `${readChineseNumber(number)}${UNITS[unit].zh}`;
+      return UNITS[unit].en ? `${number} ${UNITS[unit].en}` : match;
+    }],
+
+    // 第2/3季度：并列的序号，不是分数
+    ...(zh ? [[/第(\d+)\/(?=\d+(?![\d/]))/g, "第$1、"]] : []),
+
+    // 分数：3/4（分母为 0、前有"第"或两侧紧跟数字、斜杠时不处理）
+    [/(?<![\d/.第])(\d+)\/(\d+)(?![\d/])/g, (match, numerator, denominator) => {
+      if (Number(denominator) === 0) return match;
+      return zh
+        ? `${readChineseInteger(denominator)}分之${readChineseInteger(numerator)}`
+        : readEnglishFraction(numerator, denominator);
+    }],
+
+    // 带千位分隔符的数字：1,200,000
+    [/(?<![\d.,])\d{1,3}(?:,\d{3})+(?:\.\d+)?(?![\d,])/g, (number) =>
+      zh ? readChineseNumber(number) : number.replace(/,/g, "")],
+
+    // 其他符号
+    [symbolPattern, (symbol) => SYMBOLS[symbol][lang]]
+  ];
+}
+
+/** 中文规则表 */
+const ZH_RULES = buildRules("zh");
+
+/** 英文规则表 */
+const EN_RULES = buildRules("en");
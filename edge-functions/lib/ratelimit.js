@@ -0,0 +1,215 @@
+/**
+ * EdgeOne Pages TTS - 限流模块
+ * @version 1.0.0
+ * @description 令牌桶限流：按密钥与客户端 IP 分别限制每分钟请求数和字符数，
+ * 桶状态保存在可替换的键值存储中（默认为实例内存）
+ */
+
+import { createHttpError } from './utils.js';
+import { createMemoryStore, getStore } from './store.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 限流指标
+ * - requests: 每分钟请求数，每个请求消耗 1
+ * - characters: 每分钟字符数，按实际合成的字符数消耗
+ * @typedef {"requests"|"characters"} RateLimitMetric
+ */
+
+/**
+ * 单个令牌桶的判定结果
+ * @typedef {Object} RateLimitResult
+ * @property {boolean} allowed - 是否放行
+ * @property {number} limit - 桶容量（每分钟额度）
+ * @property {number} remaining - 剩余额度（取整，不小于 0）
+ * @property {number} reset - 桶恢复满额所需秒数
+ * @property {number} retryAfter - 被拒绝时建议的重试等待秒数，放行时为 0
+ */
+
+/**
+ * 限流器
+ * @typedef {Object} RateLimiter
+ * @property {(bucket: string, cost: number, limit: number) => Promise<RateLimitResult>} consume - 从指定桶中扣减额度
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** 令牌桶的补满周期（毫秒），额度均为每分钟 */
+const WINDOW_MS = 60 * 1000;
+
+/** 桶状态的保留时长（秒），超过补满周期后状态与满桶等价 */
+const BUCKET_TTL = 2 * 60;
+
+/** 存储键前缀 */
+const BUCKET_PREFIX = "ratelimit:";
+
+/**
+ * 未在密钥配置中指定时使用的环境变量
+ * @type {Object.<string, Object.<RateLimitMetric, string>>}
+ */
+const LIMIT_ENV = {
+  key: {
+    requests: "RATE_LIMIT_REQUESTS_PER_MINUTE",
+    characters: "RATE_LIMIT_CHARACTERS_PER_MINUTE"
+  },
+  ip: {
+    requests: "RATE_LIMIT_IP_REQUESTS_PER_MINUTE",
+    characters: "RATE_LIMIT_IP_CHARACTERS_PER_MINUTE"
+  }
+};
+
+// =================================================================================
+// 令牌桶
+// =================================================================================
+
+/**
+ * 创建令牌桶限流器
+ * @description 桶容量为每分钟额度，按 limit / 60 秒的速率连续补充；
+ * 单次消耗超过容量时（如一次合成大量字符），满桶即放行并允许余额为负，之后的请求需等待补足
+ * @param {import('./store.js').KeyValueStore} store - 保存桶状态的存储
+ * @param {() => number} [now=Date.now] - 当前时间（毫秒）
+ * @returns {RateLimiter} 限流器
+ */
+export function createRateLimiter(store, now = Date.now) {
+  return {
+    async consume(bucket, cost, limit) {
+      const time = now();
+      const rate = limit / WINDOW_MS;
+      const state = await store.get(`${BUCKET_PREFIX}${bucket}`);
+      const tokens = state
+        ? Math.min(limit, state.tokens + (time - state.updatedAt) * rate)
+        : limit;
+
+      const allowed = tokens >= Math.min(cost, limit);
+      const balance = allowed ? tokens - cost : tokens;
+      if (allowed) {
+        await store.put(`${BUCKET_PREFIX}${bucket}`, { tokens: balance, updatedAt: time }, { ttl: BUCKET_TTL });
+      }
+
+      return {
+        allowed,
+        limit,
+        remaining: Math.max(0, Math.floor(balance)),
+        reset: Math.ceil((limit - balance) / rate / 1000),
+        retryAfter: allowed ? 0 : Math.max(1, Math.ceil((Math.min(cost, limit) - tokens) / rate / 1000))
+      };
+    }
+  };
+}
+
+/** @type {RateLimiter|null} */
+let memoryLimiter = null;
+
+/**
+ * 获取当前部署使用的限流器
+ * @description RATE_LIMIT_STORE 为 kv 时桶状态保存在 KV 中（未绑定时回退到内存），多实例共享但仅近似准确；
+ * 默认保存在实例内存中
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {RateLimiter} 限流器
+ */
+export function getRateLimiter(env = {}) {
+  if (String(env.RATE_LIMIT_STORE || "").toLowerCase() === "kv") {
+    return createRateLimiter(getStore(env));
+  }
+  if (!memoryLimiter) {
+    memoryLimiter = createRateLimiter(createMemoryStore({ maxEntries: 10000 }));
+  }
+  return memoryLimiter;
+}
+
+// =================================================================================
+// 请求限流
+// =================================================================================
+
+/**
+ * 获取客户端 IP
+ * @description 优先使用 EdgeOne 注入的 request.eo.clientIp，其次依次读取代理请求头
+ * @param {Request} request - HTTP 请求对象
+ * @returns {string|null} 客户端 IP，无法确定时为 null
+ */
+export function getClientIp(request) {
+  if (request.eo && request.eo.clientIp) {
+    return request.eo.clientIp;
+  }
+  const forwarded = request.headers.get("EO-Connecting-IP") ||
+    request.headers.get("X-Forwarded-For") ||
+    request.headers.get("X-Real-IP");
+  return forwarded ? forwarded.split(",")[0].trim() : null;
+}
+
+/**
+ * 检查并扣减限流额度
+ * @description 依次检查密钥与客户端 IP 的令牌桶，任一被拒绝即返回 429；
+ * 密钥额度取密钥配置中的 requests_per_minute / characters_per_minute，未配置时取环境变量
+ * @param {Request} request - HTTP 请求对象
+ * @param {import('./keys.js').KeyRecord|null} apiKey - 当前请求的密钥配置，未启用验证时为 null
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @param {RateLimitMetric} metric - 限流指标
+ * @param {number} [cost=1] - 本次消耗
+ * @returns {Promise<Object.<string, string>>} 最紧张的桶对应的 X-RateLimit-* 响应头，未配置限流时为空对象
+ * @throws {Error} 超出限额时抛出 429 rate_limit_exceeded，error.headers 包含 Retry-After
+ */
+export async function checkRateLimit(request, apiKey, env, metric, cost = 1) {
+  const buckets = [];
+  if (apiKey) {
+    buckets.push({ name: `key:${apiKey.id}`, limit: apiKey[`${metric}_per_minute`] ?? toLimit(env[LIMIT_ENV.key[metric]]) });
+  }
+  const ip = getClientIp(request);
+  if (ip) {
+    buckets.push({ name: `ip:${ip}`, limit: toLimit(env[LIMIT_ENV.ip[metric]]) });
+  }
+
+  const limiter = getRateLimiter(env);
+  let tightest = null;
+  for (const { name, limit } of buckets) {
+    if (!limit) continue;
+
+    const result = await limiter.consume(`${metric}:${name}`, cost, limit);
+    if (!result.allowed) {
+      const error = createHttpError(
+        `请求过于频繁：每分钟${metric === "requests" ? "请求数" : "字符数"}上限为 ${limit}，请 ${result.retryAfter} 秒后重试`,
+        429,
+        "rate_limit_exceeded",
+        metric
+      );
+      error.headers = { "Retry-After": String(result.retryAfter), ...rateLimitHeaders(metric, result) };
+      throw error;
+    }
+    if (!tightest || result.remaining / result.limit < tightest.remaining / tightest.limit) {
+      tightest = result;
+    }
+  }
+
+  return tightest ? rateLimitHeaders(metric, tightest) : {};
+}
+
+/**
+ * 生成限流响应头
+ * @description 与 OpenAI 一致按指标区分：X-RateLimit-{Limit,Remaining,Reset}-{Requests,Characters}，Reset 单位为秒
+ * @param {RateLimitMetric} metric - 限流指标
+ * @param {RateLimitResult} result - 判定结果
+ * @returns {Object.<string, string>} 响应头
+ */
+function rateLimitHeaders(metric, result) {
+  const suffix = metric === "requests" ? "Requests" : "Characters";
+  return {
+    [`X-RateLimit-Limit-${suffix}`]: String(result.limit),
+    [`X-RateLimit-Remaining-${suffix}`]: String(result.remaining),
+    [`X-RateLimit-Reset-${suffix}`]: `${result.reset}s`
+  };
+}
+
+/**
+ * 规范化额度数值
+ * @param {*} value - 环境变量值
+ * @returns {number|null} 正数额度，未配置时为 null
+ */
+function toLimit(value) {
+  const limit = Number(value);
+  return limit > 0 ? limit : null;
+}
@@ -0,0 +1,648 @@
+/**
+ * EdgeOne Pages TTS - 线性时间正则模块
+ * @version 1.0.0
+ * @description 以 Pike VM（带捕获组的 Thompson NFA 模拟）执行用户提供的正则：匹配开销与
+ * 「文本长度 × 正则规模」成正比，不会因回溯指数级增长，并可在超出时间或步数预算时中途停止。
+ * 支持 JavaScript 正则的常用子集：字符、字符类、转义、分组（含命名分组）、选择、贪婪 / 惰性量词、
+ * ^ $ \b \B 断言与 i / m / s / u 标志；不支持前后断言与反向引用
+ */
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 虚拟机指令
+ * - CHAR: 当前字符满足 test 时前进到下一条
+ * - SPLIT: 分叉到 x（优先）与 y
+ * - JMP: 跳转到 x
+ * - SAVE: 记录捕获位置到 slot
+ * - ASSERT: 零宽断言（^ $ \b \B）
+ * - MATCH: 匹配成功
+ * @typedef {Object} Instruction
+ * @property {number} op - 操作码
+ * @property {(char: string) => boolean} [test] - CHAR 的字符判定
+ * @property {number} [x] - SPLIT / JMP 的目标
+ * @property {number} [y] - SPLIT 的次选目标
+ * @property {number} [slot] - SAVE 的捕获槽
+ * @property {string} [kind] - ASSERT 的断言类型
+ */
+
+/**
+ * 编译后的线性时间正则
+ * @typedef {Object} LinearRegex
+ * @property {string} source - 正则源码
+ * @property {Instruction[]} program - 指令序列
+ * @property {number} groupCount - 捕获分组数
+ * @property {Object.<string, number>} groupNames - 命名分组到序号的映射
+ * @property {boolean} unicode - 是否按码点匹配（u 标志）
+ * @property {boolean} multiline - ^ $ 是否匹配行首行尾（m 标志）
+ * @property {(char: string) => boolean} isWordChar - \b 使用的单词字符判定
+ * @property {((char: string) => boolean)[]|null} firstChars - 匹配起点处可能的首字符判定，起点可能是断言或空匹配时为 null
+ */
+
+/**
+ * 执行预算
+ * @typedef {Object} MatchBudget
+ * @property {number} [deadline] - 截止时间（Date.now() 毫秒）
+ * @property {number} [maxSteps] - 最大执行步数，时钟在同步执行期间不推进的运行时也能生效
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** 操作码 */
+const OP = { CHAR: 0, SPLIT: 1, JMP: 2, SAVE: 3, ASSERT: 4, MATCH: 5 };
+
+/** 正则限制 */
+export const REGEX_LIMITS = {
+  MAX_PROGRAM_SIZE: 10000,   // 展开计数量词后的指令数上限
+  MAX_STEPS: 5000000,        // 单次替换的默认步数上限
+  CLOCK_INTERVAL: 4096       // 每执行多少步检查一次截止时间
+};
+
+/** 行终止符（m 标志下的 ^ $ 与非 s 标志下的 . 使用） */
+const LINE_TERMINATOR = /[\n\r\u2028\u2029]/;
+
+// =================================================================================
+// 编译
+// =================================================================================
+
+/**
+ * 编译线性时间正则
+ * @param {string} source - 正则源码
+ * @param {string} [flags=""] - 标志，仅支持 i、m、s、u
+ * @returns {LinearRegex} 编译结果
+ * @throws {Error} 语法错误、使用前后断言 / 反向引用或规模过大时抛出
+ */
+export function compileLinearRegex(source, flags = "") {
+  // 先交给原生 RegExp 检查语法，解析器只需处理合法的正则
+  new RegExp(source, flags);
+
+  const parser = {
+    source,
+    pos: 0,
+    charFlags: flags.replace(/[^isu]/g, ""),
+    unicode: flags.includes("u"),
+    groupCount: 0,
+    groupNames: {}
+  };
+  const ast = parseAlternation(parser);
+  if (parser.pos < source.length) {
+    throw new Error(`无法解析位置 ${parser.pos} 处的语法`);
+  }
+
+  const program = [{ op: OP.SAVE, slot: 0 }];
+  emit(ast, program);
+  program.push({ op: OP.SAVE, slot: 1 }, { op: OP.MATCH });
+
+  return {
+    source,
+    program,
+    groupCount: parser.groupCount,
+    groupNames: parser.groupNames,
+    unicode: parser.unicode,
+    multiline: flags.includes("m"),
+    isWordChar: charTest("\\w", parser.charFlags),
+    firstChars: collectFirstChars(program)
+  };
+}
+
+/**
+ * 收集从起点经空转移可达的字符判定
+ * @param {Instruction[]} program - 指令序列
+ * @returns {((char: string) => boolean)[]|null} 字符判定，可达断言或 MATCH 时为 null
+ */
+function collectFirstChars(program) {
+  const tests = [];
+  const visited = new Set();
+  const stack = [0];
+
+  while (stack.length > 0) {
+    const pc = stack.pop();
+    if (visited.has(pc)) continue;
+    visited.add(pc);
+
+    const instruction = program[pc];
+    switch (instruction.op) {
+      case OP.CHAR:
+        tests.push(instruction.test);
+        break;
+      case OP.SPLIT:
+        stack.push(instruction.x, instruction.y);
+        break;
+      case OP.JMP:
+        stack.push(instruction.x);
+        break;
+      case OP.SAVE:
+        stack.push(pc + 1);
+        break;
+      default:
+        return null;
+    }
+  }
+  return tests;
+}
+
+/**
+ * 解析选择分支：a|b|c
+ * @param {Object} p - 解析状态
+ * @returns {Object} 语法树节点
+ */
+function parseAlternation(p) {
+  const branches = [parseSequence(p)];
+  while (p.source[p.pos] === "|") {
+    p.pos++;
+    branches.push(parseSequence(p));
+  }
+  return branches.length === 1 ? branches[0] : { type: "alt", branches };
+}
+
+/**
+ * 解析连接序列
+ * @param {Object} p - 解析状态
+ * @returns {Object} 语法树节点
+ */
+function parseSequence(p) {
+  const items = [];
+  while (p.pos < p.source.length && p.source[p.pos] !== "|" && p.source[p.pos] !== ")") {
+    items.push(parseQuantifier(p, parseAtom(p)));
+  }
+  return { type: "seq", items };
+}
+
+/**
+ * 解析原子：分组、字符类、转义、断言或字面字符
+ * @param {Object} p - 解析状态
+ * @returns {Object} 语法树节点
+ * @throws {Error} 使用不支持的语法时抛出
+ */
+function parseAtom(p) {
+  const { source } = p;
+  const char = source[p.pos];
+
+  if (char === "(") {
+    if (/^\(\?<?[=!]/.test(source.slice(p.pos, p.pos + 4))) {
+      throw new Error("不支持前后断言 (?=、(?!、(?<=、(?<!");
+    }
+    let index = null;
+    if (source.startsWith("(?:", p.pos)) {
+      p.pos += 3;
+    } else if (source.startsWith("(?<", p.pos)) {
+      const end = source.indexOf(">", p.pos);
+      index = ++p.groupCount;
+      p.groupNames[source.slice(p.pos + 3, end)] = index;
+      p.pos = end + 1;
+    } else {
+      index = ++p.groupCount;
+      p.pos++;
+    }
+    const body = parseAlternation(p);
+    p.pos++; // )
+    return { type: "group", index, body };
+  }
+
+  if (char === "[") {
+    let end = p.pos + 1;
+    if (source[end] === "^") end++;
+    while (end < source.length && source[end] !== "]") {
+      end += source[end] === "\\" ? 2 : 1;
+    }
+    const atom = source.slice(p.pos, end + 1);
+    p.pos = end + 1;
+    return { type: "char", test: charTest(atom, p.charFlags) };
+  }
+
+  if (char === "^" || char === "$") {
+    p.pos++;
+    return { type: "assert", kind: char };
+  }
+
+  if (char === ".") {
+    p.pos++;
+    return { type: "char", test: charTest(".", p.charFlags) };
+  }
+
+  if (char === "\\") {
+    return parseEscape(p);
+  }
+
+  // 字面字符：u 标志下按码点读取
+  const literal = p.unicode ? String.fromCodePoint(source.codePointAt(p.pos)) : char;
+  p.pos += literal.length;
+  return {
+    type: "char",
+    test: p.charFlags.includes("i")
+      ? charTest(literal.replace(/[.*+?^${}()|[\]\\/]/g, "\\$&"), p.charFlags)
+      : value => value === literal
+  };
+}
+
+/**
+ * 解析转义序列
+ * @param {Object} p - 解析状态
+ * @returns {Object} 语法树节点
+ * @throws {Error} 使用反向引用时抛出
+ */
+function parseEscape(p) {
+  const { source } = p;
+  const next = source[p.pos + 1];
+
+  if (next === "b" || next === "B") {
+    p.pos += 2;
+    return { type: "assert", kind: next };
+  }
+  if (/[1-9]/.test(next) || (next === "k" && source[p.pos + 2] === "<")) {
+    throw new Error("不支持反向引用（如 \\1、\\k<name>）");
+  }
+
+  const rest = source.slice(p.pos);
+  const match = (p.unicode && /^\\[pPu]\{[^}]*\}/.exec(rest)) ||
+    (p.unicode && /^\\u[dD][89abAB][0-9a-fA-F]{2}\\u[dD][c-fC-F][0-9a-fA-F]{2}/.exec(rest)) ||
+    /^\\(?:u[0-9a-fA-F]{4}|x[0-9a-fA-F]{2}|c[A-Za-z])/.exec(rest);
+  const length = match ? match[0].length : 1 + String.fromCodePoint(rest.codePointAt(1)).length;
+
+  const atom = source.slice(p.pos, p.pos + length);
+  p.pos += length;
+  return { type: "char", test: charTest(atom, p.charFlags) };
+}
+
+/**
+ * 解析量词：* + ? {n} {n,} {n,m}，其后的 ? 表示惰性
+ * @param {Object} p - 解析状态
+ * @param {Object} atom - 被量化的节点
+ * @returns {Object} 语法树节点
+ */
+function parseQuantifier(p, atom) {
+  const { source } = p;
+  let min;
+  let max;
+  let length = 1;
+
+  const char = source[p.pos];
+  if (char === "*") {
+    [min, max] = [0, Infinity];
+  } else if (char === "+") {
+    [min, max] = [1, Infinity];
+  } else if (char === "?") {
+    [min, max] = [0, 1];
+  } else if (char === "{") {
+    const braces = /^\{(\d+)(?:(,)(\d*))?\}/.exec(source.slice(p.pos));
+    if (!braces) return atom; // 非量词的 { 按字面字符处理
+    min = Number(braces[1]);
+    max = braces[2] ? (braces[3] ? Number(braces[3]) : Infinity) : min;
+    length = braces[0].length;
+  } else {
+    return atom;
+  }
+
+  p.pos += length;
+  const greedy = source[p.pos] !== "?";
+  if (!greedy) p.pos++;
+  return { type: "repeat", body: atom, min, max, greedy };
+}
+
+/**
+ * 创建单字符判定函数
+ * @description 字符类与转义的语义（含 i / s / u 标志）交给原生 RegExp 判定单个字符，结果按字符缓存；
+ * 单字符匹配不涉及回溯
+ * @param {string} atom - 原子源码，如 [a-z]、\d、.
+ * @param {string} flags - i / s / u 标志
+ * @returns {(char: string) => boolean} 判定函数
+ */
+function charTest(atom, flags) {
+  const regex = new RegExp(`^(?:${atom})$`, flags);
+  const memo = new Map();
+  return char => {
+    let result = memo.get(char);
+    if (result === undefined) {
+      result = regex.test(char);
+      memo.set(char, result);
+    }
+    return result;
+  };
+}
+
+/**
+ * 将语法树编译为指令
+ * @param {Object} node - 语法树节点
+ * @param {Instruction[]} program - 指令序列
+ * @throws {Error} 指令数超出上限时抛出
+ */
+function emit(node, program) {
+  if (program.length > REGEX_LIMITS.MAX_PROGRAM_SIZE) {
+    throw new Error(`正则展开后过于复杂（超过 ${REGEX_LIMITS.MAX_PROGRAM_SIZE} 条指令），请减小计数量词`);
+  }
+
+  switch (node.type) {
+    case "seq":
+      node.items.forEach(item => emit(item, program));
+      break;
+
+    case "char":
+      program.push({ op: OP.CHAR, test: node.test });
+      break;
+
+    case "assert":
+      program.push({ op: OP.ASSERT, kind: node.kind });
+      break;
+
+    case "group":
+      if (node.index !== null) program.push({ op: OP.SAVE, slot: node.index * 2 });
+      emit(node.body, program);
+      if (node.index !== null) program.push({ op: OP.SAVE, slot: node.index * 2 + 1 });
+      break;
+
+    case "alt": {
+      const jumps = [];
+      node.branches.forEach((branch, i) => {
+        if (i === node.branches.length - 1) {
+          emit(branch, program);
+          return;
+        }
+        const split = { op: OP.SPLIT, x: program.length + 1, y: 0 };
+        program.push(split);
+        emit(branch, program);
+        const jump = { op: OP.JMP, x: 0 };
+        jumps.push(jump);
+        program.push(jump);
+        split.y = program.length;
+      });
+      jumps.forEach(jump => { jump.x = program.length; });
+      break;
+    }
+
+    case "repeat": {
+      for (let i = 0; i < node.min; i++) {
+        emit(node.body, program);
+      }
+
+      if (node.max === Infinity) {
+        const loop = program.length;
+        const split = { op: OP.SPLIT, x: 0, y: 0 };
+        program.push(split);
+        emit(node.body, program);
+        program.push({ op: OP.JMP, x: loop });
+        [split.x, split.y] = node.greedy ? [loop + 1, program.length] : [program.length, loop + 1];
+        break;
+      }
+
+      // 可选部分：任一次不匹配即跳过其余部分，等价于 (x(x)?)?
+      const splits = [];
+      for (let i = node.min; i < node.max; i++) {
+        const split = { op: OP.SPLIT, x: 0, y: 0 };
+        program.push(split);
+        splits.push({ split, body: program.length });
+        emit(node.body, program);
+      }
+      splits.forEach(({ split, body }) => {
+        [split.x, split.y] = node.greedy ? [body, program.length] : [program.length, body];
+      });
+      break;
+    }
+  }
+}
+
+// =================================================================================
+// 执行
+// =================================================================================
+
+/**
+ * 替换全部匹配
+ * @description 语义与 String.prototype.replace 搭配 g 标志一致，替换文本支持 $$、$&、$`、$'、$n 与 $<name>
+ * @param {LinearRegex} regex - 编译后的正则
+ * @param {string} text - 输入文本
+ * @param {string} replacement - 替换文本
+ * @param {MatchBudget} [budget] - 执行预算
+ * @returns {string|null} 替换后的文本，超出预算时为 null
+ */
+export function replaceLinear(regex, text, replacement, budget = {}) {
+  const input = toInput(text, regex.unicode);
+  const state = {
+    steps: 0,
+    maxSteps: budget.maxSteps ?? REGEX_LIMITS.MAX_STEPS,
+    deadline: budget.deadline ?? Infinity,
+    nextClockCheck: 0,
+    exhausted: false,
+    visited: new Int32Array(regex.program.length),
+    generation: 0
+  };
+
+  const parts = [];
+  let last = 0;
+  let pos = 0;
+  while (pos <= input.length) {
+    const caps = search(regex, input, pos, state);
+    if (state.exhausted) return null;
+    if (!caps) break;
+
+    const [start, end] = [caps[0], caps[1]];
+    parts.push(text.slice(input.offset(last), input.offset(start)));
+    parts.push(substitute(replacement, regex, caps, input, text));
+    last = end;
+    pos = end > start ? end : end + 1;
+  }
+  parts.push(text.slice(input.offset(last)));
+  return parts.join("");
+}
+
+/**
+ * 将文本转换为按字符（u 标志下为码点）索引的输入
+ * @param {string} text - 输入文本
+ * @param {boolean} unicode - 是否按码点索引
+ * @returns {{ chars: string|string[], length: number, offset: (pos: number) => number }} 输入
+ */
+function toInput(text, unicode) {
+  if (!unicode) {
+    return { chars: text, length: text.length, offset: pos => pos };
+  }
+
+  const chars = Array.from(text);
+  const offsets = new Array(chars.length + 1);
+  let offset = 0;
+  chars.forEach((char, i) => {
+    offsets[i] = offset;
+    offset += char.length;
+  });
+  offsets[chars.length] = offset;
+  return { chars, length: chars.length, offset: pos => offsets[pos] };
+}
+
+/**
+ * 从 from 开始查找最左的匹配
+ * @description 线程按优先级排列（更早的起点、贪婪分支优先），与回溯引擎的匹配结果一致；
+ * 每个字符位置上每条指令至多一个线程，因此单次查找的开销为 O(文本长度 × 指令数)。
+ * 没有存活线程时按首字符判定直接跳到下一个可能的起点
+ * @param {LinearRegex} regex - 编译后的正则
+ * @param {Object} input - 输入
+ * @param {number} from - 起始位置
+ * @param {Object} state - 执行状态（步数、预算、访问标记）
+ * @returns {number[]|null} 捕获位置（字符索引，-1 表示未参与），未匹配或超出预算时为 null
+ */
+function search(regex, input, from, state) {
+  const { program, firstChars } = regex;
+  const slots = (regex.groupCount + 1) * 2;
+  let matched = null;
+  let list = [];
+
+  for (let pos = from; ; pos++) {
+    if (isOverBudget(state)) return null;
+
+    if (!matched) {
+      if (list.length === 0) {
+        if (firstChars) {
+          while (pos < input.length && !firstChars.some(test => test(input.chars[pos]))) {
+            pos++;
+            state.steps++;
+          }
+          // 首字符判定存在时正则不能匹配空串，到达末尾即无匹配
+          if (pos === input.length) return null;
+        }
+        state.generation++;
+      }
+      addThread(regex, state, list, 0, new Array(slots).fill(-1), pos, input);
+    }
+
+    const next = [];
+    state.generation++;
+    const char = pos < input.length ? input.chars[pos] : null;
+
+    for (const thread of list) {
+      const instruction = program[thread.pc];
+      state.steps++;
+      if (instruction.op === OP.MATCH) {
+        // 优先级更低的线程不再需要
+        matched = thread.caps;
+        break;
+      }
+      if (char !== null && instruction.test(char)) {
+        addThread(regex, state, next, thread.pc + 1, thread.caps, pos + 1, input);
+      }
+    }
+
+    if (char === null || (matched && next.length === 0)) break;
+    list = next;
+  }
+
+  return matched;
+}
+
+/**
+ * 检查是否超出执行预算
+ * @description 步数每增加 CLOCK_INTERVAL 检查一次截止时间，避免频繁读取时钟
+ * @param {Object} state - 执行状态
+ * @returns {boolean} 超出预算时返回 true
+ */
+function isOverBudget(state) {
+  if (state.steps > state.maxSteps) {
+    state.exhausted = true;
+  } else if (state.steps >= state.nextClockCheck) {
+    state.nextClockCheck = state.steps + REGEX_LIMITS.CLOCK_INTERVAL;
+    state.exhausted = Date.now() > state.deadline;
+  }
+  return state.exhausted;
+}
+
+/**
+ * 沿空转移（SPLIT / JMP / SAVE / ASSERT）展开线程，加入列表
+ * @description 按深度优先、优先分支先行的顺序展开，同一位置上先到达某条指令的线程优先级更高
+ * @param {LinearRegex} regex - 编译后的正则
+ * @param {Object} state - 执行状态
+ * @param {{ pc: number, caps: number[] }[]} list - 线程列表
+ * @param {number} pc - 起始指令
+ * @param {number[]} caps - 捕获位置
+ * @param {number} pos - 当前字符位置
+ * @param {Object} input - 输入
+ */
+function addThread(regex, state, list, pc, caps, pos, input) {
+  const { program } = regex;
+  const stack = [pc, caps];
+
+  while (stack.length > 0) {
+    const threadCaps = stack.pop();
+    const threadPc = stack.pop();
+    if (state.visited[threadPc] === state.generation) continue;
+    state.visited[threadPc] = state.generation;
+    state.steps++;
+
+    const instruction = program[threadPc];
+    switch (instruction.op) {
+      case OP.JMP:
+        stack.push(instruction.x, threadCaps);
+        break;
+      case OP.SPLIT:
+        stack.push(instruction.y, threadCaps, instruction.x, threadCaps);
+        break;
+      case OP.SAVE: {
+        const copy = threadCaps.slice();
+        copy[instruction.slot] = pos;
+        stack.push(threadPc + 1, copy);
+        break;
+      }
+      case OP.ASSERT:
+        if (checkAssertion(instruction.kind, regex, input, pos)) {
+          stack.push(threadPc + 1, threadCaps);
+        }
+        break;
+      default:
+        list.push({ pc: threadPc, caps: threadCaps });
+    }
+  }
+}
+
+/**
+ * 判定零宽断言
+ * @param {string} kind - ^、$、b 或 B
+ * @param {LinearRegex} regex - 编译后的正则
+ * @param {Object} input - 输入
+ * @param {number} pos - 当前字符位置
+ * @returns {boolean} 是否成立
+ */
+function checkAssertion(kind, regex, input, pos) {
+  const before = pos > 0 ? input.chars[pos - 1] : null;
+  const after = pos < input.length ? input.chars[pos] : null;
+
+  switch (kind) {
+    case "^":
+      return before === null || (regex.multiline && LINE_TERMINATOR.test(before));
+    case "$":
+      return after === null || (regex.multiline && LINE_TERMINATOR.test(after));
+    default: {
+      const boundary = (before !== null && regex.isWordChar(before)) !== (after !== null && regex.isWordChar(after));
+      return kind === "b" ? boundary : !boundary;
+    }
+  }
+}
+
+/**
+ * 展开替换文本中的引用
+ * @param {string} replacement - 替换文本
+ * @param {LinearRegex} regex - 编译后的正则
+ * @param {number[]} caps - 捕获位置
+ * @param {Object} input - 输入
+ * @param {string} text - 原文本
+ * @returns {string} 替换结果
+ */
+function substitute(replacement, regex, caps, input, text) {
+  const group = index => caps[index * 2] >= 0 && caps[index * 2 + 1] >= 0
+    ? text.slice(input.offset(caps[index * 2]), input.offset(caps[index * 2 + 1]))
+    : "";
+  const hasNames = Object.keys(regex.groupNames).length > 0;
+
+  return replacement.replace(/\$(\$|&|`|'|\d{1,2}|<([^>]*)>)/g, (token, key, name) => {
+    if (key === "$") return "$";
+    if (key === "&") return group(0);
+    if (key === "`") return text.slice(0, input.offset(caps[0]));
+    if (key === "'") return text.slice(input.offset(caps[1]));
+    if (name !== undefined) {
+      return hasNames ? (regex.groupNames[name] ? group(regex.groupNames[name]) : "") : token;
+    }
+
+    const number = Number(key);
+    if (number >= 1 && number <= regex.groupCount) return group(number);
+    const first = Number(key[0]);
+    if (key.length === 2 && first >= 1 && first <= regex.groupCount) return group(first) + key[1];
+    return token;
+  });
+}
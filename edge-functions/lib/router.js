@@ -0,0 +1,173 @@
+/**
+ * EdgeOne Pages TTS - 路由与中间件模块
+ * @version 1.0.0
+ * @description 各端点共用的处理流程：请求日志、CORS、错误映射、请求方法检查与 API 密钥验证，
+ * 路由只需声明名称、方法、作用域并实现业务处理器
+ */
+
+import { errorResponse } from './utils.js';
+import { validateApiKey } from './auth.js';
+import { withRequestMetrics, recordUsage } from './metrics.js';
+import { getCorsPolicy, isOriginAllowed, makeCorsHeaders, applyCorsHeaders } from './cors.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 路由上下文
+ * @typedef {Object} RouteContext
+ * @property {Request} request - HTTP 请求对象
+ * @property {Object} env - EdgeOne Pages 环境变量
+ * @property {URL} url - 解析后的请求 URL
+ * @property {Object} context - 原始 EdgeOne Pages 上下文对象（如 waitUntil）
+ * @property {import('./metrics.js').RequestMetrics} metrics - 请求度量记录
+ * @property {import('./keys.js').KeyRecord|null} apiKey - 当前请求的密钥配置，验证通过前或未启用验证时为 null
+ */
+
+/**
+ * 路由处理器
+ * @typedef {(ctx: RouteContext) => Promise<Response>} RouteHandler
+ */
+
+/**
+ * 中间件：可直接返回响应，或调用 next 交给后续中间件与处理器
+ * @typedef {(ctx: RouteContext, next: () => Promise<Response>) => Promise<Response>} Middleware
+ */
+
+// =================================================================================
+// 路由定义
+// =================================================================================
+
+/**
+ * 定义路由
+ * @description 依次应用：请求日志（最外层）→ CORS → 错误映射 → 方法检查 → 密钥验证 → 自定义中间件 → 处理器
+ * @param {Object} options - 路由选项
+ * @param {string} options.name - 路由名称，用于日志与统计
+ * @param {string[]} [options.methods=["GET"]] - 允许的请求方法（OPTIONS 总是允许）
+ * @param {string|null} [options.scope=null] - 所需的密钥作用域（见 KEY_SCOPES），null 表示不验证
+ * @param {Middleware[]} [options.middlewares=[]] - 在密钥验证之后执行的中间件
+ * @param {RouteHandler} options.handler - 业务处理器
+ * @returns {{ fetch: (context: Object) => Promise<Response> }} EdgeOne Pages 默认导出对象
+ */
+export function createRoute({ name, methods = ["GET"], scope = null, middlewares = [], handler }) {
+  const run = compose([
+    handleCors,
+    mapErrors,
+    allowMethods(methods),
+    ...(scope ? [requireApiKey(scope)] : []),
+    ...middlewares
+  ], handler);
+
+  return {
+    fetch: withRequestMetrics(name, (context, metrics) => run({
+      request: context.request,
+      env: context.env || {},
+      url: new URL(context.request.url),
+      context,
+      metrics,
+      apiKey: null
+    }))
+  };
+}
+
+/**
+ * 组合中间件与处理器
+ * @param {Middleware[]} middlewares - 中间件，按数组顺序由外到内执行
+ * @param {RouteHandler} handler - 处理器
+ * @returns {RouteHandler} 组合后的处理器
+ */
+export function compose(middlewares, handler) {
+  return middlewares.reduceRight(
+    (next, middleware) => ctx => middleware(ctx, () => next(ctx)),
+    handler
+  );
+}
+
+// =================================================================================
+// 中间件
+// =================================================================================
+
+/**
+ * 跨域处理
+ * @description 按 CORS_* 环境变量处理预检请求，拒绝不被允许的来源（403 origin_not_allowed），
+ * 并为所有响应（包括错误响应）附加 CORS 响应头
+ * @type {Middleware}
+ */
+export async function handleCors(ctx, next) {
+  let policy;
+  try {
+    policy = getCorsPolicy(ctx.env);
+  } catch (err) {
+    return toErrorResponse(err);
+  }
+
+  const origin = ctx.request.headers.get("Origin");
+  const preflight = ctx.request.method === "OPTIONS";
+  let response;
+  if (!isOriginAllowed(origin, ctx.url, policy)) {
+    response = errorResponse(`不允许的来源: ${origin}`, 403, "origin_not_allowed", "invalid_request_error");
+  } else if (preflight) {
+    response = new Response(null, { status: 204 });
+  } else {
+    response = await next();
+  }
+
+  return applyCorsHeaders(response, makeCorsHeaders(ctx.request, ctx.url, policy, preflight));
+}
+
+/**
+ * 错误映射
+ * @description 携带 status 的错误（参数校验、鉴权、限流等）按原状态码返回，附带 error.headers；
+ * 其余错误按 500 internal_server_error 处理
+ * @type {Middleware}
+ */
+export async function mapErrors(ctx, next) {
+  try {
+    return await next();
+  } catch (err) {
+    return toErrorResponse(err);
+  }
+}
+
+/**
+ * 将错误转换为错误响应
+ * @param {Error} err - 错误对象
+ * @returns {Response} 错误响应
+ */
+function toErrorResponse(err) {
+  if (err.status) {
+    return errorResponse(err.message, err.status, err.code, err.type, err.param, err.headers);
+  }
+  return errorResponse(`处理错误: ${err.message}`, 500, "internal_server_error");
+}
+
+/**
+ * 限制请求方法
+ * @param {string[]} methods - 允许的请求方法
+ * @returns {Middleware} 中间件，其他方法返回 405 并附带 Allow 响应头
+ */
+export function allowMethods(methods) {
+  return async (ctx, next) => {
+    if (methods.includes(ctx.request.method)) {
+      return next();
+    }
+    return errorResponse("不允许的方法", 405, "method_not_allowed", "api_error", null, {
+      "Allow": [...methods, "OPTIONS"].join(", ")
+    });
+  };
+}
+
+/**
+ * 验证 API 密钥
+ * @description 验证通过后写入 ctx.apiKey，并将密钥标签记入请求日志
+ * @param {string} scope - 所需的密钥作用域
+ * @returns {Middleware} 中间件，验证失败时抛出 401 / 403
+ */
+export function requireApiKey(scope) {
+  return async (ctx, next) => {
+    ctx.apiKey = await validateApiKey(ctx.request, ctx.env, scope);
+    recordUsage(ctx.metrics, { key: ctx.apiKey ? ctx.apiKey.label : null });
+    return next();
+  };
+}
@@ -0,0 +1,203 @@
+/**
+ * EdgeOne Pages TTS - 替换净化规则模块
+ * @version 1.0.0
+ * @description 按顺序执行的查找 / 替换规则（兼容阅读 APP 导出的替换净化规则字段），
+ * 可限定适用的语音或语言；正则规则由线性时间引擎执行，超出时间上限时中途停止并熔断
+ */
+
+import { compileLinearRegex, replaceLinear } from './regex.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 已编译的净化规则
+ * @typedef {Object} CleaningRule
+ * @property {string} name - 规则名称
+ * @property {RegExp} regex - 编译后的原生正则（总是带 g 标志），仅用于非正则规则的字面量查找
+ * @property {import('./regex.js').LinearRegex|null} matcher - 正则规则的线性时间匹配器，非正则规则为 null
+ * @property {string} replacement - 替换文本，支持 $1、$<name> 等引用
+ * @property {string[]|null} voices - 适用的语音名称，null 表示不限
+ * @property {string[]|null} languages - 适用的语言区域前缀（如 zh、en-US），null 表示不限
+ * @property {number} timeout - 单条规则在一次请求中的累计耗时上限（毫秒）
+ * @property {number} elapsed - 已累计耗时（毫秒）
+ * @property {boolean} tripped - 是否因超出时间上限被停用
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/**
+ * 规则限制
+ * @type {Object}
+ */
+export const RULE_LIMITS = {
+  MAX_RULES: 100,
+  MAX_PATTERN_LENGTH: 500,
+  MAX_REPLACEMENT_LENGTH: 1000,
+  DEFAULT_TIMEOUT: 100,     // 毫秒
+  MAX_TIMEOUT: 1000,        // 毫秒
+  TOTAL_TIMEOUT: 500        // 一次请求内全部规则的累计耗时上限（毫秒）
+};
+
+/** 允许的正则标志（g 总是自动添加） */
+const ALLOWED_FLAGS = /^[imsu]*$/;
+
+// =================================================================================
+// 规则编译
+// =================================================================================
+
+/**
+ * 编译净化规则
+ * @description 每条规则形如 { name, pattern, replacement, is_regex, flags, voice, lang, enabled, timeout }，
+ * 也接受阅读 APP 导出的 isRegex、isEnabled、order、timeoutMillisecond 字段；
+ * 已停用的规则被忽略，提供 order 时按其升序执行，否则按数组顺序
+ * @param {*} rawRules - 规则数组
+ * @returns {CleaningRule[]} 已编译的规则
+ * @throws {Error} 规则不合法或使用线性时间引擎不支持的语法时抛出
+ */
+export function compileRules(rawRules) {
+  if (rawRules === undefined || rawRules === null) return [];
+  if (!Array.isArray(rawRules)) {
+    throw new Error("cleaning_options.rules 必须是数组");
+  }
+  if (rawRules.length > RULE_LIMITS.MAX_RULES) {
+    throw new Error(`cleaning_options.rules 最多包含 ${RULE_LIMITS.MAX_RULES} 条规则`);
+  }
+
+  return rawRules
+    .map((rule, index) => ({ rule, index }))
+    .filter(({ rule }) => rule && rule.enabled !== false && rule.isEnabled !== false)
+    .sort((a, b) => (a.rule.order ?? a.index) - (b.rule.order ?? b.index) || a.index - b.index)
+    .map(({ rule, index }) => compileRule(rule, index));
+}
+
+/**
+ * 编译单条规则
+ * @param {Object} rule - 原始规则
+ * @param {number} index - 规则序号（用于错误信息）
+ * @returns {CleaningRule} 已编译的规则
+ * @throws {Error} 规则不合法时抛出
+ */
+function compileRule(rule, index) {
+  const name = typeof rule.name === "string" && rule.name ? rule.name : `#${index + 1}`;
+  const { pattern, replacement = "", flags = "" } = rule;
+  const isRegex = (rule.is_regex ?? rule.isRegex) !== false;
+
+  if (typeof pattern !== "string" || !pattern || pattern.length > RULE_LIMITS.MAX_PATTERN_LENGTH) {
+    throw new Error(`规则 ${name} 的 pattern 必须是 1~${RULE_LIMITS.MAX_PATTERN_LENGTH} 个字符的字符串`);
+  }
+  if (typeof replacement !== "string" || replacement.length > RULE_LIMITS.MAX_REPLACEMENT_LENGTH) {
+    throw new Error(`规则 ${name} 的 replacement 必须是不超过 ${RULE_LIMITS.MAX_REPLACEMENT_LENGTH} 个字符的字符串`);
+  }
+  if (typeof flags !== "string" || !ALLOWED_FLAGS.test(flags)) {
+    throw new Error(`规则 ${name} 的 flags 只能包含 i、m、s、u`);
+  }
+
+  let regex;
+  let matcher = null;
+  try {
+    regex = new RegExp(isRegex ? pattern : pattern.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), `${flags}g`);
+    // 正则规则不交给回溯引擎执行，(a|a)*b 之类的模式也只需线性时间
+    if (isRegex) matcher = compileLinearRegex(pattern, flags);
+  } catch (e) {
+    throw new Error(`规则 ${name} 的正则无效: ${e.message}`);
+  }
+  if (regex.test("")) {
+    throw new Error(`规则 ${name} 的正则可以匹配空字符串`);
+  }
+
+  const timeout = Number(rule.timeout ?? rule.timeoutMillisecond) || RULE_LIMITS.DEFAULT_TIMEOUT;
+  return {
+    name,
+    regex,
+    matcher,
+    // 非正则规则的替换文本按字面量处理
+    replacement: isRegex ? replacement : replacement.replace(/\$/g, "$$$$"),
+    voices: toList(rule.voice, name, "voice"),
+    languages: toList(rule.lang, name, "lang"),
+    timeout: Math.min(Math.max(timeout, 1), RULE_LIMITS.MAX_TIMEOUT),
+    elapsed: 0,
+    tripped: false
+  };
+}
+
+/**
+ * 规范化适用范围
+ * @param {*} value - 字符串或字符串数组
+ * @param {string} name - 规则名称
+ * @param {string} field - 字段名
+ * @returns {string[]|null} 范围列表，未指定时为 null
+ * @throws {Error} 格式错误时抛出
+ */
+function toList(value, name, field) {
+  if (value === undefined || value === null || value === "") return null;
+  const list = Array.isArray(value) ? value : [value];
+  if (!list.every(item => typeof item === "string" && item)) {
+    throw new Error(`规则 ${name} 的 ${field} 必须是字符串或字符串数组`);
+  }
+  return list;
+}
+
+// =================================================================================
+// 规则执行
+// =================================================================================
+
+/**
+ * 筛选适用于指定语音的规则
+ * @param {CleaningRule[]} rules - 已编译的规则
+ * @param {string} voiceName - 语音名称
+ * @param {string} locale - 语言区域
+ * @returns {CleaningRule[]} 适用的规则
+ */
+export function selectRules(rules, voiceName, locale) {
+  const lowerLocale = String(locale).toLowerCase();
+  return rules.filter(rule =>
+    (!rule.voices || rule.voices.includes(voiceName)) &&
+    (!rule.languages || rule.languages.some(lang => lowerLocale.startsWith(lang.toLowerCase())))
+  );
+}
+
+/**
+ * 按顺序执行规则
+ * @description 正则规则在线性时间引擎中执行，截止时间为该规则剩余的 timeout 与全部规则剩余的
+ * TOTAL_TIMEOUT 中较小者；到达截止时间（或引擎步数上限）时立即中止，本次替换不生效，
+ * 规则被停用并记录警告，后续文本不再执行。非正则规则为字面量查找，同样计入耗时
+ * @param {string} text - 输入文本
+ * @param {CleaningRule[]} rules - 已编译的规则
+ * @returns {string} 替换后的文本
+ */
+export function applyRules(text, rules) {
+  let result = text;
+
+  for (const rule of rules) {
+    if (rule.tripped) continue;
+    const spent = rules.reduce((sum, item) => sum + item.elapsed, 0);
+    if (spent >= RULE_LIMITS.TOTAL_TIMEOUT) {
+      console.warn("净化规则累计耗时超过上限，跳过剩余规则");
+      break;
+    }
+
+    const start = Date.now();
+    const deadline = start + Math.min(rule.timeout - rule.elapsed, RULE_LIMITS.TOTAL_TIMEOUT - spent);
+    const replaced = rule.matcher
+      ? replaceLinear(rule.matcher, result, rule.replacement, { deadline })
+      : result.replace(rule.regex, rule.replacement);
+    rule.elapsed += Date.now() - start;
+
+    if (replaced === null) {
+      rule.tripped = true;
+      console.warn(`净化规则 ${rule.name} 超过 ${rule.timeout}ms 时间上限，已中止并停用`);
+      continue;
+    }
+    result = replaced;
+    if (rule.elapsed >= rule.timeout) {
+      rule.tripped = true;
+      console.warn(`净化规则 ${rule.name} 耗时 ${rule.elapsed}ms，已用尽 ${rule.timeout}ms 时间上限，已停用`);
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,417 @@
+/**
+ * EdgeOne Pages TTS - SSML 模块
+ * @version 1.0.0
+ * @description 解析、校验用户提交的 SSML，并在不破坏标签的前提下拆分为子请求大小的文档
+ */
+
+import { createHttpError, escapeXml, smartChunkText } from './utils.js';
+
+// =================================================================================
+// 白名单定义
+// =================================================================================
+
+/**
+ * SSML 元素定义
+ * @typedef {Object} SsmlElementRule
+ * @property {string[]} attributes - 允许的属性
+ * @property {string[]} [required] - 必需的属性
+ * @property {boolean} [empty] - 是否为空元素（不允许子节点）
+ * @property {boolean} [atomic] - 拆分时是否必须整体保留
+ */
+
+/**
+ * 允许的 SSML 元素
+ * @type {Object.<string, SsmlElementRule>}
+ */
+const SSML_ELEMENTS = {
+  "speak": { attributes: ["version", "xmlns", "xmlns:mstts", "xml:lang"] },
+  "voice": { attributes: ["name"], required: ["name"] },
+  "mstts:express-as": { attributes: ["style", "styledegree", "role"] },
+  "prosody": { attributes: ["rate", "pitch", "volume", "contour", "range"] },
+  "emphasis": { attributes: ["level"] },
+  "lang": { attributes: ["xml:lang"], required: ["xml:lang"] },
+  "p": { attributes: [] },
+  "s": { attributes: [] },
+  "say-as": { attributes: ["interpret-as", "format", "detail"], required: ["interpret-as"], atomic: true },
+  "phoneme": { attributes: ["alphabet", "ph"], required: ["ph"], atomic: true },
+  "sub": { attributes: ["alias"], required: ["alias"], atomic: true },
+  "break": { attributes: ["time", "strength"], empty: true },
+  "mstts:silence": { attributes: ["type", "value"], empty: true }
+};
+
+/**
+ * 属性值校验规则（未列出的属性仅限制长度）
+ * @type {Object.<string, RegExp>}
+ */
+const ATTRIBUTE_PATTERNS = {
+  "name": /^[A-Za-z]{2,3}-[A-Za-z0-9-]+$/,
+  "style": /^[A-Za-z-]+$/,
+  "role": /^[A-Za-z]+$/,
+  "styledegree": /^(?:[01](?:\.\d+)?|2(?:\.0+)?)$/,
+  "time": /^\d+(?:\.\d+)?(?:ms|s)$/,
+  "strength": /^(?:none|x-weak|weak|medium|strong|x-strong)$/,
+  "level": /^(?:reduced|none|moderate|strong)$/,
+  "alphabet": /^(?:ipa|sapi|ups|x-microsoft-sapi|x-microsoft-ups)$/,
+  "xml:lang": /^[A-Za-z]{2,3}(?:-[A-Za-z0-9]+)*$/
+};
+
+/** 单个属性值的最大长度 */
+const MAX_ATTRIBUTE_LENGTH = 256;
+
+/** 预定义 XML 实体 */
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'" };
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * SSML 节点
+ * @typedef {Object} SsmlNode
+ * @property {"element"|"text"} type - 节点类型
+ * @property {string} [name] - 元素名
+ * @property {Object.<string, string>} [attributes] - 属性（已解码）
+ * @property {SsmlNode[]} [children] - 子节点
+ * @property {string} [value] - 文本内容（已解码）
+ */
+
+// =================================================================================
+// 解析
+// =================================================================================
+
+/**
+ * 抛出 SSML 校验错误
+ * @param {string} message - 错误消息
+ * @throws {Error} 400 错误
+ */
+function invalidSsml(message) {
+  throw createHttpError(`无效的 SSML: ${message}`, 400, "invalid_ssml", "invalid_request_error", "ssml");
+}
+
+/**
+ * 解码 XML 实体
+ * @param {string} raw - 原始文本
+ * @returns {string} 解码后的文本
+ */
+function decodeEntities(raw) {
+  return raw.replace(/&([^;\s<>&]*);?/g, (match, entity) => {
+    if (!match.endsWith(";")) {
+      invalidSsml(`未转义的 '&'，请使用 &amp;`);
+    }
+    if (XML_ENTITIES[entity]) {
+      return XML_ENTITIES[entity];
+    }
+    const numeric = entity.match(/^#(?:x([0-9a-fA-F]+)|(\d+))$/);
+    if (numeric) {
+      return String.fromCodePoint(parseInt(numeric[1] || numeric[2], numeric[1] ? 16 : 10));
+    }
+    return invalidSsml(`未知实体 '${match}'`);
+  });
+}
+
+/**
+ * 解析 SSML 文档为节点树
+ * @description 仅支持 SSML 所需的 XML 子集：元素、属性、文本、注释和开头的 XML 声明。
+ * DOCTYPE、CDATA 和处理指令一律拒绝
+ * @param {string} source - SSML 文本
+ * @returns {SsmlNode} 根节点（speak）
+ * @throws {Error} 文档格式错误时抛出 400 错误
+ */
+export function parseSsml(source) {
+  if (typeof source !== "string" || !source.trim()) {
+    invalidSsml("文档为空");
+  }
+
+  const text = source.trim().replace(/^<\?xml[^?]*\?>\s*/, "");
+  const tagPattern = /<(\/?)([A-Za-z_][\w.:-]*)((?:\s+[A-Za-z_][\w.:-]*\s*=\s*(?:"[^"<]*"|'[^'<]*'))*)\s*(\/?)>/y;
+  const attributePattern = /\s+([A-Za-z_][\w.:-]*)\s*=\s*(?:"([^"<]*)"|'([^'<]*)')/g;
+
+  const root = { type: "element", name: "#document", attributes: {}, children: [] };
+  const stack = [root];
+  let position = 0;
+
+  while (position < text.length) {
+    const next = text.indexOf("<", position);
+    if (next === -1 || next > position) {
+      const end = next === -1 ? text.length : next;
+      const value = decodeEntities(text.slice(position, end));
+      stack[stack.length - 1].children.push({ type: "text", value });
+      position = end;
+      continue;
+    }
+
+    if (text.startsWith("<!--", position)) {
+      const end = text.indexOf("-->", position);
+      if (end === -1) invalidSsml("注释未闭合");
+      position = end + 3;
+      continue;
+    }
+    if (text.startsWith("<!", position) || text.startsWith("<?", position)) {
+      invalidSsml(`不支持的声明 (位置 ${position})`);
+    }
+
+    tagPattern.lastIndex = position;
+    const match = tagPattern.exec(text);
+    if (!match) {
+      invalidSsml(`标签格式错误 (位置 ${position})`);
+    }
+    const [raw, closing, name, rawAttributes, selfClosing] = match;
+    position += raw.length;
+
+    if (closing) {
+      const current = stack.pop();
+      if (current === root || current.name !== name) {
+        invalidSsml(`意外的闭合标签 </${name}>`);
+      }
+      continue;
+    }
+
+    const attributes = {};
+    for (const [, attrName, doubleQuoted, singleQuoted] of rawAttributes.matchAll(attributePattern)) {
+      if (Object.prototype.hasOwnProperty.call(attributes, attrName)) {
+        invalidSsml(`<${name}> 属性重复: ${attrName}`);
+      }
+      attributes[attrName] = decodeEntities(doubleQuoted ?? singleQuoted);
+    }
+
+    const element = { type: "element", name, attributes, children: [] };
+    stack[stack.length - 1].children.push(element);
+    if (!selfClosing) {
+      stack.push(element);
+    }
+  }
+
+  if (stack.length > 1) {
+    invalidSsml(`<${stack[stack.length - 1].name}> 未闭合`);
+  }
+
+  const elements = root.children.filter(node => node.type === "element");
+  const strayText = root.children.some(node => node.type === "text" && node.value.trim());
+  if (elements.length !== 1 || strayText || elements[0].name !== "speak") {
+    invalidSsml("根元素必须是唯一的 <speak>");
+  }
+
+  validateNode(elements[0], null);
+  return elements[0];
+}
+
+/**
+ * 递归校验元素、属性和嵌套关系
+ * @param {SsmlNode} node - 节点
+ * @param {string|null} parentName - 父元素名
+ */
+function validateNode(node, parentName) {
+  if (node.type === "text") return;
+
+  const rule = SSML_ELEMENTS[node.name];
+  if (!rule) {
+    invalidSsml(`不允许的元素 <${node.name}>`);
+  }
+  if (node.name === "voice" && parentName !== "speak") {
+    invalidSsml("<voice> 只能作为 <speak> 的直接子元素");
+  }
+  if (parentName === "speak" && node.name !== "voice") {
+    invalidSsml(`<speak> 下只允许 <voice>，发现 <${node.name}>`);
+  }
+
+  for (const [attrName, value] of Object.entries(node.attributes)) {
+    if (!rule.attributes.includes(attrName)) {
+      invalidSsml(`<${node.name}> 不允许属性 '${attrName}'`);
+    }
+    const pattern = ATTRIBUTE_PATTERNS[attrName];
+    if (value.length > MAX_ATTRIBUTE_LENGTH || (pattern && !pattern.test(value))) {
+      invalidSsml(`<${node.name}> 属性 '${attrName}' 的值无效: ${value}`);
+    }
+  }
+  for (const attrName of rule.required || []) {
+    if (!node.attributes[attrName]) {
+      invalidSsml(`<${node.name}> 缺少必需属性 '${attrName}'`);
+    }
+  }
+
+  if (rule.empty && node.children.length > 0) {
+    invalidSsml(`<${node.name}> 不能包含内容`);
+  }
+
+  for (const child of node.children) {
+    if (node.name === "speak" && child.type === "text") {
+      if (child.value.trim()) invalidSsml("<speak> 下的文本必须放在 <voice> 中");
+      continue;
+    }
+    validateNode(child, node.name);
+  }
+
+  if (node.name === "speak" && !node.children.some(child => child.type === "element")) {
+    invalidSsml("<speak> 中至少需要一个 <voice>");
+  }
+}
+
+// =================================================================================
+// 序列化与拆分
+// =================================================================================
+
+/**
+ * 序列化元素开始标签
+ * @param {SsmlNode} node - 元素节点
+ * @param {boolean} selfClosing - 是否自闭合
+ * @returns {string} 开始标签
+ */
+function openTag(node, selfClosing = false) {
+  const attributes = Object.entries(node.attributes)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join("");
+  return `<${node.name}${attributes}${selfClosing ? "/" : ""}>`;
+}
+
+/**
+ * 序列化节点
+ * @param {SsmlNode} node - 节点
+ * @returns {string} SSML 片段
+ */
+function serializeNode(node) {
+  if (node.type === "text") {
+    return escapeXml(node.value);
+  }
+  if (node.children.length === 0 && SSML_ELEMENTS[node.name].empty) {
+    return openTag(node, true);
+  }
+  return `${openTag(node)}${node.children.map(serializeNode).join("")}</${node.name}>`;
+}
+
+/**
+ * 提取节点的可读文本
+ * @param {SsmlNode} node - 节点
+ * @returns {string} 文本内容
+ */
+function textContent(node) {
+  if (node.type === "text") return node.value;
+  return node.children.map(textContent).join("");
+}
+
+/**
+ * 拆分单元：一个不可再分的 SSML 片段及其祖先元素链
+ * @typedef {Object} SsmlUnit
+ * @property {SsmlNode[]} ancestors - 从 voice 内第一层到直接父元素的元素链
+ * @property {SsmlNode} node - 文本节点或需整体保留的元素
+ * @property {number} length - 文本长度
+ */
+
+/**
+ * 将 voice 的内容展开为拆分单元
+ * @param {SsmlNode[]} children - 子节点
+ * @param {SsmlNode[]} ancestors - 祖先元素链
+ * @param {number} maxLength - 单元最大文本长度
+ * @param {SsmlUnit[]} units - 输出数组
+ */
+function collectUnits(children, ancestors, maxLength, units) {
+  for (const child of children) {
+    if (child.type === "text") {
+      if (!child.value) continue;
+      if (child.value.length <= maxLength) {
+        units.push({ ancestors, node: child, length: child.value.length });
+        continue;
+      }
+      // 过长文本按句子拆分，保留首尾空白以免与相邻元素粘连
+      const leading = /^\s/.test(child.value) ? " " : "";
+      const trailing = /\s$/.test(child.value) ? " " : "";
+      const pieces = smartChunkText(child.value, maxLength);
+      pieces.forEach((piece, index) => {
+        const value = `${index === 0 ? leading : ""}${piece}${index === pieces.length - 1 ? trailing : " "}`;
+        units.push({ ancestors, node: { type: "text", value }, length: value.length });
+      });
+    } else if (SSML_ELEMENTS[child.name].atomic || SSML_ELEMENTS[child.name].empty) {
+      units.push({ ancestors, node: child, length: textContent(child).length });
+    } else {
+      collectUnits(child.children, [...ancestors, child], maxLength, units);
+    }
+  }
+}
+
+/**
+ * 将一组拆分单元序列化，按需重新打开和关闭祖先元素
+ * @param {SsmlUnit[]} units - 拆分单元
+ * @returns {string} SSML 片段
+ */
+function serializeUnits(units) {
+  let output = "";
+  let openStack = [];
+
+  for (const unit of units) {
+    let shared = 0;
+    while (shared < openStack.length && shared < unit.ancestors.length &&
+      openStack[shared] === unit.ancestors[shared]) {
+      shared++;
+    }
+    for (let i = openStack.length - 1; i >= shared; i--) {
+      output += `</${openStack[i].name}>`;
+    }
+    for (let i = shared; i < unit.ancestors.length; i++) {
+      output += openTag(unit.ancestors[i]);
+    }
+    openStack = unit.ancestors;
+    output += serializeNode(unit.node);
+  }
+
+  for (let i = openStack.length - 1; i >= 0; i--) {
+    output += `</${openStack[i].name}>`;
+  }
+  return output;
+}
+
+/**
+ * 将 SSML 文档拆分为子请求大小的合成单元
+ * @description 按 <voice> 分组，每组内按文本长度打包；跨块的 prosody、express-as 等
+ * 容器元素会在每块中重新打开，say-as、phoneme、sub 和空元素整体保留不拆开。
+ * 每块都是完整、合法的 SSML 文档
+ * @param {string} source - SSML 文本
+ * @param {number} maxLength - 每块最大文本长度
+ * @returns {{ text: string, voiceName: string, ssml: string }[]} 合成单元数组
+ * @throws {Error} 文档无效时抛出 400 错误
+ */
+export function splitSsml(source, maxLength) {
+  const speak = parseSsml(source);
+  const speakNode = {
+    ...speak,
+    attributes: {
+      version: "1.0",
+      xmlns: "http://www.w3.org/2001/10/synthesis",
+      "xmlns:mstts": "http://www.w3.org/2001/mstts",
+      "xml:lang": "en-US",
+      ...speak.attributes
+    }
+  };
+
+  const chunks = [];
+  for (const voice of speak.children.filter(node => node.type === "element")) {
+    const units = [];
+    collectUnits(voice.children, [], maxLength, units);
+
+    let current = [];
+    let currentLength = 0;
+    const flush = () => {
+      const text = current.map(unit => textContent(unit.node)).join("").trim();
+      if (text || current.some(unit => unit.node.type === "element")) {
+        chunks.push({
+          text,
+          voiceName: voice.attributes.name,
+          ssml: `${openTag(speakNode)}${openTag(voice)}${serializeUnits(current)}</voice></speak>`
+        });
+      }
+      current = [];
+      currentLength = 0;
+    };
+
+    for (const unit of units) {
+      if (current.length > 0 && currentLength + unit.length > maxLength) {
+        flush();
+      }
+      current.push(unit);
+      currentLength += unit.length;
+    }
+    if (current.length > 0) {
+      flush();
+    }
+  }
+
+  return chunks;
+}
@@ -0,0 +1,210 @@
+/**
+ * EdgeOne Pages TTS - 存储模块
+ * @version 1.0.0
+ * @description 提供统一的键值存储接口，支持内存实现与 EdgeOne KV 适配
+ */
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 键值存储接口
+ * @description 值须可 JSON 序列化；ttl 单位为秒，未提供时永不过期
+ * @typedef {Object} KeyValueStore
+ * @property {(key: string) => Promise<*>} get - 读取值，不存在或已过期时返回 null
+ * @property {(key: string, value: *, options?: { ttl?: number }) => Promise<void>} put - 写入值
+ * @property {(key: string) => Promise<void>} delete - 删除值
+ */
+
+// =================================================================================
+// 内存存储
+// =================================================================================
+
+/**
+ * 创建内存存储
+ * @description 基于 Map 的 LRU 实现，仅在单个实例内有效，适用于本地调试和未绑定 KV 的部署。
+ * 超出容量时先清除已过期的条目，仍超出再淘汰最久未使用的条目
+ * @param {Object} options - 配置选项
+ * @param {number} [options.maxEntries=1000] - 最大条目数，Infinity 表示不按条目数淘汰
+ * @param {number} [options.maxSize=Infinity] - 总容量上限（单位由 sizeOf 决定），超出时淘汰最久未使用的条目
+ * @param {(value: *) => number} [options.sizeOf] - 计算单个值的容量，默认每个条目计 1
+ * @returns {KeyValueStore} 存储实例
+ */
+export function createMemoryStore({ maxEntries = 1000, maxSize = Infinity, sizeOf = () => 1 } = {}) {
+  /** @type {Map<string, { value: *, size: number, expiresAt: number|null }>} */
+  const entries = new Map();
+  let totalSize = 0;
+
+  const remove = (key) => {
+    const entry = entries.get(key);
+    if (entry) {
+      totalSize -= entry.size;
+      entries.delete(key);
+    }
+  };
+
+  const isFull = () => entries.size > maxEntries || totalSize > maxSize;
+
+  const removeExpired = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.expiresAt !== null && now >= entry.expiresAt) {
+        remove(key);
+      }
+    }
+  };
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+      if (entry.expiresAt !== null && Date.now() >= entry.expiresAt) {
+        remove(key);
+        return null;
+      }
+      // 重新插入以更新 LRU 顺序
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry.value;
+    },
+
+    async put(key, value, { ttl } = {}) {
+      remove(key);
+      const size = sizeOf(value);
+      if (size > maxSize) return; // 单个值超过总容量时不缓存
+
+      entries.set(key, { value, size, expiresAt: ttl ? Date.now() + ttl * 1000 : null });
+      totalSize += size;
+      if (isFull()) {
+        removeExpired();
+      }
+      while (isFull()) {
+        remove(entries.keys().next().value);
+      }
+    },
+
+    async delete(key) {
+      remove(key);
+    }
+  };
+}
+
+// =================================================================================
+// EdgeOne KV 适配
+// =================================================================================
+
+/**
+ * 创建 EdgeOne KV 存储适配器
+ * @description EdgeOne KV 不支持原生过期时间，值以 { v, e } 形式包装并在读取时检查过期
+ * @param {Object} namespace - KV 命名空间绑定，需提供 get / put / delete 方法
+ * @returns {KeyValueStore} 存储实例
+ */
+export function createKVStore(namespace) {
+  return {
+    async get(key) {
+      const raw = await namespace.get(key);
+      if (raw === null || raw === undefined) return null;
+
+      let entry;
+      try {
+        entry = JSON.parse(raw);
+      } catch (e) {
+        return null;
+      }
+      if (entry.e && Date.now() >= entry.e) {
+        await namespace.delete(key);
+        return null;
+      }
+      return entry.v;
+    },
+
+    async put(key, value, { ttl } = {}) {
+      await namespace.put(key, JSON.stringify({ v: value, e: ttl ? Date.now() + ttl * 1000 : 0 }));
+    },
+
+    async delete(key) {
+      await namespace.delete(key);
+    }
+  };
+}
+
+// =================================================================================
+// 存储解析
+// =================================================================================
+
+/** 默认 KV 绑定名称 */
+const DEFAULT_KV_BINDING = "TTS_KV";
+
+/**
+ * 内存存储分区
+ * @description 未绑定 KV 时各分区使用独立的内存存储，互不争用条目：
+ * - default: 其他数据，LRU 淘汰
+ * - keys: 密钥记录、标识索引与每日用量，不按条目数淘汰（淘汰会重置配额或使分享令牌失效），过期条目照常清除
+ * - jobs: 异步任务记录，LRU 淘汰，不会被其他分区的写入挤出
+ * 绑定 KV 时所有分区共用同一命名空间，以键前缀区分
+ * @type {Object.<string, { maxEntries: number }>}
+ */
+const MEMORY_PARTITIONS = {
+  default: { maxEntries: 1000 },
+  keys: { maxEntries: Infinity },
+  jobs: { maxEntries: 1000 }
+};
+
+/** @type {Map<string, KeyValueStore>} */
+const memoryStores = new Map();
+
+/** @type {WeakMap<Object, KeyValueStore>} */
+const kvStores = new WeakMap();
+
+/**
+ * 查找 KV 命名空间绑定
+ * @description 绑定名称由 KV_BINDING 环境变量指定，默认 TTS_KV；
+ * EdgeOne Pages 的 KV 绑定以全局变量形式注入，因此同时查找 env 与 globalThis
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Object|null} KV 命名空间，未绑定时为 null
+ */
+export function getKVNamespace(env = {}) {
+  const binding = env.KV_BINDING || DEFAULT_KV_BINDING;
+  const namespace = env[binding] || globalThis[binding];
+  return namespace && typeof namespace.get === "function" ? namespace : null;
+}
+
+/**
+ * 获取当前部署使用的存储
+ * @description 优先使用 KV 绑定（见 getKVNamespace），未绑定时回退到进程内共享的内存存储（按分区隔离）
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @param {string} [partition="default"] - 内存存储分区，见 MEMORY_PARTITIONS
+ * @returns {KeyValueStore} 存储实例
+ * @throws {Error} 分区不存在时抛出
+ */
+export function getStore(env = {}, partition = "default") {
+  if (!MEMORY_PARTITIONS[partition]) {
+    throw new Error(`未知的存储分区: ${partition}`);
+  }
+
+  const namespace = getKVNamespace(env);
+
+  if (namespace) {
+    let store = kvStores.get(namespace);
+    if (!store) {
+      store = createKVStore(namespace);
+      kvStores.set(namespace, store);
+    }
+    return store;
+  }
+
+  let store = memoryStores.get(partition);
+  if (!store) {
+    store = createMemoryStore(MEMORY_PARTITIONS[partition]);
+    memoryStores.set(partition, store);
+  }
+  return store;
+}
+
+/**
+ * 重置内存存储（用于测试）
+ */
+export function clearMemoryStore() {
+  memoryStores.clear();
+}
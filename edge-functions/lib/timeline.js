@@ -0,0 +1,315 @@
+/**
+ * EdgeOne Pages TTS - 时间轴模块
+ * @version 1.0.0
+ * @description 根据分块音频时长生成分块、句子和词级时间戳，并导出 SRT / WebVTT 字幕
+ */
+
+import { BREAK_TAG_PATTERN } from './utils.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 时间片段
+ * @typedef {Object} TimedSegment
+ * @property {string} text - 文本
+ * @property {number} start - 开始时间（秒）
+ * @property {number} end - 结束时间（秒）
+ */
+
+/**
+ * 分块时间轴
+ * @typedef {Object} ChunkTiming
+ * @property {number} index - 分块序号
+ * @property {string} text - 分块文本（已去除 break 等标记）
+ * @property {string} voice - 分块使用的语音名称
+ * @property {number} start - 开始时间（秒）
+ * @property {number} end - 结束时间（秒）
+ * @property {TimedSegment[]} sentences - 句子级时间戳（估算）
+ * @property {TimedSegment[]} words - 词级时间戳（估算）
+ */
+
+/**
+ * 停顿
+ * @typedef {Object} Pause
+ * @property {number} offset - 停顿在纯文本中的位置（字符偏移）
+ * @property {number} seconds - 停顿时长（秒）
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** 文本中的 SSML 标记（break 以及其他形似标签的片段），不参与分词和字幕 */
+const MARKUP_PATTERN = /<\/?[A-Za-z][\w:.-]*(?:\s[^<>]*)?\/?>/g;
+
+/** 单个 break 标签，与 getSsml 接受的格式一致 */
+const BREAK_TAG = new RegExp(`^${BREAK_TAG_PATTERN.source}$`, "i");
+
+/** 未指定 time 的 break 按微软默认的 medium 强度计 */
+const DEFAULT_BREAK_SECONDS = 0.75;
+
+/** 单个 break 最长 5 秒 */
+const MAX_BREAK_SECONDS = 5;
+
+// =================================================================================
+// 时间轴生成
+// =================================================================================
+
+/**
+ * 生成完整时间轴
+ * @description 分块边界取自 smartChunkText 的结果，分块起止时间由实际音频时长逐块累加得出，
+ * 跨批次保持连续。Microsoft REST 接口不返回 WordBoundary 事件，
+ * 因此块内的句子和词时间戳按字符数占比在该块时长内估算。
+ * 文本中的 break 标签先移出文本，其停顿时长计入所在位置之后的时间，其他标记直接去除。
+ * 分词语言取自各块语音名称，多语音脚本中每块独立分词。
+ * @param {{ text: string, voiceName: string }[]} chunks - 合成单元数组
+ * @param {number[]} durations - 与合成单元一一对应的音频时长（秒）
+ * @returns {ChunkTiming[]} 分块时间轴
+ */
+export function buildTimeline(chunks, durations) {
+  const timeline = [];
+  let offset = 0;
+
+  chunks.forEach(({ text, voiceName }, index) => {
+    const start = offset;
+    const end = start + durations[index];
+    const locale = getVoiceLocale(voiceName);
+    const { plain, pauses } = extractPauses(text);
+    const clock = createClock(plain, pauses, start, end);
+    offset = end;
+
+    timeline.push({
+      index,
+      text: plain.replace(/\s+/g, " ").trim(),
+      voice: voiceName,
+      start: roundTime(start),
+      end: roundTime(end),
+      sentences: distributeSegments(segmentText(plain, locale, "sentence"), clock)
+        .map(stripSegmentFlags),
+      words: distributeSegments(segmentText(plain, locale, "word"), clock)
+        .filter(segment => segment.isWord)
+        .map(stripSegmentFlags)
+    });
+  });
+
+  return timeline;
+}
+
+/**
+ * 从语音名称推断语言区域
+ * @param {string} voiceName - 语音名称，如 zh-CN-XiaoxiaoNeural
+ * @returns {string} 语言区域，如 zh-CN
+ */
+export function getVoiceLocale(voiceName) {
+  const parts = String(voiceName).split("-");
+  return parts.length >= 2 ? `${parts[0]}-${parts[1]}` : "zh-CN";
+}
+
+// =================================================================================
+// 内部工具
+// =================================================================================
+
+/**
+ * 移出文本中的标记
+ * @description break 标签记录为停顿，其他标记直接去除
+ * @param {string} text - 合成单元文本
+ * @returns {{ plain: string, pauses: Pause[] }} 纯文本与停顿
+ */
+function extractPauses(text) {
+  const pauses = [];
+  let plain = "";
+  let last = 0;
+
+  for (const match of String(text).matchAll(MARKUP_PATTERN)) {
+    plain += text.slice(last, match.index);
+    last = match.index + match[0].length;
+
+    const breakTag = match[0].match(BREAK_TAG);
+    if (breakTag) {
+      pauses.push({ offset: plain.length, seconds: parseBreakTime(breakTag[2]) });
+    }
+  }
+
+  return { plain: plain + String(text).slice(last), pauses };
+}
+
+/**
+ * 解析 break 的 time 属性
+ * @param {string|undefined} time - 如 500ms、1.5s，未指定时为 undefined
+ * @returns {number} 停顿时长（秒）
+ */
+function parseBreakTime(time) {
+  if (!time) return DEFAULT_BREAK_SECONDS;
+  const value = parseFloat(time);
+  return Math.min(time.endsWith("ms") ? value / 1000 : value, MAX_BREAK_SECONDS);
+}
+
+/**
+ * 创建文本位置到时间的换算函数
+ * @description 块时长先扣除停顿，余下时间按非空白字符数均分；停顿总长超过块时长时按比例压缩
+ * @param {string} plain - 纯文本
+ * @param {Pause[]} pauses - 停顿
+ * @param {number} start - 区间开始时间（秒）
+ * @param {number} end - 区间结束时间（秒）
+ * @returns {(offset: number, afterPause: boolean) => number} 换算函数，afterPause 表示恰在该位置的停顿是否计入
+ */
+function createClock(plain, pauses, start, end) {
+  const duration = end - start;
+  const pauseTotal = pauses.reduce((sum, pause) => sum + pause.seconds, 0);
+  const pauseScale = pauseTotal > duration ? duration / pauseTotal : 1;
+  const speech = duration - pauseTotal * pauseScale;
+
+  // weights[i] 为 plain[0, i) 中的非空白字符数
+  const weights = [0];
+  for (const char of plain) {
+    const weight = weights[weights.length - 1] + (/\s/.test(char) ? 0 : 1);
+    for (let i = 0; i < char.length; i++) weights.push(weight);
+  }
+  const totalWeight = weights[weights.length - 1];
+
+  return (offset, afterPause) => {
+    const paused = pauses
+      .filter(pause => pause.offset < offset || (afterPause && pause.offset === offset))
+      .reduce((sum, pause) => sum + pause.seconds * pauseScale, 0);
+    const spoken = totalWeight > 0 ? speech * (weights[offset] / totalWeight) : 0;
+    return roundTime(start + spoken + paused);
+  };
+}
+
+/**
+ * 文本分段
+ * @description 优先使用 Intl.Segmenter，不可用时退化为按标点/空白和 CJK 单字切分
+ * @param {string} text - 文本
+ * @param {string} locale - 语言区域
+ * @param {"sentence"|"word"} granularity - 分段粒度
+ * @returns {{ text: string, index: number, isWord: boolean }[]} 分段结果（index 为在文本中的偏移）
+ */
+function segmentText(text, locale, granularity) {
+  if (typeof Intl !== "undefined" && typeof Intl.Segmenter === "function") {
+    const segmenter = new Intl.Segmenter(locale, { granularity });
+    return Array.from(segmenter.segment(text), segment => ({
+      text: segment.segment,
+      index: segment.index,
+      isWord: granularity === "sentence" || Boolean(segment.isWordLike)
+    }));
+  }
+
+  const pattern = granularity === "sentence"
+    ? /[^.?!。？！]+[.?!。？！]*\s*/g
+    : /[㐀-鿿]|[^\s㐀-鿿.,?!;:。，？！；：]+|\s+|./g;
+  return Array.from(text.matchAll(pattern), match => ({
+    text: match[0],
+    index: match.index,
+    isWord: granularity === "sentence" || /[\p{L}\p{N}]/u.test(match[0])
+  }));
+}
+
+/**
+ * 按字符数占比分配时间
+ * @param {{ text: string, index: number, isWord: boolean }[]} segments - 分段结果
+ * @param {(offset: number, afterPause: boolean) => number} clock - 位置到时间的换算函数，见 createClock
+ * @returns {(TimedSegment & { isWord: boolean })[]} 带时间的分段（不含纯空白段）
+ */
+function distributeSegments(segments, clock) {
+  return segments
+    .filter(segment => segment.text.trim().length > 0)
+    .map(segment => {
+      const text = segment.text.trim();
+      const from = segment.index + segment.text.length - segment.text.trimStart().length;
+      return {
+        text,
+        start: clock(from, true),
+        end: clock(from + text.length, false),
+        isWord: segment.isWord
+      };
+    });
+}
+
+/**
+ * 去除内部标记字段
+ * @param {TimedSegment & { isWord: boolean }} segment - 带标记的分段
+ * @returns {TimedSegment} 时间片段
+ */
+function stripSegmentFlags({ text, start, end }) {
+  return { text, start, end };
+}
+
+/**
+ * 时间保留到毫秒
+ * @param {number} seconds - 秒数
+ * @returns {number} 四舍五入后的秒数
+ */
+function roundTime(seconds) {
+  return Math.round(seconds * 1000) / 1000;
+}
+
+// =================================================================================
+// 字幕导出
+// =================================================================================
+
+/**
+ * 字幕格式定义
+ * @type {Object.<string, { contentType: string, render: function(ChunkTiming[]): string }>}
+ */
+export const SUBTITLE_FORMATS = {
+  srt: {
+    contentType: "application/x-subrip; charset=utf-8",
+    render: timeline => renderCues(timeline, ",", "")
+  },
+  vtt: {
+    contentType: "text/vtt; charset=utf-8",
+    render: timeline => renderCues(timeline, ".", "WEBVTT\n\n")
+  }
+};
+
+/**
+ * 渲染字幕条目
+ * @description 以句子为单位生成字幕条目，时间与合成音频对齐；break 停顿体现在条目间的间隔中
+ * @param {ChunkTiming[]} timeline - 分块时间轴
+ * @param {string} millisSeparator - 毫秒分隔符（SRT 为逗号，WebVTT 为句点）
+ * @param {string} header - 文件头
+ * @returns {string} 字幕文本
+ */
+function renderCues(timeline, millisSeparator, header) {
+  const cues = timeline
+    .flatMap(chunk => chunk.sentences)
+    .map((sentence, index) => [
+      String(index + 1),
+      `${formatTimestamp(sentence.start, millisSeparator)} --> ${formatTimestamp(sentence.end, millisSeparator)}`,
+      cueText(sentence.text)
+    ].join("\n"));
+
+  return header + cues.join("\n\n") + "\n";
+}
+
+/**
+ * 生成字幕条目文本
+ * @description 去除残留的标记，空白（含换行）合并为单个空格，避免空行提前结束条目；
+ * 箭头 --> 在 WebVTT 条目文本中不允许出现，替换为 →
+ * @param {string} text - 句子文本
+ * @returns {string} 条目文本
+ */
+function cueText(text) {
+  return text
+    .replace(MARKUP_PATTERN, "")
+    .replace(/-->/g, "→")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * 格式化字幕时间
+ * @param {number} seconds - 秒数
+ * @param {string} millisSeparator - 毫秒分隔符
+ * @returns {string} HH:MM:SS,mmm 或 HH:MM:SS.mmm
+ */
+function formatTimestamp(seconds, millisSeparator) {
+  const totalMillis = Math.round(seconds * 1000);
+  const pad = (value, length = 2) => String(value).padStart(length, "0");
+  const hours = Math.floor(totalMillis / 3600000);
+  const minutes = Math.floor((totalMillis % 3600000) / 60000);
+  const secs = Math.floor((totalMillis % 60000) / 1000);
+  return `${pad(hours)}:${pad(minutes)}:${pad(secs)}${millisSeparator}${pad(totalMillis % 1000, 3)}`;
+}
@@ -4,8 +4,57 @@
  * @description 处理 TTS 语音生成的核心逻辑
  */
 
-import { makeCORSHeaders, errorResponse, getSsml, DEFAULT_CONFIG } from './utils.js';
-import { getEndpoint } from './auth.js';
+import {
+  errorResponse,
+  createHttpError,
+  getSsml,
+  validateSsmlAttributes,
+  bytesToBase64,
+  cleanText,
+  smartChunkText,
+  DEFAULT_CONFIG
+} from './utils.js';
+import { getEndpoint, clearTokenCache } from './auth.js';
+import {
+  resolveOutputFormat,
+  getContentType,
+  createAudioMerger,
+  mergeAudioChunks,
+  getAudioDuration,
+  createSilence
+} from './audio.js';
+import { buildTimeline, getVoiceLocale, SUBTITLE_FORMATS } from './timeline.js';
+import { getAudioCacheKey } from './cache.js';
+import { parseLexicon, applyLexiconText, matchLexiconMarkup } from './lexicon.js';
+import { compileRules, selectRules } from './rules.js';
+import { validateParams, validateValue, getMaxInputLength, checkInputLength } from './validation.js';
+import { recordBatches, recordChunk } from './metrics.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 语音合成单元（一个文本块及其语音参数）
+ * @typedef {Object} SpeechChunk
+ * @property {string} text - 文本内容
+ * @property {string} voiceName - 语音名称
+ * @property {string} rate - 语速百分比
+ * @property {string} pitch - 音调百分比
+ * @property {string} style - 语音风格
+ * @property {string} [ssml] - 预先生成的完整 SSML 文档（SSML 直通模式），存在时忽略其他语音参数
+ * @property {import('./lexicon.js').LexiconEntry[]} [lexicon] - 文本中出现的 phoneme / sub 词典条目
+ */
+
+/**
+ * 脚本片段（分块前的一段连续文本）
+ * @typedef {Object} SpeechSegment
+ * @property {string} text - 文本内容
+ * @property {string} voiceName - 语音名称
+ * @property {string} rate - 语速百分比
+ * @property {string} pitch - 音调百分比
+ * @property {string} style - 语音风格
+ */
 
 // =================================================================================
 // 流式语音生成
@@ -13,73 +62,177 @@ import { getEndpoint } from './auth.js';
 
 /**
  * 流式语音生成
- * @param {string[]} textChunks - 文本块数组
+ * @description 首个分块就绪后立即返回响应，其余分块边合成边写入。
+ * 首块失败时返回标准 JSON 错误；响应开始后出错会中止响应流（客户端收到传输错误，而非看似完整的截断音频）。
+ * 响应头发送后无法再附加 X-TTS-Warning，skip / partial 策略的降级信息仅记录在日志中
+ * @param {SpeechChunk[]} chunks - 合成单元数组
  * @param {number} concurrency - 并发数
- * @param {string} voiceName - 语音名称
- * @param {string} rate - 语速
- * @param {string} pitch - 音调
- * @param {string} style - 语音风格
  * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} [options] - 合成选项
  * @returns {Promise<Response>} 流式音频响应
  */
-export async function streamVoice(textChunks, concurrency, voiceName, rate, pitch, style, outputFormat) {
-  const { readable, writable } = new TransformStream();
-  
+export async function streamVoice(chunks, concurrency, outputFormat, options = {}) {
+  return startStream(chunks, concurrency, outputFormat, options, {
+    headers: { "Content-Type": getContentType(outputFormat) },
+    pipe: pipeChunksToStream
+  });
+}
+
+/**
+ * SSE 流式语音生成（兼容 OpenAI stream_format: "sse"）
+ * @description 每个合成单元产出一个 speech.audio.delta 事件（Base64 音频、分块序号与原文），
+ * 结束时发送带用量统计的 speech.audio.done 事件；响应开始后出错发送 error 事件后结束。
+ * 按顺序拼接全部 delta 的音频即为完整文件
+ * @param {SpeechChunk[]} chunks - 合成单元数组
+ * @param {number} concurrency - 并发数
+ * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} [options] - 合成选项
+ * @returns {Promise<Response>} text/event-stream 响应
+ */
+export async function streamVoiceEvents(chunks, concurrency, outputFormat, options = {}) {
+  return startStream(chunks, concurrency, outputFormat, options, {
+    headers: { "Content-Type": "text/event-stream; charset=utf-8", "Cache-Control": "no-cache" },
+    pipe: pipeChunksToEvents
+  });
+}
+
+/**
+ * 启动流式响应
+ * @description 等待首个分块后返回响应，剩余分块交给 pipe 在后台写入
+ * @param {SpeechChunk[]} chunks - 合成单元数组
+ * @param {number} concurrency - 并发数
+ * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} options - 合成选项
+ * @param {Object} stream - 流配置
+ * @param {Object} stream.headers - 响应头（不含 CORS）
+ * @param {Function} stream.pipe - 写入函数，签名同 pipeChunksToStream
+ * @returns {Promise<Response>} 流式响应
+ */
+async function startStream(chunks, concurrency, outputFormat, options, { headers, pipe }) {
+  const report = createReport(chunks.length);
+  const audio = synthesizeInOrder(chunks, concurrency, outputFormat, options, report);
+
+  let first;
   try {
-    // 等待流式管道完成以便捕获错误
-    await pipeChunksToStream(writable.getWriter(), textChunks, concurrency, voiceName, rate, pitch, style, outputFormat);
-    return new Response(readable, {
-      headers: { "Content-Type": "audio/mpeg", ...makeCORSHeaders() }
-    });
+    first = await audio.next();
   } catch (error) {
     return errorResponse(`流式 TTS 失败: ${error.message}`, 500, "tts_generation_error");
   }
+
+  const { readable, writable } = new TransformStream();
+
+  // 不等待管道完成，响应体随合成进度逐步写入
+  pipe(writable.getWriter(), first, audio, { chunks, outputFormat, report });
+
+  return new Response(readable, { headers });
 }
 
 /**
- * 将文本块流式传输到响应流
+ * 将合成结果流式传输到响应流
+ * @description 每次写入前等待 writer.ready，客户端读取变慢时暂停消费合成结果，
+ * 滑动窗口随之停止发起新请求；客户端断开时停止合成
  * @param {WritableStreamDefaultWriter} writer - 写入器
- * @param {string[]} chunks - 文本块
- * @param {number} concurrency - 并发数
- * @param {string} voiceName - 语音名称
- * @param {string} rate - 语速
- * @param {string} pitch - 音调
- * @param {string} style - 语音风格
- * @param {string} outputFormat - 输出格式
+ * @param {IteratorResult<SynthesizedChunk>} first - 已取出的首个合成结果
+ * @param {AsyncGenerator<SynthesizedChunk>} audio - 剩余合成结果
+ * @param {Object} context - 流上下文
+ * @param {string} context.outputFormat - 输出格式
+ * @param {SynthesisReport} context.report - 合成报告
+ * @returns {Promise<void>}
  */
-async function pipeChunksToStream(writer, chunks, concurrency, voiceName, rate, pitch, style, outputFormat) {
+async function pipeChunksToStream(writer, first, audio, { outputFormat, report }) {
+  const merger = createAudioMerger(outputFormat);
+
   try {
-    // 动态计算最优并发数
-    const optimalConcurrency = Math.min(
-      concurrency,
-      chunks.length,
-      Math.max(5, Math.ceil(chunks.length / 3)) // 至少分 3 批，最少并发 5
-    );
-
-    // 分批处理文本块以避免超出 EdgeOne 子请求限制
-    for (let i = 0; i < chunks.length; i += optimalConcurrency) {
-      const batch = chunks.slice(i, i + optimalConcurrency);
-      const audioPromises = batch.map(chunk => 
-        getAudioChunk(chunk, voiceName, rate, pitch, style, outputFormat)
-      );
-
-      // 仅等待当前批次完成
-      const audioBlobs = await Promise.all(audioPromises);
-
-      // 优化：并行转换 ArrayBuffer，减少等待时间
-      const bufferPromises = audioBlobs.map(blob => blob.arrayBuffer());
-      const buffers = await Promise.all(bufferPromises);
-
-      // 将音频数据写入流
-      for (const buffer of buffers) {
-        writer.write(new Uint8Array(buffer));
+    // 按容器格式改写后写入流
+    for (let result = first; !result.done; result = await audio.next()) {
+      const bytes = merger.push(result.value.bytes);
+      if (bytes.length > 0) {
+        await writer.ready;
+        await writer.write(bytes);
       }
     }
+
+    const tail = merger.finish();
+    if (tail.length > 0) {
+      await writer.ready;
+      await writer.write(tail);
+    }
+    await writer.close();
+
+    const warning = reportHeaders(report)[WARNING_HEADER];
+    if (warning) {
+      console.warn(`流式 TTS 降级: ${warning}`);
+    }
+  } catch (error) {
+    console.error(`流式处理中断: ${error.message}`);
+    await audio.return();
+    await writer.abort(error).catch(() => {});
+  }
+}
+
+/**
+ * 将合成结果以 SSE 事件写入响应流
+ * @description Ogg 合并器会保留最后一页到结束时输出，此时额外发送一个不带原文的 delta 事件
+ * @param {WritableStreamDefaultWriter} writer - 写入器
+ * @param {IteratorResult<SynthesizedChunk>} first - 已取出的首个合成结果
+ * @param {AsyncGenerator<SynthesizedChunk>} audio - 剩余合成结果
+ * @param {Object} context - 流上下文
+ * @param {SpeechChunk[]} context.chunks - 合成单元数组
+ * @param {string} context.outputFormat - 输出格式
+ * @param {SynthesisReport} context.report - 合成报告
+ * @returns {Promise<void>}
+ */
+async function pipeChunksToEvents(writer, first, audio, { chunks, outputFormat, report }) {
+  const encoder = new TextEncoder();
+  const merger = createAudioMerger(outputFormat);
+  const send = async (data) => {
+    await writer.ready;
+    await writer.write(encoder.encode(`event: ${data.type}\ndata: ${JSON.stringify(data)}\n\n`));
+  };
+
+  let characters = 0;
+  let count = 0;
+  let lastIndex = 0;
+
+  try {
+    for (let result = first; !result.done; result = await audio.next()) {
+      const { index, bytes } = result.value;
+      const text = chunks[index].text;
+      characters += text.length;
+      count++;
+      lastIndex = index;
+
+      await send({
+        type: "speech.audio.delta",
+        audio: bytesToBase64(merger.push(bytes)),
+        chunk_index: index,
+        text
+      });
+    }
+
+    const tail = merger.finish();
+    if (tail.length > 0) {
+      await send({ type: "speech.audio.delta", audio: bytesToBase64(tail), chunk_index: lastIndex, text: "" });
+    }
+
+    const done = { type: "speech.audio.done", usage: { characters, chunks: count } };
+    const warning = reportHeaders(report)[WARNING_HEADER];
+    if (warning) {
+      done.warning = warning;
+    }
+    await send(done);
+    await writer.close();
   } catch (error) {
-    writer.abort(error);
-    throw new Error(`流式处理失败: ${error.message}`);
-  } finally {
-    writer.close();
+    console.error(`SSE 流式处理中断: ${error.message}`);
+    await audio.return();
+
+    // 客户端仍在连接时，以 error 事件告知失败原因
+    try {
+      await send({ type: "error", error: { message: error.message, type: "api_error", code: "tts_generation_error" } });
+      await writer.close();
+    } catch (e) {
+      await writer.abort(error).catch(() => {});
+    }
   }
 }
 
@@ -89,66 +242,510 @@ async function pipeChunksToStream(writer, chunks, concurrency, voiceName, rate,
 
 /**
  * 非流式语音生成
- * @param {string[]} textChunks - 文本块数组
+ * @param {SpeechChunk[]} chunks - 合成单元数组
  * @param {number} concurrency - 并发数
- * @param {string} voiceName - 语音名称
- * @param {string} rate - 语速
- * @param {string} pitch - 音调
- * @param {string} style - 语音风格
  * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} [options] - 合成选项
  * @returns {Promise<Response>} 完整音频响应
  */
-export async function getVoice(textChunks, concurrency, voiceName, rate, pitch, style, outputFormat) {
-  const allAudioBlobs = [];
-  
+export async function getVoice(chunks, concurrency, outputFormat, options = {}) {
   try {
-    // 动态计算最优并发数
-    const optimalConcurrency = Math.min(
-      concurrency,
-      textChunks.length,
-      Math.max(5, Math.ceil(textChunks.length / 3)) // 至少分 3 批，最少并发 5
-    );
-
-    // 非流式模式也使用批处理
-    for (let i = 0; i < textChunks.length; i += optimalConcurrency) {
-      const batch = textChunks.slice(i, i + optimalConcurrency);
-      const audioPromises = batch.map(chunk => 
-        getAudioChunk(chunk, voiceName, rate, pitch, style, outputFormat)
-      );
-
-      // 等待当前批次并收集结果
-      const audioBlobs = await Promise.all(audioPromises);
-      allAudioBlobs.push(...audioBlobs);
-    }
-
-    // 合并所有音频数据
-    const concatenatedAudio = new Blob(allAudioBlobs, { type: 'audio/mpeg' });
-    return new Response(concatenatedAudio, {
-      headers: { "Content-Type": "audio/mpeg", ...makeCORSHeaders() }
+    const { audio: mergedAudio, report } = await synthesizeAudio(chunks, concurrency, outputFormat, options);
+    return new Response(mergedAudio, {
+      headers: { "Content-Type": getContentType(outputFormat), ...reportHeaders(report) }
     });
   } catch (error) {
     return errorResponse(`非流式 TTS 失败: ${error.message}`, 500, "tts_generation_error");
   }
 }
 
+/**
+ * 合成全部合成单元并合并为完整音频
+ * @description 供非流式响应与异步任务复用
+ * @param {SpeechChunk[]} chunks - 合成单元数组
+ * @param {number} concurrency - 并发数
+ * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} [options] - 合成选项
+ * @returns {Promise<{ audio: Uint8Array, report: SynthesisReport }>} 合并后的音频与合成报告
+ */
+export async function synthesizeAudio(chunks, concurrency, outputFormat, options = {}) {
+  const { buffers, report } = await synthesizeChunks(chunks, concurrency, outputFormat, options);
+
+  // 按容器格式合并所有音频数据
+  return { audio: mergeAudioChunks(outputFormat, buffers), report };
+}
+
+/**
+ * 带时间戳的非流式语音生成
+ * @description 返回 JSON：Base64 音频 + 分块/句子/词级时间轴。
+ * 分块时间由各块实际音频时长累加得出，块内句子和词时间为估算值，响应中以 estimated: true 标明
+ * @param {SpeechChunk[]} chunks - 合成单元数组
+ * @param {number} concurrency - 并发数
+ * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} [options] - 合成选项
+ * @returns {Promise<Response>} JSON 响应
+ */
+export async function getVoiceWithTimestamps(chunks, concurrency, outputFormat, options = {}) {
+  try {
+    const { buffers, timeline, report } = await synthesizeTimeline(chunks, concurrency, outputFormat, options);
+    const mergedAudio = mergeAudioChunks(outputFormat, buffers);
+
+    const body = {
+      object: "audio.speech.timestamps",
+      content_type: getContentType(outputFormat),
+      duration: timeline.length > 0 ? timeline[timeline.length - 1].end : 0,
+      estimated: true, // 块内句子与词时间为估算值，见 buildTimeline
+      audio: bytesToBase64(mergedAudio),
+      chunks: timeline
+    };
+
+    return new Response(JSON.stringify(body), {
+      headers: { "Content-Type": "application/json", ...reportHeaders(report) }
+    });
+  } catch (error) {
+    return errorResponse(`时间戳 TTS 失败: ${error.message}`, 500, "tts_generation_error");
+  }
+}
+
+/**
+ * 生成与合成音频对齐的字幕文件
+ * @description 使用与标准请求相同的参数合成音频，按句子输出 SRT 或 WebVTT 字幕
+ * @param {SpeechChunk[]} chunks - 合成单元数组
+ * @param {number} concurrency - 并发数
+ * @param {string} outputFormat - 输出格式
+ * @param {string} subtitleFormat - 字幕格式（srt / vtt）
+ * @param {SynthesisOptions} [options] - 合成选项
+ * @returns {Promise<Response>} 字幕响应
+ */
+export async function getSubtitles(chunks, concurrency, outputFormat, subtitleFormat, options = {}) {
+  try {
+    const { timeline, report } = await synthesizeTimeline(chunks, concurrency, outputFormat, options);
+    const format = SUBTITLE_FORMATS[subtitleFormat];
+
+    return new Response(format.render(timeline), {
+      headers: { "Content-Type": format.contentType, ...reportHeaders(report) }
+    });
+  } catch (error) {
+    return errorResponse(`字幕生成失败: ${error.message}`, 500, "tts_generation_error");
+  }
+}
+
+/**
+ * 合成全部合成单元并生成时间轴
+ * @description 时间轴只包含实际产出音频的分块（partial 截断或 skip 无法生成静音的分块不计入）
+ * @param {SpeechChunk[]} chunks - 合成单元数组
+ * @param {number} concurrency - 并发数
+ * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} options - 合成选项
+ * @returns {Promise<{ buffers: Uint8Array[], timeline: import('./timeline.js').ChunkTiming[], report: SynthesisReport }>} 分块音频、时间轴与合成报告
+ */
+async function synthesizeTimeline(chunks, concurrency, outputFormat, options) {
+  const { buffers, indices, report } = await synthesizeChunks(chunks, concurrency, outputFormat, options);
+  const durations = buffers.map(buffer => getAudioDuration(outputFormat, buffer));
+  const timeline = buildTimeline(indices.map(index => chunks[index]), durations);
+  return { buffers, timeline, report };
+}
+
+/**
+ * 合成全部合成单元
+ * @param {SpeechChunk[]} chunks - 合成单元数组
+ * @param {number} concurrency - 并发数
+ * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} options - 合成选项
+ * @returns {Promise<{ buffers: Uint8Array[], indices: number[], report: SynthesisReport }>} 按顺序排列的音频数据、对应的合成单元序号与合成报告
+ */
+async function synthesizeChunks(chunks, concurrency, outputFormat, options) {
+  const buffers = [];
+  const indices = [];
+  const report = createReport(chunks.length);
+
+  for await (const { index, bytes } of synthesizeInOrder(chunks, concurrency, outputFormat, options, report)) {
+    buffers.push(bytes);
+    indices.push(index);
+  }
+  return { buffers, indices, report };
+}
+
+// =================================================================================
+// 分块调度与失败策略
+// =================================================================================
+
+/**
+ * 合成选项
+ * @typedef {Object} SynthesisOptions
+ * @property {string} [onChunkError="fail"] - 文本块重试耗尽后的处理策略，见 CHUNK_ERROR_POLICIES
+ * @property {import('./cache.js').AudioCache|null} [cache] - 分块音频缓存，未提供时不缓存
+ * @property {import('./metrics.js').RequestMetrics|null} [metrics] - 请求度量记录，用于记录批次与各分块耗时
+ */
+
+/**
+ * 合成报告
+ * @typedef {Object} SynthesisReport
+ * @property {number} total - 合成单元总数
+ * @property {number[]} skipped - 以静音替代的分块序号
+ * @property {number|null} truncatedAt - partial 策略下首个失败分块的序号，其后的分块未合成
+ * @property {number} cacheHits - 命中缓存的分块数
+ * @property {boolean} cacheEnabled - 是否启用了缓存
+ */
+
+/**
+ * 已合成的分块
+ * @typedef {Object} SynthesizedChunk
+ * @property {number} index - 合成单元序号
+ * @property {Uint8Array} bytes - 音频数据（skip 策略下可能为替代的静音）
+ */
+
+/**
+ * 文本块失败处理策略
+ * - fail: 任一分块失败则整个请求失败（默认）
+ * - skip: 以与原文时长相近的静音替代失败分块
+ * - partial: 在首个失败分块处截断，返回此前已合成的音频
+ * @type {string[]}
+ */
+export const CHUNK_ERROR_POLICIES = ["fail", "skip", "partial"];
+
+/**
+ * 流式响应格式（OpenAI stream_format）
+ * - audio: 原始音频字节流
+ * - sse: Server-Sent Events，音频以 Base64 分块下发
+ * @type {string[]}
+ */
+export const STREAM_FORMATS = ["audio", "sse"];
+
+/**
+ * 语音合成请求参数规则（见 validateParams）
+ * @description speed、pitch 超出范围返回 400；concurrency、chunk_size 为调优参数，超出范围时收敛到边界值，
+ * 避免过高的并发触发 EdgeOne 子请求限制
+ * @type {import('./validation.js').ParamSchema}
+ */
+export const REQUEST_SCHEMA = {
+  model: { type: "string", default: "tts-1" },
+  input: { type: ["string", "array"] },
+  ssml: { type: "string" },
+  voice: { type: "string" },
+  speed: { type: "number", min: 0.25, max: 2.0 },
+  pitch: { type: "number", min: 0.5, max: 1.5 },
+  style: { type: "string" },
+  roles: { type: "object" },
+  stream: { type: "boolean", default: false },
+  stream_format: { type: "string", enum: STREAM_FORMATS, default: "audio", code: "invalid_stream_format" },
+  timestamps: { type: "boolean", default: false },
+  response_format: { type: "string", default: "mp3" },
+  quality: { type: "string" },
+  sample_rate: { type: ["number", "string"] },
+  on_chunk_error: { type: "string", enum: CHUNK_ERROR_POLICIES, default: "fail", code: "invalid_chunk_error_policy" },
+  concurrency: { type: "integer", min: 1, max: 20, clamp: true, default: DEFAULT_CONFIG.CONCURRENCY },
+  chunk_size: { type: "integer", min: 50, max: 3000, clamp: true, default: DEFAULT_CONFIG.CHUNK_SIZE },
+  cleaning_options: { type: "object", default: {} },
+  lexicon: { type: ["object", "array", "string"] }
+};
+
+/** 合成结果降级时使用的响应头 */
+const WARNING_HEADER = "X-TTS-Warning";
+
+/**
+ * 创建空的合成报告
+ * @param {number} total - 合成单元总数
+ * @returns {SynthesisReport} 合成报告
+ */
+function createReport(total) {
+  return { total, skipped: [], truncatedAt: null, cacheHits: 0, cacheEnabled: false };
+}
+
+/**
+ * 根据合成报告生成响应头
+ * @description 全部分块命中缓存时 X-Cache 为 HIT，否则为 MISS，X-Cache-Hits 给出命中数；
+ * 降级信息写入 X-TTS-Warning。响应头只能包含 ASCII，因此使用机器可读的英文键值
+ * @param {SynthesisReport} report - 合成报告
+ * @returns {Object} 响应头
+ */
+function reportHeaders(report) {
+  const headers = {};
+  if (report.cacheEnabled) {
+    headers["X-Cache"] = report.total > 0 && report.cacheHits === report.total ? "HIT" : "MISS";
+    headers["X-Cache-Hits"] = `${report.cacheHits}/${report.total}`;
+  }
+
+  const warnings = [];
+  if (report.skipped.length > 0) {
+    warnings.push(`skipped_chunks=${report.skipped.join(",")}`);
+  }
+  if (report.truncatedAt !== null) {
+    warnings.push(`partial_audio=${report.truncatedAt}/${report.total}`);
+  }
+  if (warnings.length > 0) {
+    headers[WARNING_HEADER] = warnings.join("; ");
+  }
+  return headers;
+}
+
+/**
+ * 按顺序产出各合成单元的音频
+ * @description 以滑动窗口并发合成，限制在途请求数以避免超出 EdgeOne 子请求限制；
+ * 每个分块独立重试，重试耗尽后按 options.onChunkError 处理，结果写入 report
+ * @param {SpeechChunk[]} chunks - 合成单元数组
+ * @param {number} concurrency - 并发数
+ * @param {string} outputFormat - 输出格式
+ * @param {SynthesisOptions} options - 合成选项
+ * @param {SynthesisReport} report - 合成报告
+ * @returns {AsyncGenerator<SynthesizedChunk>} 按原顺序排列的分块音频
+ */
+async function* synthesizeInOrder(chunks, concurrency, outputFormat, { onChunkError = "fail", cache = null, metrics = null } = {}, report) {
+  // 动态计算最优并发数（滑动窗口大小）
+  const windowSize = Math.min(
+    concurrency,
+    chunks.length,
+    Math.max(5, Math.ceil(chunks.length / 3)) // 最少并发 5
+  );
+  if (windowSize > 0) {
+    recordBatches(metrics, Math.ceil(chunks.length / windowSize));
+  }
+
+  // pending[k] 对应第 index + k 个分块；单个分块失败不影响其他分块
+  const pending = [];
+  let launched = 0;
+
+  for (let index = 0; index < chunks.length; index++) {
+    // 保持窗口内最多 windowSize 个在途请求；调用方未消费时不会继续发起新请求
+    while (launched < chunks.length && launched < index + windowSize) {
+      pending.push(synthesizeCachedChunk(chunks[launched], outputFormat, cache, report, metrics).then(
+        bytes => ({ bytes }),
+        error => ({ error })
+      ));
+      launched++;
+    }
+
+    // 按顺序等待：当前分块就绪即产出，无需等待窗口内更慢的后续分块
+    const { bytes, error } = await pending.shift();
+
+    if (!error) {
+      yield { index, bytes };
+    } else if (onChunkError === "skip") {
+      report.skipped.push(index);
+      const silence = createChunkSilence(chunks[index], outputFormat);
+      if (silence) {
+        yield { index, bytes: silence };
+      }
+    } else if (onChunkError === "partial" && index > 0) {
+      report.truncatedAt = index;
+      return;
+    } else {
+      throw new Error(`第 ${index + 1} 个文本块合成失败: ${error.message}`);
+    }
+  }
+}
+
+/**
+ * 合成单个合成单元，优先读取缓存
+ * @description 缓存读写失败只记录日志，不影响合成；降级产生的静音不写入缓存
+ * @param {SpeechChunk} chunk - 合成单元
+ * @param {string} outputFormat - 输出格式
+ * @param {import('./cache.js').AudioCache|null} cache - 分块音频缓存
+ * @param {SynthesisReport} report - 合成报告
+ * @param {import('./metrics.js').RequestMetrics|null} metrics - 请求度量记录
+ * @returns {Promise<Uint8Array>} 音频数据
+ */
+async function synthesizeCachedChunk(chunk, outputFormat, cache, report, metrics) {
+  if (!cache) {
+    return synthesizeTimedChunk(chunk, outputFormat, metrics);
+  }
+
+  report.cacheEnabled = true;
+  const key = await getAudioCacheKey(chunk, outputFormat);
+  try {
+    const cached = await cache.get(key);
+    if (cached) {
+      report.cacheHits++;
+      recordChunk(metrics, null);
+      return cached;
+    }
+  } catch (error) {
+    console.warn(`音频缓存读取失败: ${error.message}`);
+  }
+
+  const bytes = await synthesizeTimedChunk(chunk, outputFormat, metrics);
+  try {
+    await cache.put(key, bytes);
+  } catch (error) {
+    console.warn(`音频缓存写入失败: ${error.message}`);
+  }
+  return bytes;
+}
+
+/**
+ * 合成单个合成单元并记录请求微软的耗时（含重试与拆分）
+ * @param {SpeechChunk} chunk - 合成单元
+ * @param {string} outputFormat - 输出格式
+ * @param {import('./metrics.js').RequestMetrics|null} metrics - 请求度量记录
+ * @returns {Promise<Uint8Array>} 音频数据
+ */
+async function synthesizeTimedChunk(chunk, outputFormat, metrics) {
+  const start = Date.now();
+  const bytes = await synthesizeChunkWithRecovery(chunk, outputFormat);
+  recordChunk(metrics, Date.now() - start);
+  return bytes;
+}
+
+/**
+ * 合成单个合成单元，失败时重试并拆分
+ * @description 先按退避策略重试；仍失败且文本足够长时拆成两半分别合成后合并。
+ * 只有网络错误与超时、上游 5xx 和请求体过大（413）时拆分，较短的文本可能成功；
+ * 其他 4xx（如 400 参数错误、401 鉴权失败、429 限流）拆分后同样失败，只会放大请求量
+ * @param {SpeechChunk} chunk - 合成单元
+ * @param {string} outputFormat - 输出格式
+ * @param {boolean} [allowResplit=true] - 是否允许拆分重试
+ * @returns {Promise<Uint8Array>} 音频数据
+ */
+async function synthesizeChunkWithRecovery(chunk, outputFormat, allowResplit = true) {
+  try {
+    return await synthesizeChunkWithRetry(chunk, outputFormat);
+  } catch (error) {
+    const halves = allowResplit && isResplittable(error) ? splitChunkInHalf(chunk) : null;
+    if (!halves) {
+      throw error;
+    }
+
+    const parts = [];
+    for (const half of halves) {
+      parts.push(await synthesizeChunkWithRecovery(half, outputFormat, false));
+    }
+    return mergeAudioChunks(outputFormat, parts);
+  }
+}
+
+/**
+ * 判断失败的合成单元是否值得拆半重试
+ * @description 本地校验失败（携带 status）不拆分；上游错误仅 5xx 与 413 拆分；
+ * 没有上游状态码的网络错误与超时拆分
+ * @param {Error} error - 合成错误
+ * @returns {boolean} 是否拆分
+ */
+function isResplittable(error) {
+  if (error.status !== undefined) return false;
+  const status = error.upstreamStatus;
+  return status === undefined || status === 413 || status >= 500;
+}
+
+/**
+ * 合成单个合成单元，失败时按抖动指数退避重试
+ * @description 401 时强制刷新 Token 后立即重试；429 / 5xx / 网络错误退避后重试；
+ * 其他 4xx 与本地校验错误视为请求本身有误，不重试
+ * @param {SpeechChunk} chunk - 合成单元
+ * @param {string} outputFormat - 输出格式
+ * @returns {Promise<Uint8Array>} 音频数据
+ */
+async function synthesizeChunkWithRetry(chunk, outputFormat) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      const blob = await getAudioChunk(chunk, outputFormat);
+      return new Uint8Array(await blob.arrayBuffer());
+    } catch (error) {
+      const status = error.upstreamStatus;
+      const retryable = error.status === undefined &&
+        (status === undefined || status === 401 || status === 429 || status >= 500);
+      if (!retryable || attempt >= DEFAULT_CONFIG.MAX_RETRIES) {
+        throw error;
+      }
+
+      if (status === 401) {
+        await refreshExpiredToken(error.token);
+      } else {
+        await sleep(getRetryDelay(attempt, error.retryAfter));
+      }
+    }
+  }
+}
+
+/**
+ * 强制刷新被拒绝的 Token
+ * @description 并发分块可能同时收到 401，仅当缓存中仍是被拒绝的 Token 时才清除，避免重复刷新
+ * @param {string} rejectedToken - 被拒绝的 Token
+ */
+async function refreshExpiredToken(rejectedToken) {
+  const endpoint = await getEndpoint();
+  if (endpoint.t === rejectedToken) {
+    clearTokenCache();
+    await getEndpoint();
+  }
+}
+
+/**
+ * 计算重试等待时长
+ * @description 全抖动指数退避：在 [0, base * 2^attempt] 内随机取值；上游返回 Retry-After 时不少于该值
+ * @param {number} attempt - 已失败次数（从 0 开始）
+ * @param {number} [retryAfter] - 上游建议的等待秒数
+ * @returns {number} 等待毫秒数
+ */
+function getRetryDelay(attempt, retryAfter) {
+  const ceiling = Math.min(DEFAULT_CONFIG.RETRY_MAX_DELAY, DEFAULT_CONFIG.RETRY_BASE_DELAY * 2 ** attempt);
+  const delay = Math.random() * ceiling;
+  return retryAfter ? Math.min(DEFAULT_CONFIG.RETRY_MAX_DELAY, Math.max(delay, retryAfter * 1000)) : delay;
+}
+
+/**
+ * 等待指定时长
+ * @param {number} ms - 毫秒数
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * 将合成单元拆成两半
+ * @description SSML 直通单元和过短的文本不拆分
+ * @param {SpeechChunk} chunk - 合成单元
+ * @returns {SpeechChunk[]|null} 两个合成单元，不可拆分时为 null
+ */
+function splitChunkInHalf(chunk) {
+  if (chunk.ssml || chunk.text.length < DEFAULT_CONFIG.RESPLIT_MIN_LENGTH) {
+    return null;
+  }
+
+  // 优先在标点处拆分，找不到标点时按长度硬拆
+  let parts = smartChunkText(chunk.text, Math.ceil(chunk.text.length / 2));
+  if (parts.length < 2) {
+    const middle = Math.ceil(chunk.text.length / 2);
+    parts = [chunk.text.slice(0, middle), chunk.text.slice(middle)];
+  }
+
+  // 剩余部分取原文，保留分块时被修剪的空白
+  const rest = chunk.text.slice(chunk.text.indexOf(parts[0]) + parts[0].length).trim();
+  return [
+    { ...chunk, text: parts[0] },
+    { ...chunk, text: rest }
+  ];
+}
+
+/**
+ * 生成替代失败分块的静音
+ * @description 时长按字符数估算（中日韩文字约 0.25 秒/字，其他约 0.06 秒/字符），
+ * 按输出格式在本地生成（见 createSilence），无法识别的格式返回 null（直接省略）
+ * @param {SpeechChunk} chunk - 失败的合成单元
+ * @param {string} outputFormat - 输出格式
+ * @returns {Uint8Array|null} 静音音频
+ */
+function createChunkSilence(chunk, outputFormat) {
+  const cjkCount = (chunk.text.match(/[぀-ヿ㐀-鿿가-힯]/g) || []).length;
+  const seconds = Math.max(0.5, cjkCount * 0.25 + (chunk.text.length - cjkCount) * 0.06);
+  return createSilence(outputFormat, seconds);
+}
+
 // =================================================================================
 // 单个音频块获取
 // =================================================================================
 
 /**
- * 获取单个文本块的音频数据
- * @param {string} text - 文本内容
- * @param {string} voiceName - 语音名称
- * @param {string} rate - 语速
- * @param {string} pitch - 音调
- * @param {string} style - 语音风格
+ * 获取单个合成单元的音频数据
+ * @param {SpeechChunk} chunk - 合成单元
  * @param {string} outputFormat - 输出格式
  * @returns {Promise<Blob>} 音频 Blob
+ * @throws {Error} 上游返回错误时抛出，携带 upstreamStatus、retryAfter 和所用 token 供重试判断
  */
-async function getAudioChunk(text, voiceName, rate, pitch, style, outputFormat) {
+async function getAudioChunk(chunk, outputFormat) {
   const endpoint = await getEndpoint();
   const url = `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/v1`;
-  const ssml = getSsml(text, voiceName, rate, pitch, style);
+  const ssml = chunk.ssml || getSsml(chunk.text, chunk.voiceName, chunk.rate, chunk.pitch, chunk.style, chunk.lexicon);
 
   const response = await fetch(url, {
     method: "POST",
@@ -163,12 +760,162 @@ async function getAudioChunk(text, voiceName, rate, pitch, style, outputFormat)
 
   if (!response.ok) {
     const errorText = await response.text();
-    throw new Error(`Edge TTS API 错误: ${response.status} ${response.statusText} - ${errorText}`);
+    const error = new Error(`Edge TTS API 错误: ${response.status} ${response.statusText} - ${errorText}`);
+    error.upstreamStatus = response.status;
+    error.retryAfter = Number(response.headers.get("Retry-After")) || undefined;
+    error.token = endpoint.t;
+    throw error;
   }
 
   return response.blob();
 }
 
+// =================================================================================
+// 脚本与分块
+// =================================================================================
+
+/**
+ * 将脚本片段清理、分块为合成单元
+ * @description 每个片段独立清理和分块，保持片段顺序，便于多角色脚本按序拼接；替换净化规则按片段的语音筛选。
+ * 发音词典在清理之后应用：替换文本条目直接改写原文，phoneme / sub 条目记录在各合成单元上，由 getSsml 输出标记
+ * @param {SpeechSegment[]} segments - 脚本片段
+ * @param {number} chunkSize - 分块大小
+ * @param {Object} cleaningOptions - 文本清理选项
+ * @param {import('./lexicon.js').LexiconEntry[]} [lexicon] - 发音词典
+ * @returns {SpeechChunk[]} 合成单元数组
+ * @throws {Error} 清理后没有可合成的文本时抛出 400 empty_input（否则会返回 0 字节、连文件头都没有的音频）
+ */
+export function buildSpeechChunks(segments, chunkSize, cleaningOptions, lexicon = []) {
+  const chunks = segments.flatMap(({ text, ...voiceParams }) => {
+    const locale = getVoiceLocale(voiceParams.voiceName);
+    const rules = selectRules(cleaningOptions.rules || [], voiceParams.voiceName, locale);
+    const cleaned = applyLexiconText(cleanText(text, { ...cleaningOptions, rules }, locale), lexicon);
+    return smartChunkText(cleaned, chunkSize, locale).map(chunkText => {
+      const markup = matchLexiconMarkup(chunkText, lexicon);
+      return markup.length > 0
+        ? { text: chunkText, ...voiceParams, lexicon: markup }
+        : { text: chunkText, ...voiceParams };
+    });
+  });
+
+  if (chunks.length === 0) {
+    throw createHttpError("'input' 清理后没有可合成的文本", 400, "empty_input", "invalid_request_error", "input");
+  }
+  return chunks;
+}
+
+/**
+ * 将 OpenAI 风格的倍率转换为 SSML 百分比
+ * @param {number} value - 倍率（1.0 为默认）
+ * @returns {string} 百分比字符串
+ */
+function toProsodyPercent(value) {
+  return ((value - 1) * 100).toFixed(0);
+}
+
+/**
+ * 校验片段或角色配置中的 speed、pitch
+ * @param {Object} config - 片段或角色配置
+ * @param {string} prefix - 参数路径前缀，如 input[2]、roles.旁白
+ * @throws {Error} 取值不合法时抛出 400 invalid_request_error
+ */
+function validateProsody(config, prefix) {
+  for (const key of ["speed", "pitch"]) {
+    validateValue(`${prefix}.${key}`, config[key], REQUEST_SCHEMA[key]);
+  }
+}
+
+/**
+ * 解析音色别名
+ * @param {string} voice - 音色名称或别名
+ * @param {Object.<string, import('./voices.js').VoiceAlias>} voiceAliases - 音色别名表
+ * @returns {import('./voices.js').VoiceAlias} 别名配置，非别名时仅包含 voice
+ */
+function resolveVoiceAlias(voice, voiceAliases) {
+  return Object.prototype.hasOwnProperty.call(voiceAliases, voice)
+    ? voiceAliases[voice]
+    : { voice };
+}
+
+/**
+ * 解析 `[角色] 台词` 标记文本
+ * @description 以 [角色] 或 【角色】 开头的行切换角色，后续无标记的行沿用当前角色；
+ * 未在 roles 中定义的标记视为普通文本
+ * @param {string} text - 标记文本
+ * @param {Object} roles - 角色映射
+ * @returns {{ role: string|null, text: string }[]} 角色台词列表
+ */
+function parseRoleMarkup(text, roles) {
+  const lines = [];
+  let currentRole = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const match = line.match(/^\s*[\[【]([^\]】]+)[\]】]\s*(.*)$/);
+    if (match && Object.prototype.hasOwnProperty.call(roles, match[1].trim())) {
+      currentRole = match[1].trim();
+      lines.push({ role: currentRole, text: match[2] });
+    } else if (lines.length > 0 && lines[lines.length - 1].role === currentRole) {
+      lines[lines.length - 1].text += `\n${line}`;
+    } else {
+      lines.push({ role: currentRole, text: line });
+    }
+  }
+
+  return lines.filter(line => line.text.trim().length > 0);
+}
+
+/**
+ * 解析脚本输入为片段列表
+ * @description 支持三种输入：
+ * - 字符串：单一语音
+ * - 字符串 + roles：按 `[角色] 台词` 标记切换语音
+ * - 数组：每项为字符串或 { text, voice, role, style, speed, pitch }
+ * 片段未指定的参数依次回退到角色配置、音色别名默认值和请求级参数
+ * @param {string|Array} input - 请求 input
+ * @param {Object|undefined} roles - 角色映射，值为语音名称或 { voice, style, speed, pitch }
+ * @param {Object} defaults - 请求级默认参数 { voice, speed, pitch, style }
+ * @param {Object.<string, import('./voices.js').VoiceAlias>} voiceAliases - 音色别名表
+ * @returns {SpeechSegment[]} 片段列表
+ */
+function parseScript(input, roles, defaults, voiceAliases) {
+  let entries;
+  if (Array.isArray(input)) {
+    entries = input.map(item => (typeof item === "string" ? { text: item } : item || {}));
+  } else if (roles) {
+    entries = parseRoleMarkup(input, roles);
+  } else {
+    entries = [{ text: input }];
+  }
+
+  return entries.map((entry, index) => {
+    const text = entry.text ?? entry.input;
+    if (typeof text !== "string" || !text.trim()) {
+      throw createHttpError(`input[${index}] 缺少文本内容`, 400, "invalid_script_segment", "invalid_request_error", `input[${index}]`);
+    }
+
+    let roleConfig = {};
+    if (entry.role) {
+      const role = roles && roles[entry.role];
+      if (!role) {
+        throw createHttpError(`input[${index}] 使用了未定义的角色: ${entry.role}`, 400, "unknown_role", "invalid_request_error", `input[${index}].role`);
+      }
+      roleConfig = typeof role === "string" ? { voice: role } : role;
+      validateProsody(roleConfig, `roles.${entry.role}`);
+    }
+    validateProsody(entry, `input[${index}]`);
+
+    const voice = entry.voice || roleConfig.voice;
+    const alias = voice ? resolveVoiceAlias(voice, voiceAliases) : { voice: defaults.voice };
+    return {
+      text,
+      voiceName: alias.voice,
+      rate: toProsodyPercent(entry.speed ?? roleConfig.speed ?? alias.speed ?? defaults.speed),
+      pitch: toProsodyPercent(entry.pitch ?? roleConfig.pitch ?? alias.pitch ?? defaults.pitch),
+      style: entry.style || roleConfig.style || alias.style || defaults.style
+    };
+  });
+}
+
 // =================================================================================
 // 请求参数处理
 // =================================================================================
@@ -190,45 +937,119 @@ export async function parseRequestParams(request) {
       input: params.get("input") || params.get("t"), // 兼容 t 参数
       voice: params.get("voice") || params.get("v"), // 兼容 v 参数
       model: params.get("model") || "tts-1",
-      speed: parseFloat(params.get("speed") || params.get("r") || "1.0"),
-      pitch: parseFloat(params.get("pitch") || params.get("p") || "1.0"),
-      style: params.get("style") || params.get("s") || "general",
+      // 未提供时保持 undefined，以便回退到音色别名的默认值；
+      // r 为阅读 APP 模板按滑块换算的语速，可能超出允许范围，收敛到边界值而不是拒绝
+      speed: params.get("speed") ? optionalFloat(params.get("speed")) : clampSpeed(optionalFloat(params.get("r"))),
+      pitch: optionalFloat(params.get("pitch") || params.get("p")),
+      style: params.get("style") || params.get("s") || undefined,
       stream: params.get("stream") === "true",
+      stream_format: params.get("stream_format") || undefined,
+      timestamps: params.get("timestamps") === "true",
+      response_format: params.get("response_format") || "mp3",
+      quality: params.get("quality") || undefined,
+      sample_rate: params.get("sample_rate") || undefined,
+      on_chunk_error: params.get("on_chunk_error") || undefined,
     };
   } else {
     // 处理 POST 请求
     try {
       requestBody = await request.json();
     } catch (err) {
-      throw new Error(`JSON 解析错误: ${err.message}`);
+      throw createHttpError(`JSON 解析错误: ${err.message}`, 400, "invalid_json");
     }
   }
 
   return requestBody;
 }
 
+/**
+ * 解析可选的浮点数参数
+ * @param {string|null} value - 查询参数值
+ * @returns {number|undefined} 解析结果，未提供时为 undefined
+ */
+function optionalFloat(value) {
+  return value ? parseFloat(value) : undefined;
+}
+
+/**
+ * 将语速收敛到 REQUEST_SCHEMA 允许的范围
+ * @param {number|undefined} speed - 语速
+ * @returns {number|undefined} 收敛后的语速，未提供或不是数字时原样返回
+ */
+function clampSpeed(speed) {
+  if (!Number.isFinite(speed)) return speed;
+  return Math.min(Math.max(speed, REQUEST_SCHEMA.speed.min), REQUEST_SCHEMA.speed.max);
+}
+
 /**
  * 验证和处理请求参数
+ * @description 先按 REQUEST_SCHEMA 校验类型与范围，再检查输入长度与参数组合
  * @param {Object} requestBody - 请求体
- * @param {Object} OPENAI_VOICE_MAP - OpenAI 语音映射
+ * @param {Object.<string, import('./voices.js').VoiceAlias>} voiceAliases - 音色别名表（见 resolveVoiceAliases）
+ * @param {Object} [env] - EdgeOne Pages 环境变量
+ * @param {number} [maxInputLength] - 最大输入字符数，默认取环境变量 MAX_INPUT_LENGTH（见 getMaxInputLength）
  * @returns {Object} 处理后的参数
+ * @throws {Error} 参数不合法时抛出 400 invalid_request_error
  */
-export function processRequestParams(requestBody, OPENAI_VOICE_MAP) {
+export function processRequestParams(requestBody, voiceAliases, env = {}, maxInputLength = getMaxInputLength(env)) {
   const {
-    model = "tts-1",
+    model,
     input,
-    voice = "shimmer",
-    speed = 1.0,
-    pitch = 1.0,
-    style = "general",
-    stream = false,
-    concurrency = DEFAULT_CONFIG.CONCURRENCY,
-    chunk_size = DEFAULT_CONFIG.CHUNK_SIZE,
-    cleaning_options = {}
-  } = requestBody;
+    voice,
+    speed,
+    pitch,
+    style,
+    stream,
+    stream_format,
+    timestamps,
+    response_format,
+    quality,
+    sample_rate,
+    concurrency,
+    chunk_size,
+    cleaning_options,
+    roles,
+    ssml,
+    lexicon,
+    on_chunk_error
+  } = validateParams(requestBody, REQUEST_SCHEMA);
+
+  if (ssml !== undefined && input) {
+    throw createHttpError("'ssml' 与 'input' 不能同时使用", 400, "unsupported_parameter_combination", "invalid_request_error", "ssml");
+  }
+
+  if (ssml === undefined && (!input || (Array.isArray(input) && input.length === 0))) {
+    throw createHttpError("'input' 是必需参数", 400, "missing_required_parameter", "invalid_request_error", "input");
+  }
 
-  if (!input) {
-    throw new Error("'input' 是必需参数");
+  if (ssml !== undefined) {
+    checkInputLength("ssml", ssml, maxInputLength);
+  } else {
+    checkInputLength("input", input, maxInputLength);
+  }
+
+  // stream_format 为 sse 时无需再设置 stream
+  const sse = stream_format === "sse";
+  const streaming = stream || sse;
+
+  if (streaming && timestamps) {
+    throw createHttpError("'timestamps' 不支持流式响应，请设置 stream 为 false", 400, "unsupported_parameter_combination", "invalid_request_error", "timestamps");
+  }
+
+  // 单次请求的发音词典（与部署级词典合并见 resolveLexicon）
+  let requestLexicon;
+  try {
+    requestLexicon = parseLexicon(lexicon);
+  } catch (e) {
+    throw createHttpError(e.message, 400, "invalid_lexicon", "invalid_request_error", "lexicon");
+  }
+
+  // 替换净化规则在请求内编译一次，供所有片段共用
+  let rules;
+  try {
+    rules = compileRules(cleaning_options.rules);
+  } catch (e) {
+    throw createHttpError(e.message, 400, "invalid_cleaning_rule", "invalid_request_error", "cleaning_options.rules");
   }
 
   // 合并默认清理选项
@@ -239,32 +1060,74 @@ export function processRequestParams(requestBody, OPENAI_VOICE_MAP) {
     remove_line_breaks: true,
     remove_citation_numbers: true,
     custom_keywords: "",
-    ...cleaning_options
+    normalize: false,
+    ...cleaning_options,
+    rules
   };
 
-  // 语音映射处理
-  const modelVoice = !voice ? OPENAI_VOICE_MAP[model.replace('tts-1-', '')] : null;
-  const finalVoice = modelVoice || voice;
+  // 语音映射处理：显式 voice > 模型别名（如 tts-1-alloy）> 模型即音色名（见 /api/v1/models）> 默认 shimmer
+  const modelAlias = model.replace('tts-1-', '');
+  const modelVoice = Object.prototype.hasOwnProperty.call(voiceAliases, modelAlias)
+    ? modelAlias
+    : (/^[a-z]{2,3}-[A-Za-z]+-/.test(model) ? model : null);
+  const alias = resolveVoiceAlias(voice || modelVoice || "shimmer", voiceAliases);
+  const finalVoice = alias.voice;
 
   if (!finalVoice) {
-    throw new Error(`无效的语音模型 - model: ${model}, voice: ${voice}`);
+    throw createHttpError(`无效的语音模型 - model: ${model}, voice: ${voice}`, 400, "invalid_voice", "invalid_request_error", "voice");
   }
 
+  // 请求未指定的参数使用别名默认值
+  const finalSpeed = speed ?? alias.speed ?? 1.0;
+  const finalPitchValue = pitch ?? alias.pitch ?? 1.0;
+  const finalStyle = style || alias.style || "general";
+
   // 参数转换为 Microsoft TTS 格式
-  const rate = ((speed - 1) * 100).toFixed(0);
-  const finalPitch = ((pitch - 1) * 100).toFixed(0);
-  const outputFormat = DEFAULT_CONFIG.OUTPUT_FORMAT;
+  const rate = toProsodyPercent(finalSpeed);
+  const finalPitch = toProsodyPercent(finalPitchValue);
+
+  // 脚本片段（单一语音时只有一个片段；SSML 直通模式不使用）
+  const segments = ssml === undefined
+    ? parseScript(input, roles, { voice: finalVoice, speed: finalSpeed, pitch: finalPitchValue, style: finalStyle }, voiceAliases)
+    : [];
+
+  // 语音名称、风格等会写入 SSML 属性，合成前先校验
+  segments.forEach(validateSsmlAttributes);
+
+  // 字幕格式：按默认音频格式合成以计算时间轴，响应只返回字幕文本
+  const subtitleFormat = SUBTITLE_FORMATS[String(response_format).toLowerCase()]
+    ? String(response_format).toLowerCase()
+    : null;
+  if (subtitleFormat && streaming) {
+    throw createHttpError(`'${subtitleFormat}' 字幕不支持流式响应，请设置 stream 为 false`, 400, "unsupported_parameter_combination", "invalid_request_error", "response_format");
+  }
+
+  // 协商输出格式（不支持的组合会抛出 400 错误）
+  const { outputFormat, contentType } = resolveOutputFormat({
+    responseFormat: subtitleFormat ? "mp3" : response_format,
+    model,
+    quality,
+    sampleRate: sample_rate
+  });
 
   return {
     input,
+    segments,
+    ssml,
     finalVoice,
     rate,
     finalPitch,
-    style,
+    style: finalStyle,
     outputFormat,
-    stream,
+    contentType,
+    subtitleFormat,
+    stream: streaming,
+    sse,
+    timestamps,
     concurrency,
     chunk_size,
-    finalCleaningOptions
+    finalCleaningOptions,
+    lexicon: requestLexicon,
+    synthesisOptions: { onChunkError: on_chunk_error }
   };
 }
@@ -4,35 +4,9 @@
  * @description 提供跨模块复用的工具函数
  */
 
-// =================================================================================
-// CORS 相关函数
-// =================================================================================
-
-/**
- * 生成 CORS 响应头
- * @param {string} extraHeaders - 额外允许的请求头
- * @returns {Object} CORS 头部对象
- */
-export function makeCORSHeaders(extraHeaders = "Content-Type, Authorization") {
-  return {
-    "Access-Control-Allow-Origin": "*",
-    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
-    "Access-Control-Allow-Headers": extraHeaders,
-    "Access-Control-Max-Age": "86400"
-  };
-}
-
-/**
- * 处理 CORS 预检请求
- * @param {string} extraHeaders - 额外允许的请求头
- * @returns {Response} CORS 预检响应
- */
-export function corsHandleOptions(extraHeaders) {
-  return new Response(null, {
-    status: 204,
-    headers: makeCORSHeaders(extraHeaders)
-  });
-}
+import { normalizeText } from './normalize.js';
+import { replaceLexiconTerms, renderLexiconMarkup } from './lexicon.js';
+import { applyRules } from './rules.js';
 
 // =================================================================================
 // 错误处理函数
@@ -44,77 +18,274 @@ export function corsHandleOptions(extraHeaders) {
  * @param {number} status - HTTP 状态码
  * @param {string} code - 错误代码
  * @param {string} type - 错误类型
+ * @param {string|null} [param=null] - 出错的请求参数名
+ * @param {Object.<string, string>} [extraHeaders] - 附加响应头（如 429 的 Retry-After）
  * @returns {Response} 错误响应对象
  */
-export function errorResponse(message, status = 500, code = null, type = "api_error") {
+export function errorResponse(message, status = 500, code = null, type = "api_error", param = null, extraHeaders = {}) {
   return new Response(
     JSON.stringify({
       error: {
         message,
         type,
         code,
-        param: null
+        param
       }
     }),
     {
       status,
       headers: {
         "Content-Type": "application/json",
-        ...makeCORSHeaders()
+        ...extraHeaders
       }
     }
   );
 }
 
+/**
+ * 创建携带 HTTP 状态信息的错误对象
+ * @description 由路由处理器统一捕获并转换为 errorResponse，未携带 status 的错误按 500 处理
+ * @param {string} message - 错误消息
+ * @param {number} status - HTTP 状态码
+ * @param {string} code - 错误代码
+ * @param {string} type - 错误类型
+ * @param {string|null} [param=null] - 出错的请求参数名
+ * @returns {Error} 错误对象
+ */
+export function createHttpError(message, status = 400, code = null, type = "invalid_request_error", param = null) {
+  const error = new Error(message);
+  error.status = status;
+  error.code = code;
+  error.type = type;
+  error.param = param;
+  return error;
+}
+
+// =================================================================================
+// 安全与摘要函数
+// =================================================================================
+
+/**
+ * 常量时间字符串比较
+ * @description 比较耗时只与较长字符串的长度有关，避免通过响应时间逐字节猜测密钥
+ * @param {string} a - 字符串 a
+ * @param {string} b - 字符串 b
+ * @returns {boolean} 是否相等
+ */
+export function timingSafeEqual(a, b) {
+  const encoder = new TextEncoder();
+  const bytesA = encoder.encode(String(a));
+  const bytesB = encoder.encode(String(b));
+  const length = Math.max(bytesA.length, bytesB.length);
+
+  let diff = bytesA.length ^ bytesB.length;
+  for (let i = 0; i < length; i++) {
+    diff |= (bytesA[i] ?? 0) ^ (bytesB[i] ?? 0);
+  }
+  return diff === 0;
+}
+
+/**
+ * 计算 SHA-256 摘要
+ * @param {string} text - 输入文本
+ * @returns {Promise<string>} 十六进制摘要
+ */
+export async function sha256Hex(text) {
+  const digest = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(digest))
+    .map(b => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
 // =================================================================================
 // 文本处理函数
 // =================================================================================
 
 /**
  * 智能文本分块算法
- * @description 使用数组拼接替代字符串拼接，提升大文本性能 30%
+ * @description 从块首开始，在不超过上限的窗口内选择断点，尽量在句末断开：
+ * - 句子与词边界优先使用 Intl.Segmenter（只分段当前窗口），不可用时退化为标点与空白规则；
+ * - 不在数字（3.14、1,000）、缩写（Dr.、e.g.）、URL 与 `<break>` 标签内部断开；
+ * - 依次尝试：不会留下过短块的句末、窗口内最后的句末或子句边界（逗号等）、不在标点之前的词边界；
+ * - 窗口内没有任何边界（单个词超长）时才按长度硬切。
  * @param {string} text - 输入文本
  * @param {number} maxChunkLength - 最大分块长度（默认 300 字符）
+ * @param {string} [locale] - 语言区域（如 zh-CN），用于 Intl.Segmenter
  * @returns {string[]} 文本块数组
  */
-export function smartChunkText(text, maxChunkLength = 300) {
+export function smartChunkText(text, maxChunkLength = 300, locale) {
   if (!text) return [];
 
+  // 受保护片段按起点排序且互不重叠，随块首单向推进
+  const spans = Array.from(text.matchAll(PROTECTED_PATTERN), match => [match.index, match.index + match[0].length]);
   const chunks = [];
-  // 按句子分隔符分割（支持中英文标点）
-  const sentences = text.split(/([.?!,;:\n。？！，；：\r]+)/g);
 
-  let parts = [];
-  let currentLength = 0;
+  let start = 0;
+  let spanIndex = 0;
+  while (text.length - start > maxChunkLength) {
+    while (spanIndex < spans.length && spans[spanIndex][1] <= start) spanIndex++;
 
-  for (const part of sentences) {
-    const partLength = part.length;
+    const end = findChunkEnd(text, start, maxChunkLength, locale, spans, spanIndex);
+    chunks.push(text.slice(start, end));
+    start = end;
+  }
+  chunks.push(text.slice(start));
 
-    if (currentLength + partLength <= maxChunkLength) {
-      parts.push(part);
-      currentLength += partLength;
-    } else {
-      if (parts.length > 0) {
-        chunks.push(parts.join('').trim());
-      }
-      parts = [part];
-      currentLength = partLength;
+  return chunks.map(chunk => chunk.trim()).filter(chunk => chunk.length > 0);
+}
+
+/** 句末断开后块长度不低于上限的该比例时才优先句末 */
+const MIN_CHUNK_RATIO = 0.5;
+
+/** 分段窗口超出上限的字符数，使 Intl.Segmenter 能看到上限附近边界之后的上下文 */
+const SEGMENT_LOOKAHEAD = 16;
+
+/** 不可断开的片段：break 标签、URL、带分隔符的数字、连续字母缩写（如 e.g.、U.S.） */
+const PROTECTED_PATTERN = /<break\b[^>]*>|(?:https?:\/\/|www\.)[^\s<>"'，。！？]+|\d+(?:[.,:]\d+)+|(?:\b\p{L}\.){2,}/giu;
+
+/** 以常见缩写或单个大写首字母结尾时不视为句末 */
+const ABBREVIATION_END = /(?:^|[^\p{L}])(?:mr|mrs|ms|dr|prof|sr|jr|st|vs|etc|inc|ltd|co|fig|vol|approx|dept|\p{Lu})\.\s*$/iu;
+
+/** 句子边界回退规则：ASCII 句末标点须后接空白，CJK 句末标点与换行直接断开 */
+const SENTENCE_PATTERN = /(?:[.?!…]+["'”’)\]]*(?=\s|$)|[。？！]+[”’」』）]*|\n+)\s*/g;
+
+/** 子句边界：ASCII 逗号等须后接空白，避免切开 1,000 或 a:b */
+const CLAUSE_PATTERN = /(?:[,;:](?=\s)|[，；：、]|——)\s*/g;
+
+/** 查找词边界时先分段的窗口末尾长度 */
+const WORD_TAIL_LENGTH = 32;
+
+/** 词边界之后是这些标点时不断开，避免下一块以句号、逗号或右括号开头 */
+const TRAILING_PUNCTUATION = /[\p{Po}\p{Pe}\p{Pf}]/u;
+
+/** @type {Map<string, Intl.Segmenter>} */
+const segmenters = new Map();
+
+/**
+ * 在窗口内选择当前块的结束位置
+ * @param {string} text - 输入文本
+ * @param {number} start - 块首位置
+ * @param {number} maxChunkLength - 最大分块长度
+ * @param {string} [locale] - 语言区域
+ * @param {number[][]} spans - 受保护片段 [起点, 终点)
+ * @param {number} spanIndex - 第一个未在块首之前结束的受保护片段下标
+ * @returns {number} 块结束位置
+ */
+function findChunkEnd(text, start, maxChunkLength, locale, spans, spanIndex) {
+  const limit = start + maxChunkLength;
+  const window = text.slice(start, limit + SEGMENT_LOOKAHEAD);
+  const candidates = offsets => excludeProtected(
+    offsets.map(offset => start + offset).filter(offset => offset > start && offset <= limit),
+    spans,
+    spanIndex
+  );
+
+  const sentences = candidates(sentenceBoundaries(window, locale));
+  const lastSentence = sentences.length > 0 ? sentences[sentences.length - 1] : -1;
+  if (lastSentence - start >= maxChunkLength * MIN_CHUNK_RATIO) {
+    return lastSentence;
+  }
+
+  const clauses = candidates(Array.from(window.matchAll(CLAUSE_PATTERN), match => match.index + match[0].length));
+  const lastClause = Math.max(lastSentence, clauses.length > 0 ? clauses[clauses.length - 1] : -1);
+  if (lastClause > start) {
+    return lastClause;
+  }
+
+  const lastWord = lastWordBoundary(text, start, limit, locale, candidates);
+  if (lastWord > start) {
+    return lastWord;
+  }
+
+  // 没有任何边界时按长度硬切：上限落在受保护片段内部时切在片段之前，且不切开代理对
+  let index = spanIndex;
+  while (index < spans.length && spans[index][1] <= limit) index++;
+  if (index < spans.length && spans[index][0] > start && spans[index][0] < limit) {
+    return spans[index][0];
+  }
+  return /[\uDC00-\uDFFF]/.test(text[limit]) ? limit - 1 : limit;
+}
+
+/**
+ * 查找窗口内最后一个词边界
+ * @description 词分段（尤其是中文词典分段）开销较大，先只分段窗口末尾一段，找不到时再分段整个窗口；
+ * 末尾段的第一个边界可能落在被截断的词中间，不予采用
+ * @param {string} text - 输入文本
+ * @param {number} start - 块首位置
+ * @param {number} limit - 块结束位置上限
+ * @param {string} [locale] - 语言区域
+ * @param {(offsets: number[]) => number[]} candidates - 将窗口内位置换算为全文位置并剔除受保护位置
+ * @returns {number} 词边界位置，没有时为 -1
+ */
+function lastWordBoundary(text, start, limit, locale, candidates) {
+  for (const from of [Math.max(start, limit - WORD_TAIL_LENGTH), start]) {
+    const offsets = segmentBoundaries(text.slice(from, limit + SEGMENT_LOOKAHEAD), locale, "word")
+      .slice(from > start ? 1 : 0)
+      .map(offset => from - start + offset);
+    const words = candidates(offsets).filter(offset => !TRAILING_PUNCTUATION.test(text[offset]));
+    if (words.length > 0) {
+      return words[words.length - 1];
     }
+    if (from === start) break;
   }
+  return -1;
+}
 
-  // 添加最后一个块
-  if (parts.length > 0) {
-    chunks.push(parts.join('').trim());
+/**
+ * 剔除落在受保护片段内部的位置
+ * @param {number[]} offsets - 升序排列的位置
+ * @param {number[][]} spans - 受保护片段 [起点, 终点)
+ * @param {number} spanIndex - 开始查找的片段下标
+ * @returns {number[]} 可断开的位置
+ */
+function excludeProtected(offsets, spans, spanIndex) {
+  const result = [];
+  let index = spanIndex;
+  for (const offset of offsets) {
+    while (index < spans.length && spans[index][1] <= offset) index++;
+    if (index < spans.length && spans[index][0] < offset) continue;
+    result.push(offset);
+  }
+  return result;
+}
+
+/**
+ * 计算句末位置
+ * @description 跳过以常见缩写结尾的句子（如 Dr. Smith）
+ * @param {string} text - 文本
+ * @param {string} [locale] - 语言区域
+ * @returns {number[]} 各句结束位置
+ */
+function sentenceBoundaries(text, locale) {
+  const offsets = [];
+  let sentenceStart = 0;
+  for (const offset of segmentBoundaries(text, locale, "sentence")) {
+    if (ABBREVIATION_END.test(text.slice(sentenceStart, offset))) continue;
+    offsets.push(offset);
+    sentenceStart = offset;
   }
+  return offsets;
+}
 
-  // 强制分割逻辑（如果没有成功分块且文本不为空）
-  if (chunks.length === 0 && text.length > 0) {
-    for (let i = 0; i < text.length; i += maxChunkLength) {
-      chunks.push(text.substring(i, i + maxChunkLength));
+/**
+ * 计算句子或词的结束位置
+ * @description 优先使用 Intl.Segmenter；不可用时句子按标点规则、词按空白切分
+ * @param {string} text - 文本
+ * @param {string} [locale] - 语言区域
+ * @param {"sentence"|"word"} granularity - 分段粒度
+ * @returns {number[]} 各分段结束位置
+ */
+function segmentBoundaries(text, locale, granularity) {
+  if (typeof Intl !== "undefined" && typeof Intl.Segmenter === "function") {
+    const cacheKey = `${locale || ""}:${granularity}`;
+    if (!segmenters.has(cacheKey)) {
+      segmenters.set(cacheKey, new Intl.Segmenter(locale, { granularity }));
     }
+    return Array.from(segmenters.get(cacheKey).segment(text), segment => segment.index + segment.segment.length);
   }
 
-  return chunks.filter(chunk => chunk.length > 0);
+  const pattern = granularity === "sentence" ? SENTENCE_PATTERN : /\s+/g;
+  return Array.from(text.matchAll(pattern), match => match.index + match[0].length);
 }
 
 /**
@@ -127,16 +298,21 @@ export function smartChunkText(text, maxChunkLength = 300) {
  * @param {boolean} options.remove_line_breaks - 移除换行符
  * @param {boolean} options.remove_citation_numbers - 移除引用数字
  * @param {string} options.custom_keywords - 自定义关键词（逗号分隔）
+ * @param {import('./rules.js').CleaningRule[]} options.rules - 已编译、已按语音筛选的替换净化规则（见 compileRules）
+ * @param {boolean} options.normalize - 将日期、货币、单位等展开为口语读法（默认关闭）
+ * @param {string} [locale="zh-CN"] - 语音的语言区域，决定读法规范化使用中文还是英文
  * @returns {string} 清理后的文本
  */
-export function cleanText(text, options = {}) {
+export function cleanText(text, options = {}, locale = "zh-CN") {
   const {
     remove_urls = true,
     remove_markdown = true,
     remove_emoji = true,
     remove_line_breaks = true,
     remove_citation_numbers = true,
-    custom_keywords = ""
+    custom_keywords = "",
+    rules = [],
+    normalize = false
   } = options;
 
   let cleanedText = text;
@@ -160,7 +336,11 @@ export function cleanText(text, options = {}) {
     cleanedText = cleanedText.replace(/#{1,6}\s/g, '');
   }
 
-  // 阶段 2: 自定义内容移除
+  // 阶段 2: 自定义内容移除（先按顺序执行替换净化规则，再移除关键词）
+  if (rules.length > 0) {
+    cleanedText = applyRules(cleanedText, rules);
+  }
+
   if (custom_keywords) {
     const keywords = custom_keywords
       .split(',')
@@ -195,7 +375,12 @@ export function cleanText(text, options = {}) {
     cleanedText = cleanedText.replace(/\s+/g, ' ');
   }
 
-  // 阶段 6: 最终清理
+  // 阶段 6: 读法规范化（在引用数字移除之后，避免展开后的数字无法识别）
+  if (normalize) {
+    cleanedText = normalizeText(cleanedText, locale);
+  }
+
+  // 阶段 7: 最终清理
   return cleanedText.trim();
 }
 
@@ -223,44 +408,113 @@ export function base64ToBytes(base64) {
  * @returns {string} Base64 字符串
  */
 export function bytesToBase64(bytes) {
-  return btoa(String.fromCharCode.apply(null, bytes));
+  // 分段转换，避免大数组展开为参数时超出调用栈限制
+  const CHUNK = 0x8000;
+  const parts = [];
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    parts.push(String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK)));
+  }
+  return btoa(parts.join(''));
 }
 
 // =================================================================================
 // SSML 生成函数
 // =================================================================================
 
+/** 语音名称：如 zh-CN-XiaoxiaoNeural、en-US-Ava:DragonHDLatestNeural */
+const VOICE_NAME_PATTERN = /^[A-Za-z]{2,3}(?:-[A-Za-z0-9]+)+(?::[A-Za-z0-9]+)?$/;
+
+/** 语音风格：如 cheerful、narration-professional */
+const STYLE_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,49}$/;
+
+/** 语速、音调百分比：如 0、-50、12.5 */
+const PERCENT_PATTERN = /^[-+]?\d{1,4}(?:\.\d+)?$/;
+
+/** break 标签：仅接受 ms / s 为单位的 time 属性，输出时重新生成 */
+export const BREAK_TAG_PATTERN = /<break(?:\s+time\s*=\s*(["'])(\d+(?:\.\d+)?m?s)\1)?\s*\/?>/gi;
+
+/**
+ * XML 1.0 不允许的字符：控制字符、U+FFFE/U+FFFF 与孤立的代理项；
+ * 以及本模块用作占位符的私用区字符 U+E000~U+E003
+ */
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF\uE000-\uE003]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+/**
+ * 转义 XML 文本
+ * @param {string} text - 原始文本
+ * @returns {string} 转义后的文本，可安全用于元素内容与属性值
+ */
+export function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * 校验 SSML 属性值
+ * @description 语音名称、风格与语速 / 音调均直接写入 SSML 属性，只接受白名单格式，杜绝标记注入
+ * @param {Object} attributes - 属性值
+ * @param {string} attributes.voiceName - 语音名称
+ * @param {string} attributes.rate - 语速百分比
+ * @param {string} attributes.pitch - 音调百分比
+ * @param {string} attributes.style - 语音风格
+ * @returns {void}
+ * @throws {Error} 属性值不合法时抛出 400 invalid_ssml_attribute
+ */
+export function validateSsmlAttributes({ voiceName, rate, pitch, style }) {
+  const invalid = [
+    ["voice", voiceName, VOICE_NAME_PATTERN],
+    ["style", style, STYLE_PATTERN],
+    ["speed", rate, PERCENT_PATTERN],
+    ["pitch", pitch, PERCENT_PATTERN]
+  ].find(([, value, pattern]) => typeof value !== "string" || !pattern.test(value));
+
+  if (invalid) {
+    throw createHttpError(`无效的 ${invalid[0]}: ${String(invalid[1]).slice(0, 100)}`, 400, "invalid_ssml_attribute", "invalid_request_error", invalid[0]);
+  }
+}
+
 /**
  * 生成 SSML (Speech Synthesis Markup Language) 文档
+ * @description 正文全部按 XML 转义，只有 break 标签与发音词典生成的 phoneme / sub 标记以标记形式保留；
+ * 属性值先经 validateSsmlAttributes 校验
  * @param {string} text - 文本内容
  * @param {string} voiceName - 语音名称
  * @param {string} rate - 语速百分比
  * @param {string} pitch - 音调百分比
  * @param {string} style - 语音风格
+ * @param {import('./lexicon.js').LexiconEntry[]} [lexicon] - 需要输出 phoneme / sub 标记的词典条目
  * @returns {string} SSML 文档
+ * @throws {Error} 属性值不合法时抛出 400 invalid_ssml_attribute
  */
-export function getSsml(text, voiceName, rate, pitch, style) {
-  // 先保护 break 标签
-  const breakTagRegex = /<break\s+time="[^"]*"\s*\/?>|<break\s*\/?>|<break\s+time='[^']*'\s*\/?>/gi;
-  const breakTags = [];
-  let processedText = text.replace(breakTagRegex, (match) => {
-    const placeholder = `__BREAK_TAG_${breakTags.length}__`;
-    breakTags.push(match);
-    return placeholder;
-  });
+export function getSsml(text, voiceName, rate, pitch, style, lexicon = []) {
+  validateSsmlAttributes({ voiceName, rate, pitch, style });
+
+  // 移除 XML 不允许的字符（含占位符使用的私用区字符，避免正文伪造占位符）
+  let processedText = String(text).replace(INVALID_XML_CHARS, '');
 
-  // 转义其他 XML 特殊字符
-  const sanitizedText = processedText
-    .replace(/&/g, '&')
-    .replace(/</g, '<')
-    .replace(/>/g, '>');
+  // 发音词典标记替换为占位符
+  const lexiconTags = [];
+  processedText = replaceLexiconTerms(processedText, lexicon, (entry, term) => {
+    lexiconTags.push(renderLexiconMarkup(entry, term));
+    return `\uE000${lexiconTags.length - 1}\uE001`;
+  });
 
-  // 恢复 break 标签
-  let finalText = sanitizedText;
-  breakTags.forEach((tag, index) => {
-    finalText = finalText.replace(`__BREAK_TAG_${index}__`, tag);
+  // 保护 break 标签（按规范格式重新生成）
+  const breakTags = [];
+  processedText = processedText.replace(BREAK_TAG_PATTERN, (match, quote, time) => {
+    breakTags.push(time ? `<break time="${time}"/>` : '<break/>');
+    return `\uE002${breakTags.length - 1}\uE003`;
   });
 
+  // 转义其余文本，再恢复标记
+  const finalText = escapeXml(processedText)
+    .replace(/\uE002(\d+)\uE003/g, (_, index) => breakTags[index])
+    .replace(/\uE000(\d+)\uE001/g, (_, index) => lexiconTags[index]);
+
   return `<speak xmlns="http://www.w3.org/2001/10/synthesis" xmlns:mstts="http://www.w3.org/2001/mstts" version="1.0" xml:lang="en-US">
     <voice name="${voiceName}">
       <mstts:express-as style="${style}">
@@ -275,7 +529,8 @@ export function getSsml(text, voiceName, rate, pitch, style) {
 // =================================================================================
 
 /**
- * OpenAI 语音映射到 Microsoft 语音
+ * OpenAI 语音映射到 Microsoft 语音（默认别名表）
+ * @description 部署时可通过环境变量 VOICE_ALIASES 覆盖，见 voices.js 的 resolveVoiceAliases
  * @type {Object.<string, string>}
  */
 export const OPENAI_VOICE_MAP = {
@@ -284,7 +539,12 @@ export const OPENAI_VOICE_MAP = {
   "fable": "zh-CN-YunjianNeural",       // 激情男声 -> 云健
   "onyx": "zh-CN-XiaoyiNeural",         // 活泼女声 -> 晓伊
   "nova": "zh-CN-YunxiNeural",          // 阳光男声 -> 云希
-  "echo": "zh-CN-liaoning-XiaobeiNeural" // 东北女声 -> 晓北
+  "echo": "zh-CN-liaoning-XiaobeiNeural", // 东北女声 -> 晓北
+  "ash": "zh-CN-YunzeNeural",           // 沉稳男声 -> 云泽
+  "coral": "zh-CN-XiaochenNeural",      // 亲切女声 -> 晓辰
+  "sage": "zh-CN-XiaoqiuNeural",        // 知性女声 -> 晓秋
+  "ballad": "zh-CN-YunfengNeural",      // 深情男声 -> 云枫
+  "verse": "zh-CN-XiaohanNeural"        // 温暖女声 -> 晓涵
 };
 
 /**
@@ -295,5 +555,9 @@ export const DEFAULT_CONFIG = {
   CONCURRENCY: 10,           // 默认并发数
   CHUNK_SIZE: 300,           // 默认文本分块大小
   OUTPUT_FORMAT: "audio-24khz-48kbitrate-mono-mp3", // 输出格式
-  TOKEN_REFRESH_BEFORE_EXPIRY: 5 * 60 // 提前 5 分钟刷新 Token
+  TOKEN_REFRESH_BEFORE_EXPIRY: 5 * 60, // 提前 5 分钟刷新 Token
+  MAX_RETRIES: 3,            // 单个文本块失败后的最大重试次数
+  RETRY_BASE_DELAY: 500,     // 重试退避基准时长（毫秒）
+  RETRY_MAX_DELAY: 8000,     // 单次重试最长等待（毫秒）
+  RESPLIT_MIN_LENGTH: 20     // 文本块重试耗尽后，长度不小于该值时拆半重试
 };
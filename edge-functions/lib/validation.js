@@ -0,0 +1,178 @@
+/**
+ * EdgeOne Pages TTS - 参数校验模块
+ * @version 1.0.0
+ * @description 按声明式规则校验请求参数：类型不符、取值不在枚举中或超出范围时返回 400，
+ * 并发数、分块大小等调优参数超出范围时收敛到边界值
+ */
+
+import { createHttpError } from './utils.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 参数规则
+ * @typedef {Object} ParamRule
+ * @property {string|string[]} type - 允许的类型：string、number、integer、boolean、object、array
+ * @property {*} [default] - 未提供时的默认值
+ * @property {number} [min] - 数值下限（含）
+ * @property {number} [max] - 数值上限（含）
+ * @property {boolean} [clamp] - 超出范围时收敛到边界值而不是报错；integer 同时向下取整
+ * @property {Array} [enum] - 允许的取值
+ * @property {string} [code] - 取值不合法时使用的错误代码，默认 invalid_value
+ */
+
+/**
+ * 参数规则表，键为参数名
+ * @typedef {Object.<string, ParamRule>} ParamSchema
+ */
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/**
+ * 校验默认值
+ * @type {Object}
+ */
+export const VALIDATION_DEFAULTS = {
+  MAX_INPUT_LENGTH: 120000,       // 单次请求最大输入字符数，可通过环境变量 MAX_INPUT_LENGTH 调整
+  MAX_JOB_INPUT_LENGTH: 1000000   // 异步任务最大输入字符数，可通过环境变量 MAX_JOB_INPUT_LENGTH 调整
+};
+
+// =================================================================================
+// 参数校验
+// =================================================================================
+
+/**
+ * 按规则表校验参数
+ * @description 未在规则表中声明的参数原样保留；值为 undefined 或 null 时视为未提供，使用默认值
+ * @param {Object} values - 请求参数
+ * @param {ParamSchema} schema - 规则表
+ * @returns {Object} 填充默认值、收敛范围后的参数
+ * @throws {Error} 参数不合法时抛出 400 invalid_request_error，param 为出错的参数名
+ */
+export function validateParams(values, schema) {
+  if (!values || typeof values !== "object" || Array.isArray(values)) {
+    throw createHttpError("请求体必须是 JSON 对象", 400, "invalid_request_body");
+  }
+
+  const result = { ...values };
+  for (const [param, rule] of Object.entries(schema)) {
+    result[param] = validateValue(param, values[param], rule);
+  }
+  return result;
+}
+
+/**
+ * 校验单个参数
+ * @param {string} param - 参数名（用于错误信息，如 input[2].speed）
+ * @param {*} value - 参数值
+ * @param {ParamRule} rule - 参数规则
+ * @returns {*} 校验后的值
+ * @throws {Error} 参数不合法时抛出 400 invalid_request_error
+ */
+export function validateValue(param, value, rule) {
+  if (value === undefined || value === null) {
+    return rule.default;
+  }
+
+  const types = [].concat(rule.type);
+  if (!types.some(type => matchesType(value, type))) {
+    throw createHttpError(`'${param}' 必须是 ${types.join(" 或 ")} 类型`, 400, "invalid_type", "invalid_request_error", param);
+  }
+
+  if (rule.enum && !rule.enum.includes(value)) {
+    throw createHttpError(
+      `不支持的 ${param}: ${value}，可选值为 ${rule.enum.join(", ")}`,
+      400,
+      rule.code || "invalid_value",
+      "invalid_request_error",
+      param
+    );
+  }
+
+  if (typeof value !== "number") {
+    return value;
+  }
+
+  const min = rule.min ?? -Infinity;
+  const max = rule.max ?? Infinity;
+  if (rule.clamp) {
+    const clamped = Math.min(Math.max(value, min), max);
+    return types.includes("integer") ? Math.floor(clamped) : clamped;
+  }
+  if (value < min || value > max) {
+    throw createHttpError(`'${param}' 的取值范围为 ${min} ~ ${max}，收到 ${value}`, 400, rule.code || "value_out_of_range", "invalid_request_error", param);
+  }
+  return value;
+}
+
+/**
+ * 检查值是否属于指定类型
+ * @description number 与 integer 均要求是有限数值（GET 查询参数解析出的 NaN 视为类型错误）；
+ * integer 的取整由 clamp 规则负责
+ * @param {*} value - 参数值
+ * @param {string} type - 类型名称
+ * @returns {boolean} 是否匹配
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case "number":
+    case "integer":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return typeof value === "object" && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
+
+// =================================================================================
+// 输入长度
+// =================================================================================
+
+/**
+ * 获取单次请求最大输入字符数
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {number} 最大字符数
+ */
+export function getMaxInputLength(env = {}) {
+  const configured = Number(env.MAX_INPUT_LENGTH);
+  return configured > 0 ? configured : VALIDATION_DEFAULTS.MAX_INPUT_LENGTH;
+}
+
+/**
+ * 获取异步任务最大输入字符数
+ * @description 任务按段合成、不受单次请求时长限制，上限独立于 MAX_INPUT_LENGTH，且不低于后者
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {number} 最大字符数
+ */
+export function getMaxJobInputLength(env = {}) {
+  const configured = Number(env.MAX_JOB_INPUT_LENGTH);
+  return Math.max(configured > 0 ? configured : VALIDATION_DEFAULTS.MAX_JOB_INPUT_LENGTH, getMaxInputLength(env));
+}
+
+/**
+ * 检查输入长度
+ * @description 按清理前的原文计算：字符串取其长度，脚本数组累加各项文本长度
+ * @param {string} param - 参数名（input 或 ssml）
+ * @param {string|Array} value - 输入内容
+ * @param {number} maxLength - 最大字符数
+ * @throws {Error} 超出上限时抛出 400 input_too_long
+ */
+export function checkInputLength(param, value, maxLength) {
+  const length = Array.isArray(value)
+    ? value.reduce((sum, item) => {
+      const text = typeof item === "string" ? item : item && (item.text ?? item.input);
+      return sum + (typeof text === "string" ? text.length : 0);
+    }, 0)
+    : String(value).length;
+
+  if (length > maxLength) {
+    throw createHttpError(`'${param}' 长度为 ${length} 个字符，超过上限 ${maxLength}`, 400, "input_too_long", "invalid_request_error", param);
+  }
+}
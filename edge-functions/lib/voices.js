@@ -0,0 +1,216 @@
+/**
+ * EdgeOne Pages TTS - 语音目录模块
+ * @version 1.0.0
+ * @description 获取并缓存 Microsoft 语音列表，提供按语言、性别、风格筛选，以及可配置的 OpenAI 音色别名
+ */
+
+import { getEndpoint } from './auth.js';
+import { OPENAI_VOICE_MAP } from './utils.js';
+
+// =================================================================================
+// 类型定义
+// =================================================================================
+
+/**
+ * 语音信息
+ * @typedef {Object} VoiceInfo
+ * @property {string} name - 语音名称（ShortName），如 zh-CN-XiaoxiaoNeural
+ * @property {string} display_name - 本地化显示名称，如 晓晓
+ * @property {string} locale - 语言区域，如 zh-CN
+ * @property {string} locale_name - 语言区域名称
+ * @property {string} gender - 性别（Female / Male / Neutral）
+ * @property {string[]} styles - 支持的说话风格
+ * @property {string[]} roles - 支持的角色扮演
+ */
+
+/**
+ * 音色别名配置
+ * @typedef {Object} VoiceAlias
+ * @property {string} voice - Microsoft 语音名称
+ * @property {number} [speed] - 默认语速（请求未指定时使用）
+ * @property {number} [pitch] - 默认音调（请求未指定时使用）
+ * @property {string} [style] - 默认说话风格（请求未指定时使用）
+ */
+
+// =================================================================================
+// 语音列表缓存
+// =================================================================================
+
+/** 语音列表缓存时长（毫秒） */
+const VOICE_LIST_TTL = 24 * 60 * 60 * 1000;
+
+/** @type {{ voices: VoiceInfo[]|null, fetchedAt: number }} */
+let voiceCache = { voices: null, fetchedAt: 0 };
+
+/** @type {Promise<VoiceInfo[]>|null} */
+let voiceRefreshPromise = null;
+
+/**
+ * 获取语音列表
+ * @description 结果缓存 24 小时，并发请求共享同一次刷新
+ * @returns {Promise<VoiceInfo[]>} 语音列表
+ */
+export async function getVoiceList() {
+  if (voiceCache.voices && Date.now() - voiceCache.fetchedAt < VOICE_LIST_TTL) {
+    return voiceCache.voices;
+  }
+
+  // 竞态保护：如果正在刷新，等待现有刷新完成
+  if (voiceRefreshPromise) {
+    return voiceRefreshPromise;
+  }
+
+  voiceRefreshPromise = (async () => {
+    try {
+      const endpoint = await getEndpoint();
+      const url = `https://${endpoint.r}.tts.speech.microsoft.com/cognitiveservices/voices/list`;
+
+      const response = await fetch(url, {
+        headers: {
+          "Authorization": endpoint.t,
+          "User-Agent": "okhttp/4.5.0"
+        }
+      });
+
+      if (!response.ok) {
+        const errorText = await response.text();
+        throw new Error(`获取语音列表失败: ${response.status} ${response.statusText} - ${errorText}`);
+      }
+
+      const voices = (await response.json()).map(normalizeVoice);
+      voiceCache = { voices, fetchedAt: Date.now() };
+      return voices;
+    } finally {
+      voiceRefreshPromise = null;
+    }
+  })();
+
+  return voiceRefreshPromise;
+}
+
+/**
+ * 清除语音列表缓存（用于测试或强制刷新）
+ */
+export function clearVoiceCache() {
+  voiceCache = { voices: null, fetchedAt: 0 };
+  voiceRefreshPromise = null;
+}
+
+/**
+ * 规范化 Microsoft 语音条目
+ * @param {Object} voice - Microsoft 返回的原始条目
+ * @returns {VoiceInfo} 语音信息
+ */
+function normalizeVoice(voice) {
+  return {
+    name: voice.ShortName,
+    display_name: voice.LocalName || voice.DisplayName || voice.ShortName,
+    locale: voice.Locale,
+    locale_name: voice.LocaleName || voice.Locale,
+    gender: voice.Gender,
+    styles: voice.StyleList || [],
+    roles: voice.RolePlayList || []
+  };
+}
+
+// =================================================================================
+// 筛选
+// =================================================================================
+
+/**
+ * 筛选语音
+ * @param {VoiceInfo[]} voices - 语音列表
+ * @param {Object} filters - 筛选条件，未提供的条件不参与筛选
+ * @param {string} [filters.locale] - 语言区域前缀，如 zh 或 zh-CN（不区分大小写）
+ * @param {string} [filters.gender] - 性别（不区分大小写）
+ * @param {string} [filters.style] - 必须支持的说话风格
+ * @returns {VoiceInfo[]} 筛选结果
+ */
+export function filterVoices(voices, { locale, gender, style } = {}) {
+  const localePrefix = locale ? locale.toLowerCase() : null;
+  const genderName = gender ? gender.toLowerCase() : null;
+
+  return voices.filter(voice => {
+    if (localePrefix) {
+      const voiceLocale = voice.locale.toLowerCase();
+      if (voiceLocale !== localePrefix && !voiceLocale.startsWith(`${localePrefix}-`)) {
+        return false;
+      }
+    }
+    if (genderName && voice.gender.toLowerCase() !== genderName) {
+      return false;
+    }
+    if (style && !voice.styles.includes(style)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+// =================================================================================
+// 音色别名
+// =================================================================================
+
+/** @type {{ source: string|undefined, aliases: Object.<string, VoiceAlias>|null }} */
+let aliasCache = { source: undefined, aliases: null };
+
+/**
+ * 获取合并后的音色别名表
+ * @description 以 OPENAI_VOICE_MAP 为默认值，合并环境变量 VOICE_ALIASES（JSON）中的配置。
+ * 值可以是语音名称字符串，或 { voice, speed, pitch, style } 对象；值为 null 时移除该别名。
+ * 例如：{"alloy": "en-US-AndrewNeural", "nova": {"voice": "en-US-AvaNeural", "speed": 1.1}, "echo": null}
+ * @param {Object} env - EdgeOne Pages 环境变量
+ * @returns {Object.<string, VoiceAlias>} 别名表
+ * @throws {Error} VOICE_ALIASES 不是合法配置时抛出
+ */
+export function resolveVoiceAliases(env = {}) {
+  const source = env.VOICE_ALIASES;
+  if (aliasCache.aliases && aliasCache.source === source) {
+    return aliasCache.aliases;
+  }
+
+  const aliases = {};
+  for (const [name, voice] of Object.entries(OPENAI_VOICE_MAP)) {
+    aliases[name] = { voice };
+  }
+
+  if (source) {
+    let overrides;
+    try {
+      overrides = typeof source === "string" ? JSON.parse(source) : source;
+    } catch (e) {
+      throw new Error(`VOICE_ALIASES 配置解析失败: ${e.message}`);
+    }
+    if (!overrides || typeof overrides !== "object" || Array.isArray(overrides)) {
+      throw new Error("VOICE_ALIASES 必须是 JSON 对象");
+    }
+
+    for (const [name, value] of Object.entries(overrides)) {
+      if (value === null) {
+        delete aliases[name];
+      } else if (typeof value === "string") {
+        aliases[name] = { voice: value };
+      } else if (value && typeof value.voice === "string") {
+        aliases[name] = normalizeAlias(value);
+      } else {
+        throw new Error(`VOICE_ALIASES 中的别名 '${name}' 缺少 voice`);
+      }
+    }
+  }
+
+  aliasCache = { source, aliases };
+  return aliases;
+}
+
+/**
+ * 规范化别名配置，仅保留已知字段
+ * @param {Object} value - 原始配置
+ * @returns {VoiceAlias} 别名配置
+ */
+function normalizeAlias({ voice, speed, pitch, style }) {
+  const alias = { voice };
+  if (typeof speed === "number") alias.speed = speed;
+  if (typeof pitch === "number") alias.pitch = pitch;
+  if (typeof style === "string") alias.style = style;
+  return alias;
+}
@@ -8,31 +8,39 @@
  * - 优化代码结构
  */
 
+import { createShareToken } from './lib/auth.js';
+import { createRoute } from './lib/router.js';
+
 /**
  * 处理阅读APP配置请求
- * @param {Object} context - EdgeOne Pages 上下文对象
+ * @description 需要 reader 作用域的密钥；导入的配置只携带签名的分享令牌，不暴露原始密钥。
+ * 可通过 ttl 参数（秒）设置令牌有效期，默认 30 天（SHARE_TOKEN_DEFAULT_TTL），最长 90 天（SHARE_TOKEN_MAX_TTL）
+ * @param {import('./lib/router.js').RouteContext} ctx - 路由上下文
  * @returns {Promise<Response>} HTTP 响应
  */
-export default async function onRequest(context) {
-  const request = context.request;
-  const url = new URL(request.url);
+async function handleReaderRequest({ env, url, apiKey: keyRecord }) {
   const baseUrl = `${url.protocol}//${url.host}`;
-  const apiKey = context.env.API_KEY || "";
+
+  let apiKey = "";
+  if (keyRecord) {
+    const ttl = parseInt(url.searchParams.get("ttl") || "0", 10);
+    apiKey = await createShareToken(keyRecord, env, { ttl: ttl > 0 ? ttl : undefined });
+  }
 
   // 获取 URL 参数中的默认音色，默认为晓晓
   const defaultVoice = url.searchParams.get("voice") || "zh-CN-XiaoxiaoNeural";
   const name = url.searchParams.get("n") || "EdgeOne TTS";
 
   // 构建阅读 APP 需要的 URL
-  // 注意：这里使用了阅读 APP 特有的占位符
-  const ttsUrl = `${baseUrl}/api/v1/audio/speech?t={{java.encodeURI(speakText)}}&v=${defaultVoice}&r={{(speakSpeed - 10) / 10 + 1}}&p=1.0&key=${apiKey}`;
+  // 注意：这里使用了阅读 APP 特有的占位符；r 超出 0.25–2.0 时由服务端收敛到边界值
+  const ttsUrl = `${baseUrl}/api/v1/audio/speech?t={{java.encodeURI(speakText)}}&v=${encodeURIComponent(defaultVoice)}&r={{(speakSpeed - 10) / 10 + 1}}&p=1.0&key=${apiKey}`;
 
   // 构建响应 JSON
   const config = {
     name: name,
     url: ttsUrl,
     header: {
-      "Authorization": `Bearer ${apiKey}` // 自动注入 API Key
+      "Authorization": `Bearer ${apiKey}` // 自动注入分享令牌
     },
     // ID 使用时间戳防止冲突
     id: Date.now() 
@@ -40,8 +48,14 @@ export default async function onRequest(context) {
 
   return new Response(JSON.stringify(config, null, 2), {
     headers: {
-      "Content-Type": "application/json; charset=utf-8",
-      "Access-Control-Allow-Origin": "*"
+      "Content-Type": "application/json; charset=utf-8"
     }
   });
 }
+
+// EdgeOne Pages 需要 default export
+export default createRoute({
+  name: "reader",
+  scope: "reader",
+  handler: handleReaderRequest
+});
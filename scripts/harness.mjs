@@ -0,0 +1,305 @@
+/**
+ * EdgeOne Pages TTS - 本地调试工具
+ * @version 1.0.0
+ * @description 在 Node.js 中按文件路由加载 edge-functions 下的端点并调用其 fetch 处理器，
+ * 使用模拟的 context.env 与模拟的微软上游（Token、合成、语音列表），无需部署即可调试完整请求链路
+ *
+ * @example
+ * // 命令行
+ * // TTS_ENV='{"API_KEY":"hello"}' node scripts/harness.mjs \
+ * //   POST /api/v1/audio/speech '{"input":"你好"}' -H 'Authorization: Bearer hello'
+ *
+ * // 脚本中调用
+ * import { installMockUpstream, callRoute } from './harness.mjs';
+ * const upstream = installMockUpstream();
+ * const response = await callRoute("/api/v1/audio/speech", { method: "POST", body: { input: "你好" } });
+ * console.log(response.status, upstream.calls.length);
+ * upstream.restore();
+ */
+
+import { existsSync } from 'node:fs';
+import { dirname, join, resolve } from 'node:path';
+import { fileURLToPath, pathToFileURL } from 'node:url';
+
+// =================================================================================
+// 常量定义
+// =================================================================================
+
+/** edge-functions 目录 */
+const FUNCTIONS_ROOT = resolve(dirname(fileURLToPath(import.meta.url)), '../edge-functions');
+
+/** 模拟 Token 的有效期（秒） */
+const MOCK_TOKEN_TTL = 3600;
+
+/** 模拟语音列表 */
+const MOCK_VOICES = [
+  {
+    ShortName: "zh-CN-XiaoxiaoNeural",
+    DisplayName: "Xiaoxiao",
+    LocalName: "晓晓",
+    Locale: "zh-CN",
+    Gender: "Female",
+    StyleList: ["cheerful", "sad"]
+  },
+  {
+    ShortName: "en-US-AvaNeural",
+    DisplayName: "Ava",
+    LocalName: "Ava",
+    Locale: "en-US",
+    Gender: "Female"
+  }
+];
+
+// =================================================================================
+// 模拟上游
+// =================================================================================
+
+/**
+ * 上游调用记录
+ * @typedef {Object} UpstreamCall
+ * @property {string} kind - endpoint / synthesize / voices / other
+ * @property {string} url - 请求 URL
+ * @property {Object} init - fetch 选项
+ */
+
+/**
+ * 创建模拟的微软上游
+ * @param {Object} [options] - 模拟选项
+ * @param {(ssml: string, outputFormat: string) => Uint8Array|Response|Promise<Uint8Array|Response>} [options.audio] - 返回合成结果，默认按文本长度生成空字节
+ * @param {Object[]} [options.voices] - 语音列表，默认为两个示例语音
+ * @param {number} [options.latency=0] - 每次合成的模拟耗时（毫秒）
+ * @param {typeof fetch} [options.passthrough] - 非微软地址的请求（如 LEXICON_URL）交给该函数处理，默认返回 404
+ * @returns {{ fetch: typeof fetch, calls: UpstreamCall[] }} 模拟 fetch 与调用记录
+ */
+export function createMockUpstream({ audio, voices = MOCK_VOICES, latency = 0, passthrough } = {}) {
+  const calls = [];
+
+  const mockFetch = async (input, init = {}) => {
+    const url = String(input instanceof Request ? input.url : input);
+
+    if (url.includes("microsofttranslator.com/apps/endpoint")) {
+      calls.push({ kind: "endpoint", url, init });
+      const payload = btoa(JSON.stringify({ exp: Math.floor(Date.now() / 1000) + MOCK_TOKEN_TTL }));
+      return Response.json({ r: "mock", t: `header.${payload}.signature` });
+    }
+
+    if (url.includes("tts.speech.microsoft.com/cognitiveservices/voices/list")) {
+      calls.push({ kind: "voices", url, init });
+      return Response.json(voices);
+    }
+
+    if (url.includes("tts.speech.microsoft.com/cognitiveservices/v1")) {
+      calls.push({ kind: "synthesize", url, init });
+      if (latency > 0) {
+        await new Promise(resolve => setTimeout(resolve, latency));
+      }
+      const outputFormat = (init.headers || {})["X-Microsoft-OutputFormat"];
+      const result = audio ? await audio(init.body, outputFormat) : defaultAudio(init.body);
+      return result instanceof Response ? result : new Response(result);
+    }
+
+    calls.push({ kind: "other", url, init });
+    return passthrough ? passthrough(input, init) : new Response("Not Found", { status: 404 });
+  };
+
+  return { fetch: mockFetch, calls };
+}
+
+/**
+ * 安装模拟上游（替换 globalThis.fetch）
+ * @param {Object} [options] - 模拟选项，见 createMockUpstream
+ * @returns {{ calls: UpstreamCall[], restore: () => void }} 调用记录与还原函数
+ */
+export function installMockUpstream(options) {
+  const original = globalThis.fetch;
+  const upstream = createMockUpstream(options);
+  globalThis.fetch = upstream.fetch;
+  return {
+    calls: upstream.calls,
+    restore() {
+      globalThis.fetch = original;
+    }
+  };
+}
+
+/**
+ * 生成默认的模拟音频
+ * @description 长度与 SSML 文本量相关，便于观察分块与合并；内容不是可播放的音频
+ * @param {string} ssml - SSML 请求体
+ * @returns {Uint8Array} 音频数据
+ */
+function defaultAudio(ssml) {
+  return new Uint8Array(Math.max(256, String(ssml || "").length * 8));
+}
+
+// =================================================================================
+// 路由调用
+// =================================================================================
+
+/**
+ * 按 EdgeOne Pages 文件路由规则查找端点文件
+ * @description 依次尝试 <path>.js、<path>/index.js，再逐级向上查找 [[default]].js
+ * @param {string} pathname - 请求路径，如 /api/v1/audio/speech
+ * @returns {string|null} 端点文件的绝对路径
+ */
+export function resolveRouteFile(pathname) {
+  const clean = pathname.replace(/\/+$/, "").replace(/\.js$/, "");
+  const direct = [join(FUNCTIONS_ROOT, `${clean}.js`), join(FUNCTIONS_ROOT, clean, "index.js")];
+  const found = direct.find(file => existsSync(file));
+  if (found) return found;
+
+  let dir = join(FUNCTIONS_ROOT, clean);
+  while (dir.startsWith(FUNCTIONS_ROOT)) {
+    const catchAll = join(dir, "[[default]].js");
+    if (existsSync(catchAll)) return catchAll;
+    if (dir === FUNCTIONS_ROOT) break;
+    dir = dirname(dir);
+  }
+  return null;
+}
+
+/**
+ * 调用端点
+ * @description 同一进程内模块只加载一次，内存缓存、统计与限流计数在多次调用间共享，相当于单个实例。
+ * context.waitUntil 提交的后台任务默认在返回前等待完成
+ * @param {string} path - 请求路径，可带查询参数，如 /api/v1/voices?locale=zh
+ * @param {Object} [options] - 调用选项
+ * @param {string} [options.method="GET"] - 请求方法
+ * @param {Object.<string, string>} [options.headers] - 请求头
+ * @param {string|Object} [options.body] - 请求体，对象会序列化为 JSON
+ * @param {Object} [options.env={}] - 模拟的 context.env；在 node --test 中运行且未指定 LOG_LEVEL 时按 off 处理，测试输出中不夹杂请求日志
+ * @param {string} [options.clientIp="127.0.0.1"] - 模拟的 request.eo.clientIp
+ * @param {boolean} [options.waitForBackground=true] - 是否等待 waitUntil 提交的后台任务
+ * @returns {Promise<Response>} 端点响应
+ * @throws {Error} 找不到端点文件时抛出
+ */
+export async function callRoute(path, { method = "GET", headers = {}, body, env = {}, clientIp = "127.0.0.1", waitForBackground = true } = {}) {
+  const url = new URL(path, "http://localhost");
+  const file = resolveRouteFile(url.pathname);
+  if (!file) {
+    throw new Error(`找不到端点文件: ${url.pathname}`);
+  }
+
+  const requestHeaders = { ...headers };
+  let requestBody = body;
+  if (body !== undefined && typeof body !== "string") {
+    requestBody = JSON.stringify(body);
+    requestHeaders["Content-Type"] ??= "application/json";
+  }
+
+  const request = new Request(url, { method, headers: requestHeaders, body: requestBody });
+  request.eo = { clientIp };
+
+  const background = [];
+  const context = {
+    request,
+    env: process.env.NODE_TEST_CONTEXT && !("LOG_LEVEL" in env) ? { LOG_LEVEL: "off", ...env } : env,
+    waitUntil: promise => background.push(promise)
+  };
+
+  const handler = (await import(pathToFileURL(file).href)).default;
+  const response = typeof handler === "function" ? await handler(context) : await handler.fetch(context);
+
+  if (waitForBackground) {
+    await Promise.allSettled(background);
+  }
+  return response;
+}
+
+/**
+ * 以 POST 调用语音合成（或参数相同的异步任务）端点
+ * @param {string|Object} body - 请求体，字符串视为 { input }
+ * @param {Object} [options] - 调用选项
+ * @param {string} [options.key] - API Key 或分享令牌，以 Bearer 方式发送
+ * @param {string} [options.path="/api/v1/audio/speech"] - 端点路径，如 /api/v1/audio/jobs
+ * @param {Object} [options.env={}] - 模拟的 context.env
+ * @param {Object.<string, string>} [options.headers] - 额外的请求头
+ * @returns {Promise<Response>} 端点响应
+ */
+export function speak(body, { key, path = "/api/v1/audio/speech", env = {}, headers = {} } = {}) {
+  return callRoute(path, {
+    method: "POST",
+    body: typeof body === "string" ? { input: body } : body,
+    headers: { ...bearer(key), ...headers },
+    env
+  });
+}
+
+/**
+ * 生成 Bearer 认证请求头
+ * @param {string} [key] - API Key 或分享令牌
+ * @returns {Object.<string, string>} 请求头，未提供密钥时为空对象
+ */
+export function bearer(key) {
+  return key ? { Authorization: `Bearer ${key}` } : {};
+}
+
+/**
+ * 生成配置了 API_KEYS 的模拟环境变量
+ * @param {Object[]} entries - 密钥配置数组
+ * @param {Object} [env={}] - 其他环境变量
+ * @returns {Object} 模拟的 context.env
+ */
+export function keysEnv(entries, env = {}) {
+  return { ...env, API_KEYS: JSON.stringify(entries) };
+}
+
+// =================================================================================
+// 命令行入口
+// =================================================================================
+
+/**
+ * 解析命令行参数
+ * @param {string[]} args - 参数列表：[方法] 路径 [请求体] [-H '名称: 值']...
+ * @returns {{ method: string, path: string, body: string|undefined, headers: Object.<string, string> }} 调用参数
+ */
+function parseArgs(args) {
+  const headers = {};
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    if (args[i] === "-H" && args[i + 1]) {
+      const [name, ...value] = args[++i].split(":");
+      headers[name.trim()] = value.join(":").trim();
+    } else {
+      positional.push(args[i]);
+    }
+  }
+
+  const hasMethod = /^[A-Z]+$/.test(positional[0] || "");
+  const [method, path, body] = hasMethod ? positional : ["GET", ...positional];
+  return { method, path: path || "/api/v1/models", body, headers };
+}
+
+/**
+ * 命令行入口：调用一次端点并打印状态、响应头与响应体摘要
+ * @description 环境变量 TTS_ENV（JSON）作为 context.env
+ */
+async function main() {
+  const { method, path, body, headers } = parseArgs(process.argv.slice(2));
+  const env = process.env.TTS_ENV ? JSON.parse(process.env.TTS_ENV) : {};
+  const upstream = installMockUpstream();
+
+  try {
+    const response = await callRoute(path, { method, headers, body, env });
+    console.log(`HTTP ${response.status}`);
+    response.headers.forEach((value, name) => console.log(`${name}: ${value}`));
+    console.log("");
+
+    const contentType = response.headers.get("Content-Type") || "";
+    if (/json|text|event-stream/.test(contentType)) {
+      console.log(await response.text());
+    } else {
+      console.log(`<${(await response.arrayBuffer()).byteLength} 字节二进制数据>`);
+    }
+    console.log(`\n上游调用: ${upstream.calls.map(call => call.kind).join(", ") || "无"}`);
+  } finally {
+    upstream.restore();
+  }
+}
+
+if (process.argv[1] && resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch(error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
@@ -0,0 +1,119 @@
+/**
+ * 音频工具测试：本地生成的静音、Ogg Opus 合并、失败分块的静音替代与空输入
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockUpstream, speak } from '../scripts/harness.mjs';
+import { createAudioMerger, createSilence, getAudioDuration, mergeAudioChunks, resolveOutputFormat } from '../edge-functions/lib/audio.js';
+
+describe("createSilence", () => {
+  it("MP3 静音为完整的帧序列，时长不短于请求值", () => {
+    for (const format of ["audio-16khz-32kbitrate-mono-mp3", "audio-24khz-48kbitrate-mono-mp3", "audio-48khz-96kbitrate-mono-mp3"]) {
+      const bytes = createSilence(format, 1.5);
+      assert.equal(bytes[0], 0xFF, format);
+      assert.equal(bytes[1] & 0xE0, 0xE0, format);
+      const duration = getAudioDuration(format, bytes);
+      assert.ok(duration >= 1.5 && duration < 1.6, `${format}: ${duration}`);
+    }
+  });
+
+  it("Opus 静音为可合并的 Ogg 流", () => {
+    const format = "ogg-24khz-16bit-mono-opus";
+    const silence = createSilence(format, 2.3);
+    assert.equal(new TextDecoder().decode(silence.subarray(0, 4)), "OggS");
+    assert.equal(getAudioDuration(format, silence), 2.3);
+
+    const merged = mergeAudioChunks(format, [createSilence(format, 1), silence, createSilence(format, 0.5)]);
+    assert.equal(getAudioDuration(format, merged), 3.8);
+  });
+
+  it("PCM 静音按采样率生成，未知格式返回 null", () => {
+    assert.equal(createSilence("raw-24khz-16bit-mono-pcm", 1).length, 48000);
+    assert.equal(getAudioDuration("riff-24khz-16bit-mono-pcm", createSilence("riff-24khz-16bit-mono-pcm", 1)), 1);
+    assert.equal(createSilence("unknown-format", 1), null);
+  });
+});
+
+/** 将 Opus 流 OpusHead 中的 pre-skip 改写为指定值 */
+function withPreSkip(bytes, preSkip) {
+  const headStart = 27 + bytes[26];
+  bytes[headStart + 10] = preSkip & 0xFF;
+  bytes[headStart + 11] = preSkip >> 8;
+  return bytes;
+}
+
+describe("Ogg Opus 合并", () => {
+  const format = "ogg-24khz-16bit-mono-opus";
+
+  it("丢弃后续分块 pre-skip 覆盖的开头包并扣除其 granule", () => {
+    const merged = mergeAudioChunks(format, [withPreSkip(createSilence(format, 1), 312), withPreSkip(createSilence(format, 1), 312)]);
+
+    // 首块的 pre-skip 由解码器跳过，第二块开头的 20 毫秒包被丢弃
+    assert.equal(getAudioDuration(format, merged), (2 * 48000 - 960 - 312) / 48000);
+
+    const packets = [];
+    for (let offset = 0; offset < merged.length;) {
+      const segmentCount = merged[offset + 26];
+      const lacing = merged.subarray(offset + 27, offset + 27 + segmentCount);
+      packets.push(lacing.length);
+      offset += 27 + segmentCount + lacing.reduce((sum, value) => sum + value, 0);
+    }
+    assert.deepEqual(packets, [1, 1, 50, 49]);
+  });
+
+  it("pre-skip 为 0 时不丢弃任何包", () => {
+    const merged = mergeAudioChunks(format, [createSilence(format, 1), createSilence(format, 1)]);
+    assert.equal(getAudioDuration(format, merged), 2);
+  });
+});
+
+describe("WebM", () => {
+  it("response_format=webm 返回 400，WebM 分块不做拼接", () => {
+    assert.throws(() => resolveOutputFormat({ responseFormat: "webm" }), { status: 400, code: "unsupported_response_format" });
+    assert.throws(() => createAudioMerger("webm-24khz-16bit-mono-opus"), /不支持合并/);
+  });
+});
+
+describe("on_chunk_error=skip", () => {
+  it("失败分块以本地静音替代，不再请求上游", async () => {
+    const upstream = installMockUpstream({
+      audio: ssml => ssml.includes("失败") ? new Response("bad request", { status: 400 }) : new Uint8Array(2048)
+    });
+    try {
+      for (const responseFormat of ["mp3", "opus"]) {
+        upstream.calls.length = 0;
+        const response = await speak({ input: "失败", response_format: responseFormat, on_chunk_error: "skip" });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers.get("X-TTS-Warning"), "skipped_chunks=0");
+
+        const bytes = new Uint8Array(await response.arrayBuffer());
+        const { outputFormat } = resolveOutputFormat({ responseFormat });
+        assert.ok(getAudioDuration(outputFormat, bytes) >= 0.5);
+        assert.ok(upstream.calls.every(call => !String(call.init.body || "").includes("<break")));
+      }
+    } finally {
+      upstream.restore();
+    }
+  });
+});
+
+describe("清理后为空的输入", () => {
+  it("任何输出格式都返回 400 empty_input，而不是 0 字节音频", async () => {
+    const upstream = installMockUpstream();
+    try {
+      for (const extra of [{ response_format: "wav" }, { response_format: "mp3", stream: true }, { response_format: "srt" }]) {
+        const response = await speak({ input: "https://example.com/page", ...extra });
+        assert.equal(response.status, 400);
+        assert.equal((await response.json()).error.code, "empty_input");
+      }
+
+      const job = await speak("https://example.com/page", { path: "/api/v1/audio/jobs" });
+      assert.equal(job.status, 400);
+      assert.equal(upstream.calls.filter(call => call.kind === "synthesize").length, 0);
+    } finally {
+      upstream.restore();
+    }
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * 分享令牌测试：签发、按密钥注册表验证、默认有效期与吊销；需要认证的响应不进入共享缓存
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bearer, callRoute, installMockUpstream, keysEnv, speak } from '../scripts/harness.mjs';
+import { SHARE_TOKEN_DEFAULT_TTL, SHARE_TOKEN_MAX_TTL } from '../edge-functions/lib/auth.js';
+import { getStore } from '../edge-functions/lib/store.js';
+
+/** 通过 /reader 签发分享令牌 */
+async function issueToken(key, env, query = "") {
+  const response = await callRoute(`/reader?key=${key}${query}`, { env });
+  assert.equal(response.status, 200);
+  return (await response.json()).header.Authorization.slice("Bearer ".length);
+}
+
+/** 解码令牌载荷 */
+function decodePayload(token) {
+  const body = token.slice(3).split(".")[0].replace(/-/g, "+").replace(/_/g, "/");
+  return JSON.parse(atob(body));
+}
+
+describe("分享令牌", () => {
+  let upstream;
+  before(() => {
+    upstream = installMockUpstream();
+  });
+  after(() => upstream.restore());
+
+  const secret = { SHARE_TOKEN_SECRET: "test-secret" };
+
+  it("默认 30 天过期，载荷只含密钥标识", async () => {
+    const env = keysEnv([{ key: "sk-app", label: "app" }], secret);
+    const payload = decodePayload(await issueToken("sk-app", env));
+
+    assert.deepEqual(Object.keys(payload).sort(), ["exp", "kid", "scope"]);
+    const remaining = payload.exp - Date.now() / 1000;
+    assert.ok(Math.abs(remaining - SHARE_TOKEN_DEFAULT_TTL) < 60);
+  });
+
+  it("ttl 超过上限时按 SHARE_TOKEN_MAX_TTL 截断", async () => {
+    const env = keysEnv([{ key: "sk-app" }], secret);
+    const payload = decodePayload(await issueToken("sk-app", env, `&ttl=${SHARE_TOKEN_MAX_TTL * 10}`));
+    assert.ok(Math.abs(payload.exp - Date.now() / 1000 - SHARE_TOKEN_MAX_TTL) < 60);
+  });
+
+  it("从 API_KEYS 删除签发密钥后令牌失效", async () => {
+    const env = keysEnv([{ key: "sk-app", label: "app" }, { key: "sk-other" }], secret);
+    const token = await issueToken("sk-app", env);
+    assert.equal((await speak("你好", { key: token, env })).status, 200);
+
+    const removed = keysEnv([{ key: "sk-other" }], secret);
+    const response = await speak("你好", { key: token, env: removed });
+    assert.equal(response.status, 401);
+    assert.equal((await response.json()).error.code, "invalid_api_key");
+  });
+
+  it("额度按签发密钥的当前配置执行", async () => {
+    const env = keysEnv([{ key: "sk-app" }], secret);
+    const token = await issueToken("sk-app", env);
+
+    const limited = keysEnv([{ key: "sk-app", max_chars_per_request: 5 }], secret);
+    const response = await speak("这段文本超过了五个字符", { key: token, env: limited });
+    assert.equal(response.status, 400);
+    assert.equal((await response.json()).error.code, "max_characters_exceeded");
+  });
+
+  it("签发密钥失去 speech 作用域后令牌失效", async () => {
+    const env = keysEnv([{ key: "sk-app" }], secret);
+    const token = await issueToken("sk-app", env);
+
+    const narrowed = keysEnv([{ key: "sk-app", scopes: ["models"] }], secret);
+    assert.equal((await speak("你好", { key: token, env: narrowed })).status, 401);
+  });
+
+  it("删除存储中的签发密钥后令牌失效", async () => {
+    const env = keysEnv([], secret);
+    await getStore(env, "keys").put("apikey:sk-stored", { label: "stored" });
+    const token = await issueToken("sk-stored", env);
+    assert.equal((await speak("你好", { key: token, env })).status, 200);
+
+    await getStore(env, "keys").delete("apikey:sk-stored");
+    assert.equal((await speak("你好", { key: token, env })).status, 401);
+  });
+
+  it("存储中的密钥标识索引不含明文密钥，更换 SHARE_TOKEN_SECRET 后令牌失效", async () => {
+    const env = keysEnv([], secret);
+    await getStore(env, "keys").put("apikey:sk-indexed", { label: "indexed" });
+    const token = await issueToken("sk-indexed", env);
+
+    const index = await getStore(env, "keys").get(`apikeyid:${decodePayload(token).kid}`);
+    assert.ok(index);
+    assert.doesNotMatch(JSON.stringify(index), /sk-indexed/);
+
+    const rotated = keysEnv([], { SHARE_TOKEN_SECRET: "rotated-secret" });
+    assert.equal((await speak("你好", { key: token, env: rotated })).status, 401);
+  });
+
+  it("过期的令牌无效", async () => {
+    const env = keysEnv([{ key: "sk-app" }], secret);
+    const token = await issueToken("sk-app", env, "&ttl=1");
+    const realNow = Date.now;
+    Date.now = () => realNow() + 2000;
+    try {
+      assert.equal((await speak("你好", { key: token, env })).status, 401);
+    } finally {
+      Date.now = realNow;
+    }
+  });
+
+  it("仅配置 API_KEYS 且未设置 SHARE_TOKEN_SECRET 时按服务端配置错误返回 500", async () => {
+    const env = keysEnv([{ key: "sk-app" }]);
+
+    const reader = await callRoute("/reader?key=sk-app", { env });
+    assert.equal(reader.status, 500);
+    assert.equal((await reader.json()).error.code, "share_token_unavailable");
+
+    const token = await issueToken("sk-app", { ...secret, ...env });
+    const response = await speak("你好", { key: token, env });
+    assert.equal(response.status, 500);
+    assert.equal((await response.json()).error.code, "share_token_unavailable");
+  });
+});
+
+describe("语音目录", () => {
+  it("需要认证的响应不允许共享缓存", async () => {
+    const upstream = installMockUpstream();
+    try {
+      const response = await callRoute("/api/v1/voices", { headers: bearer("sk-models"), env: keysEnv([{ key: "sk-models" }]) });
+      assert.equal(response.status, 200);
+      assert.equal(response.headers.get("Cache-Control"), "private, max-age=3600");
+    } finally {
+      upstream.restore();
+    }
+  });
+});
@@ -0,0 +1,69 @@
+/**
+ * 异步任务测试：独立的输入上限与任务音频存储
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { callRoute, installMockUpstream, speak } from '../scripts/harness.mjs';
+import { JOB_CONFIG } from '../edge-functions/lib/jobs.js';
+
+/** 创建任务并等待后台处理完成，返回任务 JSON */
+async function runJob(input, env = {}) {
+  const response = await speak(input, { path: "/api/v1/audio/jobs", env });
+  assert.equal(response.status, 202);
+  const { id } = await response.json();
+  return (await callRoute(`/api/v1/audio/jobs/${id}`, { env })).json();
+}
+
+describe("异步任务", () => {
+  let upstream;
+  before(() => {
+    upstream = installMockUpstream({ audio: () => new Uint8Array(2048) });
+  });
+  after(() => upstream.restore());
+
+  it("输入上限独立于 MAX_INPUT_LENGTH", async () => {
+    const env = { MAX_INPUT_LENGTH: "1000", MAX_JOB_INPUT_LENGTH: "5000" };
+    const input = "这是一个用于测试的句子。".repeat(200); // 2400 字符
+
+    const speech = await speak(input, { env });
+    assert.equal(speech.status, 400);
+    assert.equal((await speech.json()).error.code, "input_too_long");
+
+    const job = await speak(input, { path: "/api/v1/audio/jobs", env });
+    assert.equal(job.status, 202);
+
+    const tooLong = await speak(input.repeat(3), { path: "/api/v1/audio/jobs", env });
+    assert.equal(tooLong.status, 400);
+    assert.equal((await tooLong.json()).error.code, "input_too_long");
+  });
+
+  it("分段音频保存在独立的内存存储中并可下载", async () => {
+    const job = await runJob("第一段内容。".repeat(600), { JOB_AUDIO_MAX_BYTES: String(1024 * 1024) });
+    assert.equal(job.status, "completed");
+
+    const audio = await callRoute(new URL(job.audio_url).pathname, { env: { JOB_AUDIO_MAX_BYTES: String(1024 * 1024) } });
+    assert.equal(audio.status, 200);
+    assert.ok((await audio.arrayBuffer()).byteLength > 0);
+  });
+
+  it("分段音频超过 JOB_AUDIO_MAX_BYTES 时任务失败", async () => {
+    const job = await runJob("很短的文本。", { JOB_AUDIO_MAX_BYTES: "1024" });
+    assert.equal(job.status, "failed");
+    assert.match(job.error, /超过任务音频存储容量 1024 字节/);
+  });
+
+  it("未绑定 KV 时任务音频默认最多占用 16 MB 内存", async () => {
+    assert.equal(JOB_CONFIG.AUDIO_MAX_BYTES, 16 * 1024 * 1024);
+
+    const large = installMockUpstream({ audio: () => new Uint8Array(JOB_CONFIG.AUDIO_MAX_BYTES + 1) });
+    try {
+      const job = await runJob("另一段很短的文本。");
+      assert.equal(job.status, "failed");
+      assert.match(job.error, /超过任务音频存储容量 16777216 字节/);
+    } finally {
+      large.restore();
+    }
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * 请求日志测试：LOG_LEVEL 与 LOG_SAMPLE_RATE
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { withRequestMetrics } from '../edge-functions/lib/metrics.js';
+
+/** 以指定状态码完成一次请求，返回期间输出的请求日志 */
+async function captureLogs(status, env) {
+  const handler = withRequestMetrics("test", async () => new Response(null, { status }));
+  const lines = [];
+  const original = console.log;
+  console.log = line => lines.push(JSON.parse(line));
+  try {
+    await handler({ request: new Request("http://localhost/test"), env });
+  } finally {
+    console.log = original;
+  }
+  return lines;
+}
+
+describe("请求日志", () => {
+  it("默认只记录错误请求", async () => {
+    assert.deepEqual(await captureLogs(200, {}), []);
+
+    const [entry] = await captureLogs(401, {});
+    assert.equal(entry.level, "warn");
+    assert.equal(entry.status, 401);
+  });
+
+  it("LOG_LEVEL=info 记录全部请求，LOG_SAMPLE_RATE 只抽样成功请求", async () => {
+    const [entry] = await captureLogs(200, { LOG_LEVEL: "info" });
+    assert.equal(entry.level, "info");
+    assert.equal(entry.route, "test");
+
+    assert.deepEqual(await captureLogs(200, { LOG_LEVEL: "info", LOG_SAMPLE_RATE: "0" }), []);
+    assert.equal((await captureLogs(500, { LOG_LEVEL: "info", LOG_SAMPLE_RATE: "0" })).length, 1);
+  });
+
+  it("LOG_LEVEL=error 与 off", async () => {
+    assert.deepEqual(await captureLogs(400, { LOG_LEVEL: "error" }), []);
+    assert.equal((await captureLogs(502, { LOG_LEVEL: "error" })).length, 1);
+    assert.deepEqual(await captureLogs(500, { LOG_LEVEL: "off" }), []);
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * 文本读法规范化测试：负数、范围、分数、时间与电话号码的中英文读法
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeText } from '../edge-functions/lib/normalize.js';
+
+describe("normalizeText 中文", () => {
+  const zh = text => normalizeText(text, "zh-CN");
+
+  it("负数读作负", () => {
+    assert.equal(zh("气温-5°C"), "气温负五摄氏度");
+    assert.equal(zh("下跌-15%"), "下跌负百分之十五");
+    assert.equal(zh("亏损-¥300"), "亏损负三百元");
+    assert.equal(zh("−7km"), "负七千米");
+  });
+
+  it("负数范围", () => {
+    assert.equal(zh("-3~-1℃"), "负3到负一摄氏度");
+  });
+
+  it("数字之间或字母之后的连字符不是负号", () => {
+    assert.equal(zh("A-1型"), "A-1型");
+    assert.equal(zh("3 - 5"), "3 - 5");
+    assert.equal(zh("1-2-3"), "1-2-3");
+    assert.equal(zh("v1.2.3-4"), "一点二点三-4");
+  });
+
+  it("两个数值之间的连字符读作到", () => {
+    assert.equal(zh("3-5个"), "3到5个");
+    assert.equal(zh("10%-20%"), "百分之十到百分之二十");
+    assert.equal(zh("3℃-5℃"), "三摄氏度到五摄氏度");
+    assert.equal(zh("$3-$5"), "三美元到五美元");
+    assert.equal(zh("5km-10km"), "五千米到十千米");
+    assert.equal(zh("10:00-12:00"), "十点整到十二点整");
+  });
+
+  it("第2/3季度不是分数", () => {
+    assert.equal(zh("第2/3季度"), "第2、3季度");
+    assert.equal(zh("2/3"), "三分之二");
+  });
+
+  it("时间与电话号码", () => {
+    assert.equal(zh("10:30"), "十点三十分");
+    assert.equal(zh("13800138000"), "幺三八零零幺三八零零零");
+    assert.equal(zh("010-12345678"), "零幺零，幺二三四五六七八");
+  });
+});
+
+describe("normalizeText 英文", () => {
+  const en = text => normalizeText(text, "en-US");
+
+  it("负数读作 minus", () => {
+    assert.equal(en("It is -5°C"), "It is minus 5 degrees Celsius");
+    assert.equal(en("down -15%"), "down minus 15 percent");
+    assert.equal(en("-$3.50"), "minus 3.50 dollars");
+    assert.equal(en("x=-3"), "x= minus 3");
+  });
+
+  it("两个数值之间的连字符读作 to", () => {
+    assert.equal(en("items 3-5"), "items 3 to 5");
+    assert.equal(en("10%-20%"), "10 percent to 20 percent");
+    assert.equal(en("3℃-5℃"), "3 degrees Celsius to 5 degrees Celsius");
+    assert.equal(en("-5~5℃"), "minus 5 to 5 degrees Celsius");
+  });
+
+  it("分数读作英文分数词", () => {
+    assert.equal(en("3/4"), "three quarters");
+    assert.equal(en("1/3"), "one third");
+    assert.equal(en("2/5"), "two fifths");
+    assert.equal(en("21/40"), "twenty-one fortieths");
+    assert.equal(en("7/250"), "7 over 250");
+  });
+
+  it("展开时间", () => {
+    assert.equal(en("at 10:30"), "at 10 30");
+    assert.equal(en("at 9:05"), "at 9 oh 5");
+    assert.equal(en("at 14:00"), "at 14 o'clock");
+    assert.equal(en("at 23:59:30"), "at 23 59 and 30 seconds");
+  });
+
+  it("电话号码按组逐位读", () => {
+    assert.equal(en("13800138000"), "one three eight, zero zero one three, eight zero zero zero");
+    assert.equal(en("400-123-4567"), "four zero zero, one two three, four five six seven");
+  });
+});
@@ -0,0 +1,61 @@
+/**
+ * 每日配额测试：合成失败时退还已扣减的字符数，用量计数不被其他数据挤出内存存储
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { bearer, callRoute, installMockUpstream, keysEnv, speak } from '../scripts/harness.mjs';
+import { getStore } from '../edge-functions/lib/store.js';
+
+describe("每日配额退还", () => {
+  let upstream;
+  before(() => {
+    // 含“失败”的文本上游返回 400，其余正常合成
+    upstream = installMockUpstream({
+      audio: ssml => ssml.includes("失败") ? new Response("bad request", { status: 400 }) : new Uint8Array(2048)
+    });
+  });
+  after(() => upstream.restore());
+
+  it("合成失败的请求不占用配额", async () => {
+    const key = "sk-refund";
+    const env = keysEnv([{ key, daily_quota: 10 }]);
+
+    for (const extra of [{}, { stream: true }, { timestamps: true }]) {
+      const failed = await speak({ input: "合成失败了吗", ...extra }, { key, env });
+      assert.equal(failed.status, 500);
+    }
+
+    assert.equal((await speak("一二三四五六", { key, env })).status, 200);
+    const exhausted = await speak("一二三四五六", { key, env });
+    assert.equal(exhausted.status, 429);
+    assert.equal((await exhausted.json()).error.code, "insufficient_quota");
+  });
+
+  it("任务失败时退还未完成分段的字符数", async () => {
+    const key = "sk-job-refund";
+    const env = keysEnv([{ key, daily_quota: 10 }]);
+
+    const created = await speak("合成失败了吗", { key, path: "/api/v1/audio/jobs", env });
+    assert.equal(created.status, 202);
+    const { id } = await created.json();
+    const job = await (await callRoute(`/api/v1/audio/jobs/${id}`, { headers: bearer(key), env })).json();
+    assert.equal(job.status, "failed");
+
+    assert.equal((await speak("一二三四五六", { key, env })).status, 200);
+  });
+
+  it("大量任务记录与其他数据写入后用量计数仍然保留", async () => {
+    const key = "sk-crowded";
+    const env = keysEnv([{ key, daily_quota: 10 }]);
+    assert.equal((await speak("一二三四五六", { key, env })).status, 200);
+
+    for (let i = 0; i < 2000; i++) {
+      await getStore(env, "jobs").put(`job:filler-${i}`, { id: i });
+      await getStore(env).put(`filler:${i}`, i);
+    }
+
+    assert.equal((await speak("一二三四五六", { key, env })).status, 429);
+  });
+});
@@ -0,0 +1,36 @@
+/**
+ * 阅读 APP 配置测试：导入地址中的音色编码与语速收敛
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { callRoute, installMockUpstream } from '../scripts/harness.mjs';
+
+describe("阅读 APP 配置", () => {
+  let upstream;
+  before(() => {
+    upstream = installMockUpstream();
+  });
+  after(() => upstream.restore());
+
+  it("导入地址中的音色经过 URL 编码", async () => {
+    const response = await callRoute(`/reader?voice=${encodeURIComponent("zh-CN-Xiaoxiao&r=9")}`);
+    const { url } = await response.json();
+    assert.match(url, /&v=zh-CN-Xiaoxiao%26r%3D9&r=\{\{/);
+  });
+
+  it("简写参数 r 超出范围时收敛到边界值，speed 仍按范围校验", async () => {
+    for (const r of ["5", "0.1"]) {
+      const response = await callRoute(`/api/v1/audio/speech?t=${encodeURIComponent("你好")}&r=${r}&p=1.0`);
+      assert.equal(response.status, 200);
+    }
+    const body = upstream.calls.filter(call => call.kind === "synthesize").map(call => call.init.body).join("");
+    assert.match(body, /rate="100%"/);
+    assert.match(body, /rate="-75%"/);
+
+    const rejected = await callRoute(`/api/v1/audio/speech?t=${encodeURIComponent("你好")}&speed=5`);
+    assert.equal(rejected.status, 400);
+    assert.equal((await rejected.json()).error.param, "speed");
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * 替换净化规则测试：线性时间正则引擎、规则编译与超时中止
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { compileLinearRegex, replaceLinear } from '../edge-functions/lib/regex.js';
+import { applyRules, compileRules } from '../edge-functions/lib/rules.js';
+
+/** 分别用原生正则与线性时间引擎替换，返回两者结果 */
+function both(source, flags, text, replacement) {
+  return [
+    text.replace(new RegExp(source, `${flags}g`), replacement),
+    replaceLinear(compileLinearRegex(source, flags), text, replacement)
+  ];
+}
+
+describe("replaceLinear", () => {
+  const cases = [
+    ["贪婪与惰性量词", "a+|b*?c", "", "caaab bbc", "<$&>"],
+    ["选择分支按顺序优先", "(a|ab)(c|bcd)(d*)", "", "abcd", "[$1|$2|$3]"],
+    ["编号与命名分组引用", "(?<y>\\d{4})-(\\d\\d)", "", "2024-05 与 1999-12", "$2/$<y>"],
+    ["$$、$`、$' 与两位编号", "(x)", "", "axb", "$$$`$'$10"],
+    ["未参与的分组替换为空", "(a)|b", "", "ab", "[$1]"],
+    ["计数量词", "x{2,3}", "", "xxxxxxx", "-"],
+    ["单词边界与 i 标志", "\\bfoo\\b", "i", "Foo food FOO", "X"],
+    ["m 标志下的行首行尾", "^\\s+|\\s+$", "m", "  a  \n  b  ", ""],
+    ["s 标志下 . 匹配换行", "s.t", "s", "s\nt", "!"],
+    ["u 标志按码点匹配", ".", "u", "a😀b", "[$&]"],
+    ["Unicode 属性类", "[^\\p{L}\\p{N}\\s]+", "u", "你好，世界！😀 ok?", "_"],
+    ["中文章节标题", "第(\\d+)章", "", "第12章 第3章", "第 $1 章"]
+  ];
+
+  for (const [title, source, flags, text, replacement] of cases) {
+    it(`与原生 String.prototype.replace 一致：${title}`, () => {
+      const [expected, actual] = both(source, flags, text, replacement);
+      assert.equal(actual, expected);
+    });
+  }
+
+  it("(a|a)*b 与 (a+)+b 在长文本上线性完成", () => {
+    const text = "a".repeat(50000);
+    for (const source of ["(a|a)*b", "(a+)+b"]) {
+      const start = Date.now();
+      assert.equal(replaceLinear(compileLinearRegex(source), text, "x", { deadline: Date.now() + 5000 }), text);
+      assert.ok(Date.now() - start < 2000, `${source} 耗时过长`);
+    }
+  });
+
+  it("超出步数预算时中止并返回 null", () => {
+    assert.equal(replaceLinear(compileLinearRegex("a*b|a"), "a".repeat(20000), "x", { maxSteps: 10000 }), null);
+  });
+
+  it("超过截止时间时中止并返回 null", () => {
+    assert.equal(replaceLinear(compileLinearRegex("a*b|a"), "a".repeat(20000), "x", { deadline: Date.now() - 1 }), null);
+  });
+
+  it("拒绝前后断言与反向引用", () => {
+    for (const source of ["(?=a)b", "(?<!x)y", "(a)\\1", "(?<n>a)\\k<n>"]) {
+      assert.throws(() => compileLinearRegex(source), /不支持/, source);
+    }
+  });
+
+  it("拒绝展开后过大的计数量词", () => {
+    assert.throws(() => compileLinearRegex("(?:abc){5000}"), /过于复杂/);
+  });
+});
+
+describe("compileRules / applyRules", () => {
+  it("正则规则与字面量规则按顺序执行", () => {
+    const rules = compileRules([
+      { pattern: "第(\\d+)章", replacement: "Chapter $1" },
+      { pattern: "a.b", replacement: "$1", is_regex: false }
+    ]);
+    assert.equal(applyRules("第3章 a.b axb", rules), "Chapter 3 $1 axb");
+  });
+
+  it("拒绝不支持的语法与可匹配空字符串的正则", () => {
+    assert.throws(() => compileRules([{ pattern: "(?=x)y" }]), /规则 #1 的正则无效: 不支持前后断言/);
+    assert.throws(() => compileRules([{ pattern: "a*" }]), /可以匹配空字符串/);
+  });
+
+  it("超时的规则被中止、不生效并停用，其余规则继续执行", () => {
+    const rules = compileRules([
+      { name: "slow", pattern: "a*b|a", replacement: "x", timeout: 20 },
+      { name: "tail", pattern: "c", replacement: "C" }
+    ]);
+    const text = `${"a".repeat(200000)}c`;
+
+    const start = Date.now();
+    const result = applyRules(text, rules);
+    assert.ok(Date.now() - start < 1000);
+    assert.equal(result, `${"a".repeat(200000)}C`);
+    assert.equal(rules[0].tripped, true);
+    assert.equal(rules[1].tripped, false);
+
+    assert.equal(applyRules("aa", rules), "aa");
+  });
+});
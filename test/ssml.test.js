@@ -0,0 +1,118 @@
+/**
+ * SSML 生成测试：转义、属性校验、break 标签与 Unicode 处理
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeXml, getSsml, validateSsmlAttributes } from '../edge-functions/lib/utils.js';
+import { parseSsml } from '../edge-functions/lib/ssml.js';
+
+/** 默认属性下生成 SSML 并取出 prosody 内的正文 */
+function body(text, lexicon) {
+  const ssml = getSsml(text, "zh-CN-XiaoxiaoNeural", "0", "0", "general", lexicon);
+  return ssml.match(/<prosody [^>]*>([\s\S]*)<\/prosody>/)[1];
+}
+
+describe("escapeXml", () => {
+  it("转义全部五个 XML 特殊字符", () => {
+    assert.equal(escapeXml(`<a href="x">Tom & 'Jerry'</a>`), "&lt;a href=&quot;x&quot;&gt;Tom &amp; &apos;Jerry&apos;&lt;/a&gt;");
+  });
+
+  it("先转义 & 避免重复转义", () => {
+    assert.equal(escapeXml("&lt;"), "&amp;lt;");
+  });
+
+  it("将非字符串值转为字符串", () => {
+    assert.equal(escapeXml(42), "42");
+  });
+});
+
+describe("validateSsmlAttributes", () => {
+  const valid = { voiceName: "zh-CN-XiaoxiaoNeural", rate: "0", pitch: "0", style: "general" };
+
+  it("接受合法的语音名称、风格与百分比", () => {
+    assert.doesNotThrow(() => validateSsmlAttributes(valid));
+    assert.doesNotThrow(() => validateSsmlAttributes({ ...valid, voiceName: "en-US-Ava:DragonHDLatestNeural" }));
+    assert.doesNotThrow(() => validateSsmlAttributes({ ...valid, voiceName: "zh-CN-shaanxi-XiaoniNeural" }));
+    assert.doesNotThrow(() => validateSsmlAttributes({ ...valid, style: "narration-professional", rate: "-12.5", pitch: "+10" }));
+  });
+
+  for (const [field, param, value] of [
+    ["voiceName", "voice", `zh-CN-XiaoxiaoNeural"><audio src="x`],
+    ["style", "style", `x"><evil`],
+    ["rate", "speed", "10%\" volume=\"+100"],
+    ["pitch", "pitch", "NaN"],
+    ["rate", "speed", 5]
+  ]) {
+    it(`拒绝注入或格式错误的 ${param}: ${String(value)}`, () => {
+      assert.throws(
+        () => validateSsmlAttributes({ ...valid, [field]: value }),
+        error => error.status === 400 && error.code === "invalid_ssml_attribute" && error.param === param
+      );
+    });
+  }
+});
+
+describe("getSsml", () => {
+  it("生成可解析的 SSML 文档并写入属性", () => {
+    const ssml = getSsml("你好", "zh-CN-XiaoxiaoNeural", "10", "-5", "cheerful");
+    const root = parseSsml(ssml);
+    assert.equal(root.name, "speak");
+    assert.match(ssml, /<voice name="zh-CN-XiaoxiaoNeural">/);
+    assert.match(ssml, /<mstts:express-as style="cheerful">/);
+    assert.match(ssml, /<prosody rate="10%" pitch="-5%">你好<\/prosody>/);
+  });
+
+  it("转义正文中的标记，阻止注入", () => {
+    const text = `</prosody></voice><voice name="en-US-AvaNeural">hi & bye`;
+    assert.equal(body(text), "&lt;/prosody&gt;&lt;/voice&gt;&lt;voice name=&quot;en-US-AvaNeural&quot;&gt;hi &amp; bye");
+  });
+
+  it("属性不合法时抛出 400", () => {
+    assert.throws(() => getSsml("hi", `bad"name`, "0", "0", "general"), { code: "invalid_ssml_attribute" });
+  });
+
+  it("保留 Unicode 文本与代理对", () => {
+    assert.equal(body("中文 English 😀 𠮷 café"), "中文 English 😀 𠮷 café");
+  });
+
+  it("移除 XML 不允许的控制字符、孤立代理项与非字符", () => {
+    assert.equal(body("a\u0000b\u0008c\u001Fd￾e\uD800f\uDC00g\tx\ny"), "abcdefg\tx\ny");
+  });
+});
+
+describe("getSsml break 标签", () => {
+  it("按规范格式重新生成 break 标签", () => {
+    assert.equal(body(`前<break time="500ms"/>后`), `前<break time="500ms"/>后`);
+    assert.equal(body(`前<break time='2s'>后`), `前<break time="2s"/>后`);
+    assert.equal(body("前<BREAK time=\"1.5s\" />后"), `前<break time="1.5s"/>后`);
+    assert.equal(body("前<break>后<break/>"), "前<break/>后<break/>");
+  });
+
+  it("多个 break 标签按原顺序还原", () => {
+    assert.equal(
+      body(`一<break time="100ms"/>二<break time="200ms"/>三<break/>四`),
+      `一<break time="100ms"/>二<break time="200ms"/>三<break/>四`
+    );
+  });
+
+  it("带额外属性或非法单位的 break 标签按文本转义", () => {
+    assert.equal(body(`<break time="5m"/>`), "&lt;break time=&quot;5m&quot;/&gt;");
+    assert.equal(body(`<break time="1s" strength="x"/>`), "&lt;break time=&quot;1s&quot; strength=&quot;x&quot;/&gt;");
+    assert.equal(body(`<break time="1s"><audio/>`), `<break time="1s"/>&lt;audio/&gt;`);
+  });
+
+  it("正文中的占位符字符被移除，无法伪造标记", () => {
+    assert.equal(body("\uE0020\uE003<break/>"), "0<break/>");
+    assert.equal(body("\uE0000\uE001"), "0");
+  });
+
+  it("break 标签与发音词典标记同时出现时各自还原", () => {
+    const lexicon = [{ term: "GIF", phoneme: "dʒɪf", alphabet: "ipa" }];
+    assert.equal(
+      body(`GIF<break time="1s"/>GIF`, lexicon),
+      `<phoneme alphabet="ipa" ph="dʒɪf">GIF</phoneme><break time="1s"/><phoneme alphabet="ipa" ph="dʒɪf">GIF</phoneme>`
+    );
+  });
+});
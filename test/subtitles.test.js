@@ -0,0 +1,58 @@
+/**
+ * 字幕导出测试：SRT / WebVTT 条目文本不含标记，停顿体现为条目间隔
+ */
+
+import { after, before, describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockUpstream, speak } from '../scripts/harness.mjs';
+import { createSilence } from '../edge-functions/lib/audio.js';
+import { buildTimeline, SUBTITLE_FORMATS } from '../edge-functions/lib/timeline.js';
+
+/** 解析字幕条目为 [开始, 结束, 文本] */
+function parseCues(body) {
+  return body.trim().split(/\n\n+/)
+    .filter(block => block.includes("-->"))
+    .map(block => {
+      const lines = block.split("\n");
+      const timing = lines.findIndex(line => line.includes("-->"));
+      const [start, end] = lines[timing].split(" --> ");
+      return [start, end, lines.slice(timing + 1).join("\n")];
+    });
+}
+
+describe("字幕导出", () => {
+  let upstream;
+  before(() => {
+    // 每块返回 3 秒静音，分块时长确定
+    upstream = installMockUpstream({ audio: (ssml, outputFormat) => createSilence(outputFormat, 3) });
+  });
+  after(() => upstream.restore());
+
+  const input = '你好<break time="500ms"/>世界。今天<break time="1s"/>天气很好！';
+
+  it("SRT 条目不含 break 标签", async () => {
+    const response = await speak({ input, response_format: "srt" });
+    assert.equal(response.status, 200);
+
+    const cues = parseCues(await response.text());
+    assert.deepEqual(cues.map(cue => cue[2]), ["你好世界。", "今天天气很好！"]);
+    assert.match(cues[0][0], /^\d{2}:\d{2}:\d{2},\d{3}$/);
+  });
+
+  it("WebVTT 条目不含 break 标签", async () => {
+    const response = await speak({ input, response_format: "vtt" });
+    assert.equal(response.status, 200);
+
+    const body = await response.text();
+    assert.ok(body.startsWith("WEBVTT\n\n"));
+    assert.doesNotMatch(body, /<|time=/);
+    assert.deepEqual(parseCues(body).map(cue => cue[2]), ["你好世界。", "今天天气很好！"]);
+  });
+
+  it("空行不会出现在条目文本中，--> 被替换", () => {
+    const timeline = buildTimeline([{ text: "第一行\n\n第二行 -->  结束", voiceName: "zh-CN-XiaoxiaoNeural" }], [2]);
+    const cues = parseCues(SUBTITLE_FORMATS.vtt.render(timeline));
+    assert.deepEqual(cues.map(cue => cue[2]), ["第一行", "第二行 → 结束"]);
+  });
+});
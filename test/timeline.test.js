@@ -0,0 +1,64 @@
+/**
+ * 时间戳响应测试：分块时间取实际音频时长，句子与词级时间标明为估算值，break 停顿不计为词
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockUpstream, speak } from '../scripts/harness.mjs';
+import { buildTimeline } from '../edge-functions/lib/timeline.js';
+import { createSilence } from '../edge-functions/lib/audio.js';
+
+describe("timestamps", () => {
+  it("响应以 estimated 标明估算的句子与词级时间", async () => {
+    const upstream = installMockUpstream();
+    try {
+      const response = await speak({ input: "你好，世界。今天天气很好！", timestamps: true });
+      assert.equal(response.status, 200);
+
+      const body = await response.json();
+      assert.equal(body.object, "audio.speech.timestamps");
+      assert.equal(body.estimated, true);
+      assert.equal(body.duration, body.chunks[body.chunks.length - 1].end);
+    } finally {
+      upstream.restore();
+    }
+  });
+
+  it("句子与词按字符数占比分布在分块时长内", () => {
+    const [chunk] = buildTimeline([{ text: "你好，世界。今天天气很好！", voiceName: "zh-CN-XiaoxiaoNeural" }], [2.64]);
+    assert.deepEqual(chunk.sentences.map(sentence => [sentence.start, sentence.end]), [[0, 1.218], [1.218, 2.64]]);
+    assert.deepEqual(chunk.words.map(word => word.text), ["你好", "世界", "今天", "天气", "很好"]);
+    assert.ok(chunk.words.every(word => word.start >= chunk.start && word.end <= chunk.end));
+  });
+
+  it("break 标签不参与分词，停顿时长计入其后的时间", () => {
+    const [chunk] = buildTimeline([{ text: '你好<break time="500ms"/>世界', voiceName: "zh-CN-XiaoxiaoNeural" }], [1.5]);
+    assert.equal(chunk.text, "你好世界");
+    assert.deepEqual(chunk.words, [
+      { text: "你好", start: 0, end: 0.5 },
+      { text: "世界", start: 1, end: 1.5 }
+    ]);
+    assert.deepEqual(chunk.sentences, [{ text: "你好世界", start: 0, end: 1.5 }]);
+  });
+
+  it("未指定时长的 break 按 0.75 秒计，其他标记直接去除", () => {
+    const [chunk] = buildTimeline([{ text: "Hello <b>there</b>. <break/> How are you?", voiceName: "en-US-AvaNeural" }], [3]);
+    assert.equal(chunk.text, "Hello there. How are you?");
+    assert.deepEqual(chunk.words.map(word => word.text), ["Hello", "there", "How", "are", "you"]);
+    assert.equal(chunk.sentences[1].start - chunk.sentences[0].end, 0.75);
+  });
+
+  it("时间戳响应中没有 break 产生的词", async () => {
+    // 每块返回 2 秒静音，分块时长确定
+    const upstream = installMockUpstream({ audio: (ssml, outputFormat) => createSilence(outputFormat, 2) });
+    try {
+      const response = await speak({ input: '你好<break time="1s"/>世界。', timestamps: true });
+      const [chunk] = (await response.json()).chunks;
+      assert.deepEqual(chunk.words.map(word => word.text), ["你好", "世界"]);
+      assert.ok(chunk.words[1].start - chunk.words[0].end >= 1);
+    } finally {
+      upstream.restore();
+    }
+  });
+});
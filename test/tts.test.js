@@ -0,0 +1,31 @@
+/**
+ * 合成单元恢复测试：只在可能因长度失败的错误上拆半重试
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { installMockUpstream, speak } from '../scripts/harness.mjs';
+
+/** 以指定状态码拒绝全部合成请求，返回合成调用次数 */
+async function countSynthesizeCalls(status, input) {
+  const upstream = installMockUpstream({ audio: () => new Response("rejected", { status }) });
+  try {
+    const response = await speak(input);
+    assert.equal(response.status, 500);
+    return upstream.calls.filter(call => call.kind === "synthesize").length;
+  } finally {
+    upstream.restore();
+  }
+}
+
+describe("拆半重试", () => {
+  it("上游 400 不重试也不拆分", async () => {
+    assert.equal(await countSynthesizeCalls(400, "这是一段足够长、可以拆分成两半的测试文本。第二句话也在这里。"), 1);
+  });
+
+  it("上游 413 拆成两半分别合成", async () => {
+    // 原单元一次，第一半失败后不再继续
+    assert.equal(await countSynthesizeCalls(413, "这是另一段足够长、可以拆分成两半的测试文本。第二句话也在这里。"), 2);
+  });
+});